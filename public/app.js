@@ -84,6 +84,9 @@ function getEls() {
         tbody: document.getElementById("wallet-tbody"),
         title: document.getElementById("moments-title"),
         exportBtn: document.getElementById("export-csv"),
+        taxReportBtn: document.getElementById("export-tax-report"),
+        taxReportYear: document.getElementById("tax-report-year"),
+        taxReportMethod: document.getElementById("tax-report-method"),
         pagerPrev: document.getElementById("wallet-page-prev"),
         pagerNext: document.getElementById("wallet-page-next"),
         pagerInfo: document.getElementById("wallet-page-info"),
@@ -690,6 +693,9 @@ function updateMobileSortDropdowns() {
     }
 }
 
+// Wallet currently shown (for server-side exports)
+let currentWallet = null;
+
 // Client-side cache for prices and filters
 const priceCache = new Map();
 const filterCache = new Map();
@@ -789,6 +795,7 @@ window.fetchWalletSummary = async function fetchWalletSummary(wallet) {
           <span class="chip">Locked: ${stats.lockedCount ?? 0}</span>
           <span class="chip" title="Sum of per-edition lowest asks">Floor: $${floorText}</span>
           <span class="chip" title="Sum of per-edition average sale prices">ASP: $${aspText}</span>
+          <span class="chip" title="Floor/ASP blend with serial and jersey premiums">Est. Value: ${formatUsd(stats.estimatedValue)}</span>
         </div>
         <!-- Mobile-only simplified stats -->
         <div class="wallet-summary-chips mobile-show" style="display: none; text-align: left;">
@@ -804,6 +811,7 @@ window.fetchWalletSummary = async function fetchWalletSummary(wallet) {
         <span class="chip-pill-tier chip-legendary" style="cursor: pointer;" onclick="filterByTier('Legendary')" title="Click to filter by Legendary tier">Legendary: ${byTier.Legendary ?? 0}</span>
         <span class="chip-pill-tier chip-ultimate" style="cursor: pointer;" onclick="filterByTier('Ultimate')" title="Click to filter by Ultimate tier">Ultimate: ${byTier.Ultimate ?? 0}</span>
       </div>
+      <div id="wallet-history-panel" class="wallet-history-panel mobile-hidden"></div>
     `;
 
         // Wire up the "Set as default wallet" button
@@ -891,11 +899,115 @@ window.fetchWalletSummary = async function fetchWalletSummary(wallet) {
             });
         }
         els.summaryCard.style.display = "flex";
+        loadWalletHistory(wallet);
     } catch (err) {
         console.error("fetchWalletSummary error", err);
     }
 }
 
+// ------------------ Portfolio value chart (/api/wallet-history) ------------------
+
+const WALLET_HISTORY_PERIODS = { "7d": 7, "30d": 30, "90d": 90, "all": null };
+let walletHistoryData = null;
+let walletHistoryPeriod = "30d";
+
+async function loadWalletHistory(wallet) {
+    const panel = document.getElementById("wallet-history-panel");
+    if (!panel) return;
+    walletHistoryData = null;
+    try {
+        const res = await fetch(`/api/wallet-history?wallet=${encodeURIComponent(wallet)}`);
+        const data = await res.json();
+        if (!data.ok || !data.series || data.series.length === 0) {
+            panel.innerHTML = `<div class="wallet-history-empty">Portfolio history starts after the first nightly snapshot.</div>`;
+            return;
+        }
+        walletHistoryData = data;
+        renderWalletHistory();
+    } catch (err) {
+        console.error("loadWalletHistory error", err);
+        panel.innerHTML = "";
+    }
+}
+
+function formatGain(gain) {
+    const sign = gain.change > 0 ? "+" : gain.change < 0 ? "−" : "";
+    const pct = gain.changePct !== null ? ` (${sign}${Math.abs(gain.changePct).toFixed(1)}%)` : "";
+    const cls = gain.change > 0 ? "gain-up" : gain.change < 0 ? "gain-down" : "";
+    return `<span class="${cls}">${sign}${formatUsd(Math.abs(gain.change))}${pct}</span>`;
+}
+
+// Floor (solid) and ASP (dashed) lines for the selected period as an inline SVG
+function renderWalletHistoryChart(points) {
+    const width = 600;
+    const height = 120;
+    const pad = 4;
+    const values = points.flatMap(p => [p.floorValue, p.aspValue]);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const span = max - min || 1;
+    const x = (i) => (points.length === 1 ? width / 2 : pad + (i * (width - 2 * pad)) / (points.length - 1));
+    const y = (v) => height - pad - ((v - min) / span) * (height - 2 * pad);
+    const line = (key) => points.map((p, i) => `${x(i).toFixed(1)},${y(p[key]).toFixed(1)}`).join(" ");
+    const dots = points.length === 1
+        ? `<circle cx="${x(0)}" cy="${y(points[0].floorValue)}" r="3" class="wallet-history-floor-dot" />`
+        : "";
+
+    return `
+      <svg class="wallet-history-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img"
+           aria-label="Portfolio value from ${points[0].date} to ${points[points.length - 1].date}">
+        <polyline points="${line("aspValue")}" class="wallet-history-asp" />
+        <polyline points="${line("floorValue")}" class="wallet-history-floor" />
+        ${dots}
+      </svg>
+    `;
+}
+
+function renderWalletHistory() {
+    const panel = document.getElementById("wallet-history-panel");
+    if (!panel || !walletHistoryData) return;
+    const { series, gains } = walletHistoryData;
+    const days = WALLET_HISTORY_PERIODS[walletHistoryPeriod];
+
+    let points = series;
+    if (days) {
+        const cutoff = new Date(`${series[series.length - 1].date}T00:00:00Z`);
+        cutoff.setUTCDate(cutoff.getUTCDate() - days);
+        const cutoffDay = cutoff.toISOString().slice(0, 10);
+        points = series.filter(p => p.date >= cutoffDay);
+    }
+    const gain = gains[walletHistoryPeriod];
+
+    panel.innerHTML = `
+      <div class="wallet-history-header">
+        <span class="wallet-summary-label">Portfolio value</span>
+        <div class="wallet-history-periods">
+          ${Object.keys(WALLET_HISTORY_PERIODS).map(period => `
+            <button type="button" class="wallet-history-period${period === walletHistoryPeriod ? " active" : ""}" data-period="${period}">
+              ${period === "all" ? "All" : period.toUpperCase()}
+            </button>
+          `).join("")}
+        </div>
+      </div>
+      ${renderWalletHistoryChart(points)}
+      <div class="wallet-summary-chips">
+        ${gain ? `
+          <span class="chip" title="Floor value change since ${gain.from}">Floor: ${formatGain(gain.floor)}</span>
+          <span class="chip" title="ASP value change since ${gain.from}">ASP: ${formatGain(gain.asp)}</span>
+          <span class="chip">Moments: ${gain.moments > 0 ? "+" : ""}${gain.moments}</span>
+        ` : ""}
+        <span class="chip wallet-history-legend"><i class="legend-floor"></i>Floor <i class="legend-asp"></i>ASP</span>
+      </div>
+    `;
+
+    panel.querySelectorAll(".wallet-history-period").forEach(btn => {
+        btn.addEventListener("click", () => {
+            walletHistoryPeriod = btn.dataset.period;
+            renderWalletHistory();
+        });
+    });
+}
+
 function updateSummaryWithStats(wallet) {
     const els = getEls();
     if (!els.summaryCard || !allMoments || allMoments.length === 0) return;
@@ -1158,6 +1270,18 @@ function wireEvents() {
             exportCsv();
         });
     }
+
+    if (els.taxReportYear) {
+        const thisYear = new Date().getUTCFullYear();
+        for (let year = thisYear; year >= 2021; year--) {
+            els.taxReportYear.add(new Option(String(year), String(year), year === thisYear - 1, year === thisYear - 1));
+        }
+    }
+    if (els.taxReportBtn) {
+        els.taxReportBtn.addEventListener("click", () => {
+            exportTaxReport();
+        });
+    }
 }
 
 function exportCsv() {
@@ -1220,6 +1344,18 @@ function exportCsv() {
     URL.revokeObjectURL(url);
 }
 
+// Server-built realized gains CSV for the selected year and lot matching method
+function exportTaxReport() {
+    const els = getEls();
+    if (!currentWallet) return;
+    const params = new URLSearchParams({
+        wallet: currentWallet,
+        year: els.taxReportYear?.value || String(new Date().getUTCFullYear() - 1),
+        method: els.taxReportMethod?.value || "fifo"
+    });
+    window.location.href = `/api/export/tax-report?${params}`;
+}
+
 // Track which wallets have already been background-refreshed this session
 const backgroundRefreshedWallets = new Set();
 let backgroundRefreshInProgress = false;
@@ -1368,6 +1504,7 @@ window.runQuery = async function runQuery(walletRaw) {
     const els = getEls();
     const wallet = (walletRaw || "").trim().toLowerCase();
     if (!wallet) return;
+    currentWallet = wallet;
 
     // Show loading animation
     showLoadingAnimation();
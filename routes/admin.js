@@ -0,0 +1,193 @@
+// routes/admin.js
+// Admin-only maintenance endpoints (background jobs, holdings reconciliation)
+import { requireRole } from "../services/access-control.js";
+import { listJobs, getJobRuns, requestJobRun, setJobPaused } from "../services/job-scheduler.js";
+import { DISCREPANCY_KINDS, runReconciliation, listReports, getReport, approveReport, rejectReport } from "../services/holdings-reconciliation.js";
+import { runDealScoreBacktest } from "../services/deal-backtest.js";
+import { parsePremiumWeights, PREMIUM_WEIGHTS } from "../services/valuation.js";
+
+function adminActor(req) {
+  return (req.session.user.email || "").toString().trim() || `user:${req.session.user.id}`;
+}
+
+function reportIdParam(req, res) {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id) || id < 1) {
+    res.status(400).json({ ok: false, error: "Invalid report id" });
+    return null;
+  }
+  return id;
+}
+
+/**
+ * Registers admin routes
+ */
+export function registerAdminRoutes(app) {
+  // GET /api/admin/jobs - all scheduled jobs with their latest run
+  app.get("/api/admin/jobs", requireRole("admin"), async (req, res) => {
+    try {
+      const jobs = await listJobs();
+      return res.json({ ok: true, jobs });
+    } catch (err) {
+      console.error("GET /api/admin/jobs error:", err);
+      return res.status(500).json({ ok: false, error: "Failed to load jobs: " + (err.message || String(err)) });
+    }
+  });
+
+  // GET /api/admin/jobs/:name/runs - run history for one job
+  app.get("/api/admin/jobs/:name/runs", requireRole("admin"), async (req, res) => {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+      const runs = await getJobRuns(req.params.name, limit);
+      return res.json({ ok: true, job: req.params.name, runs });
+    } catch (err) {
+      console.error("GET /api/admin/jobs/:name/runs error:", err);
+      return res.status(500).json({ ok: false, error: "Failed to load job runs: " + (err.message || String(err)) });
+    }
+  });
+
+  // POST /api/admin/jobs/:name/trigger - run a job as soon as an instance picks it up
+  app.post("/api/admin/jobs/:name/trigger", requireRole("admin"), async (req, res) => {
+    try {
+      const job = await requestJobRun(req.params.name, adminActor(req));
+      if (!job) {
+        return res.status(404).json({ ok: false, error: `Unknown job "${req.params.name}"` });
+      }
+      return res.json({ ok: true, job });
+    } catch (err) {
+      console.error("POST /api/admin/jobs/:name/trigger error:", err);
+      return res.status(500).json({ ok: false, error: "Failed to trigger job: " + (err.message || String(err)) });
+    }
+  });
+
+  // POST /api/admin/jobs/:name/pause and /resume
+  for (const action of ["pause", "resume"]) {
+    app.post(`/api/admin/jobs/:name/${action}`, requireRole("admin"), async (req, res) => {
+      try {
+        const job = await setJobPaused(req.params.name, action === "pause");
+        if (!job) {
+          return res.status(404).json({ ok: false, error: `Unknown job "${req.params.name}"` });
+        }
+        return res.json({ ok: true, job });
+      } catch (err) {
+        console.error(`POST /api/admin/jobs/:name/${action} error:`, err);
+        return res.status(500).json({ ok: false, error: `Failed to ${action} job: ` + (err.message || String(err)) });
+      }
+    });
+  }
+
+  // GET /api/admin/reconciliation - recent reconciliation reports
+  app.get("/api/admin/reconciliation", requireRole("admin"), async (req, res) => {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 200);
+      const reports = await listReports(limit);
+      return res.json({ ok: true, reports });
+    } catch (err) {
+      console.error("GET /api/admin/reconciliation error:", err);
+      return res.status(500).json({ ok: false, error: "Failed to load reports: " + (err.message || String(err)) });
+    }
+  });
+
+  // GET /api/admin/reconciliation/:id?kind=&limit=&offset= - one report with its discrepancies
+  app.get("/api/admin/reconciliation/:id", requireRole("admin"), async (req, res) => {
+    const reportId = reportIdParam(req, res);
+    if (!reportId) return;
+    try {
+      const kind = (req.query.kind || "").toString().trim() || null;
+      if (kind && !DISCREPANCY_KINDS.includes(kind)) {
+        return res.status(400).json({ ok: false, error: `kind must be one of: ${DISCREPANCY_KINDS.join(", ")}` });
+      }
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), 1000);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+      const report = await getReport(reportId, { kind, limit, offset });
+      if (!report) {
+        return res.status(404).json({ ok: false, error: "Report not found" });
+      }
+      return res.json({ ok: true, report });
+    } catch (err) {
+      console.error("GET /api/admin/reconciliation/:id error:", err);
+      return res.status(500).json({ ok: false, error: "Failed to load report: " + (err.message || String(err)) });
+    }
+  });
+
+  // POST /api/admin/reconciliation { wallet? } - build a report (read-only)
+  // A single wallet is checked inline; a full scan runs in the background and returns its report id.
+  app.post("/api/admin/reconciliation", requireRole("admin"), async (req, res) => {
+    const wallet = (req.body?.wallet || "").toString().trim() || null;
+    try {
+      if (wallet) {
+        const report = await runReconciliation({ wallet, createdBy: adminActor(req) });
+        return res.json({ ok: true, report });
+      }
+
+      let responded = false;
+      runReconciliation({
+        createdBy: adminActor(req),
+        onReportCreated: (reportId) => {
+          responded = true;
+          res.status(202).json({ ok: true, report_id: reportId, status: "running" });
+        }
+      }).catch(err => {
+        console.error("[Reconcile] Full scan failed:", err.message);
+        if (!responded) res.status(500).json({ ok: false, error: "Failed to start reconciliation: " + err.message });
+      });
+    } catch (err) {
+      console.error("POST /api/admin/reconciliation error:", err);
+      return res.status(500).json({ ok: false, error: "Failed to run reconciliation: " + (err.message || String(err)) });
+    }
+  });
+
+  // POST /api/admin/reconciliation/:id/approve - apply a pending report's fixes to holdings
+  app.post("/api/admin/reconciliation/:id/approve", requireRole("admin"), async (req, res) => {
+    const reportId = reportIdParam(req, res);
+    if (!reportId) return;
+    try {
+      const report = await approveReport(reportId, adminActor(req));
+      return res.json({ ok: true, report });
+    } catch (err) {
+      console.error("POST /api/admin/reconciliation/:id/approve error:", err.message);
+      return res.status(409).json({ ok: false, error: err.message || String(err) });
+    }
+  });
+
+  // POST /api/admin/reconciliation/:id/reject - discard a pending report
+  app.post("/api/admin/reconciliation/:id/reject", requireRole("admin"), async (req, res) => {
+    const reportId = reportIdParam(req, res);
+    if (!reportId) return;
+    try {
+      const report = await rejectReport(reportId, adminActor(req));
+      if (!report) {
+        return res.status(409).json({ ok: false, error: "Report not found or not pending" });
+      }
+      return res.json({ ok: true, report });
+    } catch (err) {
+      console.error("POST /api/admin/reconciliation/:id/reject error:", err);
+      return res.status(500).json({ ok: false, error: "Failed to reject report: " + (err.message || String(err)) });
+    }
+  });
+
+  // GET /api/admin/deal-score-backtest?days=90&horizon=30&weights={"serialOne":6}
+  // Sniper deal scores vs. later comparable sales, by score bucket and by premium multiplier
+  // `warnings` lists where days/horizon reach past the listings recorded so far (sniper_listing_history)
+  app.get("/api/admin/deal-score-backtest", requireRole("admin"), async (req, res) => {
+    try {
+      const days = Math.min(Math.max(parseInt(req.query.days, 10) || 90, 1), 365);
+      const horizonDays = Math.min(Math.max(parseInt(req.query.horizon, 10) || 30, 1), 180);
+      let weights = PREMIUM_WEIGHTS;
+      if (req.query.weights) {
+        const parsed = parsePremiumWeights(req.query.weights.toString());
+        if (parsed.error) {
+          return res.status(400).json({ ok: false, error: parsed.error });
+        }
+        weights = parsed.weights;
+      }
+
+      const backtest = await runDealScoreBacktest({ days, horizonDays, weights });
+      return res.json({ ok: true, ...backtest });
+    } catch (err) {
+      console.error("GET /api/admin/deal-score-backtest error:", err);
+      return res.status(500).json({ ok: false, error: "Failed to run backtest: " + (err.message || String(err)) });
+    }
+  });
+}
@@ -0,0 +1,22 @@
+// Edition Routes - Live market data for a single edition
+import { getEditionOrderBook } from "../services/order-book.js";
+
+export function registerEditionRoutes(app) {
+    // Public: active storefront listings for an edition with floor, depth and ask ladder
+    // ?limit= caps the listings returned (default 100, max 500)
+    app.get("/api/editions/:id/listings", async (req, res) => {
+        try {
+            const editionId = (req.params.id || "").toString().trim();
+            if (!/^\d+$/.test(editionId)) {
+                return res.status(400).json({ ok: false, error: "Invalid edition id" });
+            }
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+
+            const book = await getEditionOrderBook(editionId, { limit });
+            return res.json({ ok: true, editionId, ...book });
+        } catch (err) {
+            console.error("Error in /api/editions/:id/listings:", err);
+            return res.status(500).json({ ok: false, error: err.message });
+        }
+    });
+}
@@ -0,0 +1,35 @@
+// Export Routes - Downloadable reports built from the sales ledger
+import { buildTaxReport, taxReportToCsv, LOT_METHODS } from "../services/tax-report.js";
+
+export function registerExportRoutes(app) {
+    // Public: CSV of every sale by the wallet in a calendar year (UTC) with cost basis and gain
+    // ?method=fifo (default) or specific (match lots by nft_id)
+    app.get("/api/export/tax-report", async (req, res) => {
+        try {
+            const wallet = (req.query.wallet || "").toString().trim().toLowerCase();
+            if (!wallet) {
+                return res.status(400).json({ ok: false, error: "Missing ?wallet=0x..." });
+            }
+            if (!/^0x[0-9a-f]{4,64}$/.test(wallet)) {
+                return res.status(400).json({ ok: false, error: "Invalid wallet format" });
+            }
+            const year = parseInt(req.query.year, 10);
+            if (!Number.isInteger(year) || year < 2021 || year > new Date().getUTCFullYear()) {
+                return res.status(400).json({ ok: false, error: "Missing or invalid ?year=" });
+            }
+            const method = (req.query.method || "fifo").toString().trim().toLowerCase();
+            if (!LOT_METHODS.includes(method)) {
+                return res.status(400).json({ ok: false, error: `Invalid method (use ${LOT_METHODS.join(" or ")})` });
+            }
+
+            const { rows, totals } = await buildTaxReport(wallet, year, method);
+            res.setHeader("Content-Type", "text/csv; charset=utf-8");
+            res.setHeader("Content-Disposition", `attachment; filename="tax-report-${wallet}-${year}-${method}.csv"`);
+            res.setHeader("X-Report-Totals", JSON.stringify(totals));
+            return res.send(taxReportToCsv(rows));
+        } catch (err) {
+            console.error("Error in /api/export/tax-report:", err);
+            return res.status(500).json({ ok: false, error: err.message });
+        }
+    });
+}
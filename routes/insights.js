@@ -1,6 +1,10 @@
 // routes/insights.js
 import pool from "../db/pool.js";
 import { syncLeaderboards } from "../scripts/sync_leaderboards.js";
+import { requireRole } from "../services/access-control.js";
+import { registerJob } from "../services/job-scheduler.js";
+
+export const INSIGHTS_REFRESH_JOB = "insights-refresh";
 
 /**
  * Ensure insights_snapshot table exists
@@ -392,6 +396,22 @@ export async function refreshInsightsSnapshot() {
   }
 }
 
+/**
+ * Registers the scheduled insights refresh (every 6 hours)
+ * Both the web server and the background sync register it; the scheduler's lock keeps it to one run.
+ */
+export async function registerInsightsRefreshJob() {
+  await registerJob(INSIGHTS_REFRESH_JOB, {
+    schedule: "0 */6 * * *",
+    description: "Rebuild leaderboards and the insights snapshot",
+    handler: async () => {
+      const result = await refreshInsightsSnapshot();
+      if (!result.ok) throw new Error(result.error);
+      return { duration: result.duration };
+    }
+  });
+}
+
 /**
  * Registers insights routes
  */
@@ -429,7 +449,7 @@ export function registerInsightsRoutes(app) {
   });
 
   // POST /api/insights/refresh - manually trigger refresh
-  app.post("/api/insights/refresh", async (req, res) => {
+  app.post("/api/insights/refresh", requireRole("admin"), async (req, res) => {
     const result = await refreshInsightsSnapshot();
     if (result.ok) {
       return res.json({
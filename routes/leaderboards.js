@@ -0,0 +1,33 @@
+// Leaderboard Routes - Daily rank history recorded by the leaderboard sync
+import { getWalletRankHistory, LEADERBOARD_BOARDS } from "../services/leaderboard-history.js";
+
+export function registerLeaderboardRoutes(app) {
+    // Public: a wallet's daily rank on each leaderboard it appears on
+    // ?board= limits to one board (moments, value_floor, value_asp, team, tier, rarity), ?key= to one team or tier,
+    // ?days= how far back (default 90, max 365)
+    app.get("/api/leaderboard-history", async (req, res) => {
+        try {
+            const wallet = (req.query.wallet || "").toString().trim().toLowerCase();
+            if (!wallet) {
+                return res.status(400).json({ ok: false, error: "Missing ?wallet=0x..." });
+            }
+            if (!/^0x[0-9a-f]{4,64}$/.test(wallet)) {
+                return res.status(400).json({ ok: false, error: "Invalid wallet format" });
+            }
+
+            const board = (req.query.board || "").toString().trim().toLowerCase() || null;
+            if (board && !LEADERBOARD_BOARDS.includes(board)) {
+                return res.status(400).json({ ok: false, error: `Unknown board (expected ${LEADERBOARD_BOARDS.join(", ")})` });
+            }
+            let boardKey = (req.query.key || "").toString().trim() || null;
+            if (boardKey && board === "tier") boardKey = boardKey.toLowerCase();
+            const days = Math.min(Math.max(parseInt(req.query.days, 10) || 90, 1), 365);
+
+            const boards = await getWalletRankHistory(wallet, { board, boardKey, days });
+            return res.json({ ok: true, wallet, days, boards });
+        } catch (err) {
+            console.error("Error in /api/leaderboard-history:", err);
+            return res.status(500).json({ ok: false, error: err.message });
+        }
+    });
+}
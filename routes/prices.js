@@ -0,0 +1,27 @@
+// Price Routes - Edition price history recorded by the price syncs
+import { getDailyPriceHistory, PRICE_HISTORY_RANGES } from "../services/price-history.js";
+
+export function registerPriceRoutes(app) {
+    // Public: daily OHLC-style series of an edition's lowest ask and ASP, plus the day's top sale
+    app.get("/api/prices/history", async (req, res) => {
+        try {
+            const edition = (req.query.edition || "").toString().trim();
+            if (!edition) {
+                return res.status(400).json({ ok: false, error: "Missing ?edition=" });
+            }
+            const range = (req.query.range || "30d").toString().trim().toLowerCase();
+            if (!(range in PRICE_HISTORY_RANGES)) {
+                return res.status(400).json({
+                    ok: false,
+                    error: `Invalid range (use ${Object.keys(PRICE_HISTORY_RANGES).join(", ")})`
+                });
+            }
+
+            const series = await getDailyPriceHistory(edition, range);
+            return res.json({ ok: true, edition, range, series });
+        } catch (err) {
+            console.error("Error in /api/prices/history:", err);
+            return res.status(500).json({ ok: false, error: err.message });
+        }
+    });
+}
@@ -0,0 +1,37 @@
+// Sales Routes - Marketplace sale history from the sales ledger
+import { querySales } from "../services/sales-ledger.js";
+
+export function registerSalesRoutes(app) {
+    // Public: sales filtered by edition, player and/or wallet, newest first
+    // Aggregates (last sale, 7/30-day average, counts) cover every matching sale, not just the page
+    app.get("/api/sales", async (req, res) => {
+        try {
+            const edition = (req.query.edition || "").toString().trim() || null;
+            const player = (req.query.player || "").toString().trim() || null;
+            const wallet = (req.query.wallet || "").toString().trim().toLowerCase() || null;
+            if (!edition && !player && !wallet) {
+                return res.status(400).json({ ok: false, error: "Provide at least one of ?edition=, ?player=, ?wallet=" });
+            }
+
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+            const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+            const result = await querySales({ edition, player, wallet, limit, offset });
+
+            return res.json({
+                ok: true,
+                filters: { edition, player, wallet },
+                aggregates: result.aggregates,
+                sales: result.sales,
+                pagination: {
+                    limit,
+                    offset,
+                    total: result.total,
+                    has_more: offset + result.sales.length < result.total
+                }
+            });
+        } catch (err) {
+            console.error("Error in /api/sales:", err);
+            return res.status(500).json({ ok: false, error: err.message });
+        }
+    });
+}
@@ -1,5 +1,18 @@
 // Set Completion Routes - Track set completion progress
 import { pgQuery } from "../db.js";
+import {
+    parsePlanOptions,
+    getSetCompletionPlan,
+    getScopeCompletion,
+    PARALLEL_VARIANTS,
+    validateChecklist,
+    listChecklists,
+    getChecklist,
+    createChecklist,
+    updateChecklist,
+    deleteChecklist
+} from "../services/set-completion.js";
+import { getSetCompletionLeaderboard, SET_LEADERBOARD_SORTS } from "../services/set-completion-leaderboard.js";
 
 // Cache for set totals (refreshed every 10 minutes)
 let setTotalsCache = null;
@@ -90,6 +103,50 @@ async function getSetTotals() {
     return setTotalsCache;
 }
 
+function sessionUser(req, res) {
+    const sessUser = req.session?.user;
+    if (!sessUser || !sessUser.id) {
+        res.status(401).json({ ok: false, error: "Not logged in" });
+        return null;
+    }
+    return sessUser;
+}
+
+function checklistIdParam(req, res) {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id) || id < 1) {
+        res.status(400).json({ ok: false, error: "Invalid checklist id" });
+        return null;
+    }
+    return id;
+}
+
+// Shared handler for the series / parallel / player completion endpoints
+// allowed: the only (lowercase) values the parameter takes, if it's an enum
+function registerScopeRoute(app, type, param, allowed = null) {
+    app.get(`/api/set-completion/${type}`, async (req, res) => {
+        try {
+            const wallet = (req.query.wallet || "").toString().trim().toLowerCase();
+            if (!wallet) return res.status(400).json({ ok: false, error: "Missing ?wallet=" });
+            let value = (req.query[param] || "").toString().trim();
+            if (!value) return res.status(400).json({ ok: false, error: `Missing ?${param}=` });
+            if (allowed) {
+                value = value.toLowerCase();
+                if (!allowed.includes(value)) {
+                    return res.status(400).json({ ok: false, error: `?${param}= must be one of ${allowed.join(", ")}` });
+                }
+            }
+
+            const progress = await getScopeCompletion(wallet, type, value);
+            if (!progress) return res.status(404).json({ ok: false, error: `No editions found for ${type} "${value}"` });
+            return res.json({ ok: true, wallet, [param]: value, ...progress });
+        } catch (err) {
+            console.error(`Error in /api/set-completion/${type}:`, err);
+            return res.status(500).json({ ok: false, error: err.message });
+        }
+    });
+}
+
 /**
  * Register set completion routes
  */
@@ -113,6 +170,136 @@ export function registerSetRoutes(app) {
         }
     });
 
+    // Public: wallets closest to finishing a set, from the set-completion-leaderboard snapshot
+    // ?sort=completion (most editions owned, default) or cost (cheapest to finish), ?limit= (default 25, max 100)
+    app.get("/api/set-completion/leaderboard", async (req, res) => {
+        try {
+            const setName = (req.query.set || "").toString().trim();
+            if (!setName) return res.status(400).json({ ok: false, error: "Missing ?set=" });
+            const sort = (req.query.sort || "completion").toString().trim().toLowerCase();
+            if (!SET_LEADERBOARD_SORTS.includes(sort)) {
+                return res.status(400).json({ ok: false, error: `?sort= must be one of ${SET_LEADERBOARD_SORTS.join(", ")}` });
+            }
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100);
+
+            const leaderboard = await getSetCompletionLeaderboard(setName, { sort, limit });
+            if (!leaderboard) return res.status(404).json({ ok: false, error: `No leaderboard for set "${setName}"` });
+            return res.json({ ok: true, sort, ...leaderboard });
+        } catch (err) {
+            console.error("Error in /api/set-completion/leaderboard:", err);
+            return res.status(500).json({ ok: false, error: err.message });
+        }
+    });
+
+    // Public: shopping list for one set - the cheapest listed moment of every missing edition and the total
+    // ?max_price= skips editions whose floor is above it, ?budget= caps the total,
+    // ?prefer=low_serial|jersey spends what's left of the budget on lower serials or jersey matches
+    app.get("/api/set-completion/plan", async (req, res) => {
+        try {
+            const wallet = (req.query.wallet || "").toString().trim().toLowerCase();
+            if (!wallet) return res.status(400).json({ ok: false, error: "Missing ?wallet=" });
+            const setName = (req.query.set || "").toString().trim();
+            if (!setName) return res.status(400).json({ ok: false, error: "Missing ?set=" });
+            const { options, error } = parsePlanOptions(req.query);
+            if (error) return res.status(400).json({ ok: false, error });
+
+            const plan = await getSetCompletionPlan(wallet, setName, options);
+            if (!plan) return res.status(404).json({ ok: false, error: `Unknown set "${setName}"` });
+            return res.json({ ok: true, wallet, ...plan });
+        } catch (err) {
+            console.error("Error in /api/set-completion/plan:", err);
+            return res.status(500).json({ ok: false, error: err.message });
+        }
+    });
+
+    // Public: progress through a series, a parallel variant or every edition of a player,
+    // with per-tier progress and the missing editions (cheapest first)
+    registerScopeRoute(app, "series", "series");
+    registerScopeRoute(app, "player", "player");
+    registerScopeRoute(app, "parallel", "variant", PARALLEL_VARIANTS);
+
+    // User: saved checklists of editions
+    app.get("/api/set-completion/checklists", async (req, res) => {
+        const user = sessionUser(req, res);
+        if (!user) return;
+        try {
+            const checklists = await listChecklists(user.id);
+            return res.json({ ok: true, checklists });
+        } catch (err) {
+            console.error("GET /api/set-completion/checklists error:", err);
+            return res.status(500).json({ ok: false, error: err.message });
+        }
+    });
+
+    // POST /api/set-completion/checklists { name, editionIds: [] }
+    app.post("/api/set-completion/checklists", async (req, res) => {
+        const user = sessionUser(req, res);
+        if (!user) return;
+        try {
+            const { checklist, error } = validateChecklist(req.body || {});
+            if (error) return res.status(400).json({ ok: false, error });
+            const created = await createChecklist(user.id, checklist);
+            if (!created) return res.status(409).json({ ok: false, error: "Checklist limit reached" });
+            return res.status(201).json({ ok: true, checklist: created });
+        } catch (err) {
+            console.error("POST /api/set-completion/checklists error:", err);
+            return res.status(500).json({ ok: false, error: err.message });
+        }
+    });
+
+    app.put("/api/set-completion/checklists/:id", async (req, res) => {
+        const user = sessionUser(req, res);
+        if (!user) return;
+        const checklistId = checklistIdParam(req, res);
+        if (!checklistId) return;
+        try {
+            const { checklist, error } = validateChecklist(req.body || {});
+            if (error) return res.status(400).json({ ok: false, error });
+            const updated = await updateChecklist(user.id, checklistId, checklist);
+            if (!updated) return res.status(404).json({ ok: false, error: "Checklist not found" });
+            return res.json({ ok: true, checklist: updated });
+        } catch (err) {
+            console.error("PUT /api/set-completion/checklists/:id error:", err);
+            return res.status(500).json({ ok: false, error: err.message });
+        }
+    });
+
+    app.delete("/api/set-completion/checklists/:id", async (req, res) => {
+        const user = sessionUser(req, res);
+        if (!user) return;
+        const checklistId = checklistIdParam(req, res);
+        if (!checklistId) return;
+        try {
+            const deleted = await deleteChecklist(user.id, checklistId);
+            if (!deleted) return res.status(404).json({ ok: false, error: "Checklist not found" });
+            return res.json({ ok: true });
+        } catch (err) {
+            console.error("DELETE /api/set-completion/checklists/:id error:", err);
+            return res.status(500).json({ ok: false, error: err.message });
+        }
+    });
+
+    // GET /api/set-completion/checklists/:id/progress?wallet= (defaults to the account's wallet)
+    app.get("/api/set-completion/checklists/:id/progress", async (req, res) => {
+        const user = sessionUser(req, res);
+        if (!user) return;
+        const checklistId = checklistIdParam(req, res);
+        if (!checklistId) return;
+        try {
+            const wallet = (req.query.wallet || user.default_wallet_address || "").toString().trim().toLowerCase();
+            if (!wallet) return res.status(400).json({ ok: false, error: "Missing ?wallet=" });
+            const checklist = await getChecklist(user.id, checklistId);
+            if (!checklist) return res.status(404).json({ ok: false, error: "Checklist not found" });
+
+            const progress = await getScopeCompletion(wallet, "checklist", checklist.edition_ids);
+            if (!progress) return res.status(404).json({ ok: false, error: "None of the checklist's editions exist" });
+            return res.json({ ok: true, wallet, checklist: { id: checklist.id, name: checklist.name }, ...progress });
+        } catch (err) {
+            console.error("GET /api/set-completion/checklists/:id/progress error:", err);
+            return res.status(500).json({ ok: false, error: err.message });
+        }
+    });
+
     app.get("/api/set-completion", async (req, res) => {
         try {
             const wallet = (req.query.wallet || "").toString().trim().toLowerCase();
@@ -0,0 +1,142 @@
+// Sniper Alert Routes - Saved alert rules for the logged-in user, with webhook delivery logs
+import {
+    validateAlertRule,
+    listAlertRules,
+    createAlertRule,
+    updateAlertRule,
+    deleteAlertRule,
+    getAlertDeliveries,
+    deliverAlert
+} from "../services/sniper-alerts.js";
+
+function sessionUserId(req, res) {
+    const sessUser = req.session?.user;
+    if (!sessUser || !sessUser.id) {
+        res.status(401).json({ ok: false, error: "Not logged in" });
+        return null;
+    }
+    return sessUser.id;
+}
+
+function ruleIdParam(req, res) {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id) || id < 1) {
+        res.status(400).json({ ok: false, error: "Invalid rule id" });
+        return null;
+    }
+    return id;
+}
+
+// Sample listing sent by the test endpoint
+const TEST_LISTING = {
+    nftId: "0",
+    listingId: null,
+    playerName: "Test Alert",
+    teamName: "NFL ALL DAY",
+    tier: "Rare",
+    setName: "Test Set",
+    serialNumber: 1,
+    maxMint: 99,
+    listingPrice: 1,
+    floor: 2,
+    dealPercent: 50,
+    listingUrl: "https://nflallday.com"
+};
+
+export function registerSniperAlertRoutes(app) {
+    // GET /api/sniper/alerts - the user's rules with sent/failed delivery counts
+    app.get("/api/sniper/alerts", async (req, res) => {
+        const userId = sessionUserId(req, res);
+        if (!userId) return;
+        try {
+            const rules = await listAlertRules(userId);
+            return res.json({ ok: true, rules });
+        } catch (err) {
+            console.error("GET /api/sniper/alerts error:", err);
+            return res.status(500).json({ ok: false, error: err.message });
+        }
+    });
+
+    // POST /api/sniper/alerts { team?, player?, tier?, maxPrice?, maxSerial?, minDealScore?, jerseyMatch?, parallel?, webhookUrl, webhookFormat? }
+    app.post("/api/sniper/alerts", async (req, res) => {
+        const userId = sessionUserId(req, res);
+        if (!userId) return;
+        try {
+            const { rule, error } = validateAlertRule(req.body || {});
+            if (error) return res.status(400).json({ ok: false, error });
+            const created = await createAlertRule(userId, rule);
+            if (!created) return res.status(409).json({ ok: false, error: "Alert rule limit reached" });
+            return res.status(201).json({ ok: true, rule: created });
+        } catch (err) {
+            console.error("POST /api/sniper/alerts error:", err);
+            return res.status(500).json({ ok: false, error: err.message });
+        }
+    });
+
+    // PUT /api/sniper/alerts/:id - replace a rule (same body as POST)
+    app.put("/api/sniper/alerts/:id", async (req, res) => {
+        const userId = sessionUserId(req, res);
+        if (!userId) return;
+        const ruleId = ruleIdParam(req, res);
+        if (!ruleId) return;
+        try {
+            const { rule, error } = validateAlertRule(req.body || {});
+            if (error) return res.status(400).json({ ok: false, error });
+            const updated = await updateAlertRule(userId, ruleId, rule);
+            if (!updated) return res.status(404).json({ ok: false, error: "Rule not found" });
+            return res.json({ ok: true, rule: updated });
+        } catch (err) {
+            console.error("PUT /api/sniper/alerts/:id error:", err);
+            return res.status(500).json({ ok: false, error: err.message });
+        }
+    });
+
+    app.delete("/api/sniper/alerts/:id", async (req, res) => {
+        const userId = sessionUserId(req, res);
+        if (!userId) return;
+        const ruleId = ruleIdParam(req, res);
+        if (!ruleId) return;
+        try {
+            const deleted = await deleteAlertRule(userId, ruleId);
+            if (!deleted) return res.status(404).json({ ok: false, error: "Rule not found" });
+            return res.json({ ok: true });
+        } catch (err) {
+            console.error("DELETE /api/sniper/alerts/:id error:", err);
+            return res.status(500).json({ ok: false, error: err.message });
+        }
+    });
+
+    // GET /api/sniper/alerts/:id/deliveries?limit= - delivery attempts and failures, newest first
+    app.get("/api/sniper/alerts/:id/deliveries", async (req, res) => {
+        const userId = sessionUserId(req, res);
+        if (!userId) return;
+        const ruleId = ruleIdParam(req, res);
+        if (!ruleId) return;
+        try {
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+            const deliveries = await getAlertDeliveries(userId, ruleId, limit);
+            if (!deliveries) return res.status(404).json({ ok: false, error: "Rule not found" });
+            return res.json({ ok: true, ruleId, deliveries });
+        } catch (err) {
+            console.error("GET /api/sniper/alerts/:id/deliveries error:", err);
+            return res.status(500).json({ ok: false, error: err.message });
+        }
+    });
+
+    // POST /api/sniper/alerts/:id/test - send a sample listing to the rule's webhook (logged like any delivery)
+    app.post("/api/sniper/alerts/:id/test", async (req, res) => {
+        const userId = sessionUserId(req, res);
+        if (!userId) return;
+        const ruleId = ruleIdParam(req, res);
+        if (!ruleId) return;
+        try {
+            const rule = (await listAlertRules(userId)).find(r => r.id === ruleId);
+            if (!rule) return res.status(404).json({ ok: false, error: "Rule not found" });
+            const outcome = await deliverAlert(rule, { ...TEST_LISTING, listedAt: new Date().toISOString() }, { test: true });
+            return res.json({ ok: outcome.ok, delivery: outcome });
+        } catch (err) {
+            console.error("POST /api/sniper/alerts/:id/test error:", err);
+            return res.status(500).json({ ok: false, error: err.message });
+        }
+    });
+}
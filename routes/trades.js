@@ -0,0 +1,51 @@
+// Trade Routes - Swap partners for set completion
+import { findTradeMatches } from "../services/trade-matcher.js";
+
+// Matches per wallet (computed at MAX_MATCHES, sliced to ?limit=)
+const tradeMatchCache = new Map(); // wallet -> { result, time }
+const TRADE_MATCH_CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+const TRADE_MATCH_CACHE_MAX = 500;
+const MAX_MATCHES = 100;
+
+export function registerTradeRoutes(app) {
+    // Public: wallets holding editions this wallet is missing that in turn are missing its duplicates,
+    // best one-for-one swap count and value balance first. ?limit= (default 25, max 100)
+    app.get("/api/trade-matches", async (req, res) => {
+        try {
+            const wallet = (req.query.wallet || "").toString().trim().toLowerCase();
+            if (!wallet) {
+                return res.status(400).json({ ok: false, error: "Missing ?wallet=0x..." });
+            }
+            if (!/^0x[0-9a-f]{4,64}$/.test(wallet)) {
+                return res.status(400).json({ ok: false, error: "Invalid wallet format" });
+            }
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), MAX_MATCHES);
+
+            const now = Date.now();
+            let entry = tradeMatchCache.get(wallet);
+            const cached = !!entry && (now - entry.time) < TRADE_MATCH_CACHE_TTL;
+            if (!cached) {
+                entry = { result: await findTradeMatches(wallet, { limit: MAX_MATCHES }), time: now };
+                tradeMatchCache.delete(wallet);
+                tradeMatchCache.set(wallet, entry);
+                // Oldest entries go first
+                while (tradeMatchCache.size > TRADE_MATCH_CACHE_MAX) {
+                    tradeMatchCache.delete(tradeMatchCache.keys().next().value);
+                }
+            }
+
+            const { matches, ...summary } = entry.result;
+            return res.json({
+                ok: true,
+                wallet,
+                ...summary,
+                matches: matches.slice(0, limit),
+                cached,
+                cache_age_minutes: Math.round((now - entry.time) / 60000)
+            });
+        } catch (err) {
+            console.error("Error in /api/trade-matches:", err);
+            return res.status(500).json({ ok: false, error: err.message });
+        }
+    });
+}
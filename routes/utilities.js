@@ -1,5 +1,6 @@
 // Utility Routes - Serial finder and wallet comparison endpoints
 import { pgQuery } from "../db.js";
+import { parseCompareWallets, compareWallets, paginateComparison, comparisonToCsv } from "../services/wallet-compare.js";
 
 /**
  * Register utility routes
@@ -103,63 +104,38 @@ export function registerUtilityRoutes(app) {
         }
     });
 
-    // Wallet Comparison - compare two wallets
+    // Wallet Comparison - compare 2-10 wallets (?wallets=0x..,0x.. or ?wallet1=&wallet2=)
+    // Edition lists and per-set overlap are paginated with ?page= and ?page_size= (default 50, max 500);
+    // ?format=csv downloads every edition with copies per wallet instead
     app.get("/api/wallet-compare", async (req, res) => {
         try {
-            const w1 = (req.query.wallet1 || "").toString().trim().toLowerCase();
-            const w2 = (req.query.wallet2 || "").toString().trim().toLowerCase();
+            const { wallets, error } = parseCompareWallets(req.query);
+            if (error) return res.status(400).json({ ok: false, error });
 
-            if (!w1 || !w2) return res.status(400).json({ ok: false, error: "Missing wallet1 or wallet2" });
+            const comparison = await compareWallets(wallets);
 
-            const statsQuery = `
-        SELECT 
-          h.wallet_address,
-          p.display_name,
-          COUNT(*)::int as total,
-          COUNT(*) FILTER (WHERE h.is_locked)::int as locked,
-          COUNT(*) FILTER (WHERE UPPER(m.tier) = 'COMMON')::int as common,
-          COUNT(*) FILTER (WHERE UPPER(m.tier) = 'UNCOMMON')::int as uncommon,
-          COUNT(*) FILTER (WHERE UPPER(m.tier) = 'RARE')::int as rare,
-          COUNT(*) FILTER (WHERE UPPER(m.tier) = 'LEGENDARY')::int as legendary,
-          COUNT(*) FILTER (WHERE UPPER(m.tier) = 'ULTIMATE')::int as ultimate,
-          COALESCE(SUM(eps.lowest_ask_usd), 0)::numeric as floor_value
-        FROM holdings h
-        LEFT JOIN nft_core_metadata_v2 m ON m.nft_id = h.nft_id
-        LEFT JOIN wallet_profiles p ON p.wallet_address = h.wallet_address
-        LEFT JOIN edition_price_scrape eps ON eps.edition_id = m.edition_id
-        WHERE h.wallet_address = $1
-        GROUP BY h.wallet_address, p.display_name
-      `;
+            if ((req.query.format || "").toString().toLowerCase() === "csv") {
+                res.setHeader("Content-Type", "text/csv; charset=utf-8");
+                res.setHeader("Content-Disposition", `attachment; filename="wallet-compare-${wallets.length}-wallets.csv"`);
+                return res.send(comparisonToCsv(comparison));
+            }
 
-            const [r1, r2] = await Promise.all([
-                pgQuery(statsQuery, [w1]),
-                pgQuery(statsQuery, [w2])
-            ]);
-
-            const s1 = r1.rows[0] || { total: 0, locked: 0, common: 0, uncommon: 0, rare: 0, legendary: 0, ultimate: 0, floor_value: 0 };
-            const s2 = r2.rows[0] || { total: 0, locked: 0, common: 0, uncommon: 0, rare: 0, legendary: 0, ultimate: 0, floor_value: 0 };
-
-            // Shared editions
-            const sharedResult = await pgQuery(
-                `SELECT COUNT(DISTINCT m1.edition_id)::int as shared_editions,
-                COUNT(DISTINCT CONCAT(m1.first_name, m1.last_name))::int as shared_players
-         FROM holdings h1
-         JOIN nft_core_metadata_v2 m1 ON m1.nft_id = h1.nft_id
-         WHERE h1.wallet_address = $1
-           AND m1.edition_id IN (
-             SELECT m2.edition_id FROM holdings h2
-             JOIN nft_core_metadata_v2 m2 ON m2.nft_id = h2.nft_id
-             WHERE h2.wallet_address = $2
-           )`,
-                [w1, w2]
-            );
+            const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+            const pageSize = Math.min(Math.max(parseInt(req.query.page_size, 10) || 50, 1), 500);
+            const result = paginateComparison(comparison, page, pageSize);
+
+            // Original two-wallet response fields
+            if (req.query.wallets === undefined) {
+                const bothOwn = comparison.editions.filter(e => e.copies[0] > 0 && e.copies[1] > 0);
+                result.wallet1 = comparison.wallets[0];
+                result.wallet2 = comparison.wallets[1];
+                result.shared = {
+                    shared_editions: bothOwn.length,
+                    shared_players: new Set(bothOwn.map(e => e.player_name)).size
+                };
+            }
 
-            return res.json({
-                ok: true,
-                wallet1: { address: w1, display_name: s1.display_name, ...s1 },
-                wallet2: { address: w2, display_name: s2.display_name, ...s2 },
-                shared: sharedResult.rows[0] || { shared_editions: 0, shared_players: 0 }
-            });
+            return res.json({ ok: true, ...result });
         } catch (err) {
             console.error("Error in /api/wallet-compare:", err);
             return res.status(500).json({ ok: false, error: err.message });
@@ -0,0 +1,23 @@
+// Wallet History Routes - Portfolio value over time from the nightly wallet_value_history snapshots
+import { getWalletValueHistory } from "../services/wallet-value-history.js";
+
+export function registerWalletHistoryRoutes(app) {
+    // Public: daily moment count, floor/ASP value and tier breakdown, with gains over 7d/30d/90d/all
+    app.get("/api/wallet-history", async (req, res) => {
+        try {
+            const wallet = (req.query.wallet || "").toString().trim().toLowerCase();
+            if (!wallet) {
+                return res.status(400).json({ ok: false, error: "Missing ?wallet=0x..." });
+            }
+            if (!/^0x[0-9a-f]{4,64}$/.test(wallet)) {
+                return res.status(400).json({ ok: false, error: "Invalid wallet format" });
+            }
+
+            const { series, gains } = await getWalletValueHistory(wallet);
+            return res.json({ ok: true, wallet, gains, series });
+        } catch (err) {
+            console.error("Error in /api/wallet-history:", err);
+            return res.status(500).json({ ok: false, error: err.message });
+        }
+    });
+}
@@ -0,0 +1,23 @@
+// Wallet P&L Routes - Cost basis and realized/unrealized gains per wallet
+import { getWalletPnl } from "../services/cost-basis.js";
+
+export function registerWalletPnlRoutes(app) {
+    // Public: per-moment cost, current value and unrealized gain, plus realized gains on moments sold
+    app.get("/api/wallet-pnl", async (req, res) => {
+        try {
+            const wallet = (req.query.wallet || "").toString().trim().toLowerCase();
+            if (!wallet) {
+                return res.status(400).json({ ok: false, error: "Missing ?wallet=0x..." });
+            }
+            if (!/^0x[0-9a-f]{4,64}$/.test(wallet)) {
+                return res.status(400).json({ ok: false, error: "Invalid wallet format" });
+            }
+
+            const { holdings, realized, totals } = await getWalletPnl(wallet);
+            return res.json({ ok: true, wallet, totals, holdings, realized });
+        } catch (err) {
+            console.error("Error in /api/wallet-pnl:", err);
+            return res.status(500).json({ ok: false, error: err.message });
+        }
+    });
+}
@@ -3,10 +3,14 @@
  * 
  * Queries Flow blockchain for AllDay.Deposit events to determine
  * when each user ACTUALLY acquired their NFTs (not global transfer data)
+ *
+ * The acquiring transaction is recorded in moment_acquisitions so /api/wallet-pnl
+ * can price the purchase from the storefront listing completed in it.
  */
 
 import * as fcl from "@onflow/fcl";
 import { pgQuery } from '../db.js';
+import { recordAcquisition } from '../services/cost-basis.js';
 
 // Configure FCL
 fcl.config()
@@ -66,7 +70,8 @@ async function backfillWalletAcquisitions(walletAddress, options = {}) {
     const {
         batchSize = 50,
         startBlock = 7600000, // AllDay launch block (approximate)
-        endBlock = null
+        endBlock = null,
+        nftIds = null // Only these NFTs (repair mode)
     } = options;
 
     console.log(`\n=== Backfilling Acquisition Dates for ${walletAddress} ===\n`);
@@ -81,8 +86,9 @@ async function backfillWalletAcquisitions(walletAddress, options = {}) {
       SELECT nft_id, acquired_at
       FROM holdings
       WHERE wallet_address = $1
+        AND ($2::text[] IS NULL OR nft_id = ANY($2::text[]))
       ORDER BY nft_id
-    `, [walletAddress]);
+    `, [walletAddress, nftIds]);
 
         console.log(`Found ${holdings.rows.length} NFTs to process\n`);
 
@@ -114,6 +120,16 @@ async function backfillWalletAcquisitions(walletAddress, options = {}) {
             WHERE wallet_address = $2 AND nft_id = $3
           `, [acquisition.timestamp, walletAddress, holding.nft_id]);
 
+                    // Keep the acquiring transaction for cost basis
+                    await recordAcquisition({
+                        wallet: walletAddress,
+                        nftId: holding.nft_id,
+                        txId: acquisition.txId,
+                        acquiredAt: acquisition.timestamp,
+                        blockHeight: acquisition.blockHeight,
+                        from: acquisition.from
+                    });
+
                     // Also store in ownership_history if table exists
                     try {
                         await pgQuery(`
@@ -60,6 +60,8 @@ async function fetchEventsInRange(startHeight, endHeight) {
                             block_height: event.block_height,
                             block_timestamp: event.block_timestamp,
                             transaction_id: event.transaction_id,
+                            transaction_index: event.transaction_index,
+                            event_index: event.event_index,
                             payload: event.payload
                         });
                     }
@@ -0,0 +1,131 @@
+// scripts/backfill_sales_from_snowflake.js
+// Backfill the sales table from Snowflake: every purchased AllDay NFTStorefront listing,
+// priced from its ListingAvailable event, with the buyer from the AllDay Deposit in the same transaction.
+// Safe to re-run; existing sales only get missing fields filled in.
+//
+// Usage:
+//   node scripts/backfill_sales_from_snowflake.js                    # Last 30 days
+//   node scripts/backfill_sales_from_snowflake.js --days=365
+//   node scripts/backfill_sales_from_snowflake.js --since=2024-09-01 [--until=2024-12-31]
+
+import * as dotenv from "dotenv";
+import { executeSnowflakeWithRetry, delay, createSnowflakeConnection } from "./snowflake-utils.js";
+import { upsertSales, ensureSalesTable } from "../services/sales-ledger.js";
+
+dotenv.config();
+
+const STOREFRONT_CONTRACT = "A.4eb8a10cb9f87357.NFTStorefront";
+const ALLDAY_CONTRACT = "A.e4cf4bdc1751c65d.AllDay";
+const ALLDAY_NFT_TYPE = `${ALLDAY_CONTRACT}.NFT`;
+const WINDOW_DAYS = 7; // Query one week at a time
+const WINDOW_DELAY_MS = 500;
+const UPSERT_BATCH = 1000;
+
+const args = process.argv.slice(2);
+const getArg = (name) => {
+    const found = args.find(a => a.startsWith(`--${name}=`));
+    return found ? found.split("=").slice(1).join("=").trim() : null;
+};
+
+const toSnowflakeTime = (date) => date.toISOString().replace("T", " ").substring(0, 19);
+
+function buildSalesSql(start, end) {
+    const from = toSnowflakeTime(start);
+    const to = toSnowflakeTime(end);
+    return `
+      WITH completed AS (
+        SELECT TX_ID, BLOCK_HEIGHT, BLOCK_TIMESTAMP,
+               EVENT_DATA:listingResourceID::STRING AS listing_id,
+               EVENT_DATA:nftID::STRING AS nft_id
+        FROM FLOW_ONCHAIN_CORE_DATA.CORE.FACT_EVENTS
+        WHERE EVENT_CONTRACT = '${STOREFRONT_CONTRACT}'
+          AND EVENT_TYPE = 'ListingCompleted'
+          AND EVENT_DATA:purchased::BOOLEAN = TRUE
+          AND EVENT_DATA:nftType:typeID::STRING = '${ALLDAY_NFT_TYPE}'
+          AND TX_SUCCEEDED = TRUE
+          AND BLOCK_TIMESTAMP >= '${from}' AND BLOCK_TIMESTAMP < '${to}'
+      ),
+      listed AS (
+        SELECT EVENT_DATA:listingResourceID::STRING AS listing_id,
+               EVENT_DATA:price::FLOAT AS price,
+               LOWER(EVENT_DATA:storefrontAddress::STRING) AS seller
+        FROM FLOW_ONCHAIN_CORE_DATA.CORE.FACT_EVENTS
+        WHERE EVENT_CONTRACT = '${STOREFRONT_CONTRACT}'
+          AND EVENT_TYPE = 'ListingAvailable'
+          AND EVENT_DATA:nftType:typeID::STRING = '${ALLDAY_NFT_TYPE}'
+          AND TX_SUCCEEDED = TRUE
+          AND BLOCK_TIMESTAMP < '${to}'
+          AND EVENT_DATA:listingResourceID::STRING IN (SELECT listing_id FROM completed)
+      ),
+      deposits AS (
+        SELECT TX_ID, EVENT_DATA:id::STRING AS nft_id, LOWER(EVENT_DATA:to::STRING) AS buyer
+        FROM FLOW_ONCHAIN_CORE_DATA.CORE.FACT_EVENTS
+        WHERE EVENT_CONTRACT = '${ALLDAY_CONTRACT}'
+          AND EVENT_TYPE = 'Deposit'
+          AND TX_SUCCEEDED = TRUE
+          AND BLOCK_TIMESTAMP >= '${from}' AND BLOCK_TIMESTAMP < '${to}'
+          AND TX_ID IN (SELECT TX_ID FROM completed)
+      )
+      SELECT c.TX_ID AS tx_id, c.BLOCK_HEIGHT AS block_height, c.BLOCK_TIMESTAMP AS block_timestamp,
+             c.nft_id, c.listing_id, l.price, l.seller, d.buyer
+      FROM completed c
+      LEFT JOIN listed l ON l.listing_id = c.listing_id
+      LEFT JOIN deposits d ON d.TX_ID = c.TX_ID AND d.nft_id = c.nft_id
+    `;
+}
+
+async function main() {
+    const until = getArg("until") ? new Date(getArg("until")) : new Date();
+    const since = getArg("since")
+        ? new Date(getArg("since"))
+        : new Date(until.getTime() - (parseInt(getArg("days"), 10) || 30) * 24 * 60 * 60 * 1000);
+    if (isNaN(since.getTime()) || isNaN(until.getTime()) || since >= until) {
+        throw new Error("Invalid date range (use --since=YYYY-MM-DD [--until=YYYY-MM-DD] or --days=N)");
+    }
+
+    console.log(`[Sales Backfill] ${since.toISOString()} → ${until.toISOString()}`);
+    await ensureSalesTable();
+    const connection = await createSnowflakeConnection();
+
+    let totalFound = 0;
+    let totalWritten = 0;
+    let unpriced = 0;
+    for (let start = since; start < until;) {
+        const end = new Date(Math.min(start.getTime() + WINDOW_DAYS * 24 * 60 * 60 * 1000, until.getTime()));
+        const rows = await executeSnowflakeWithRetry(connection, buildSalesSql(start, end));
+
+        const sales = rows.map(row => {
+            const price = row.PRICE ?? row.price;
+            if (price === null || price === undefined) unpriced++;
+            return {
+                txId: row.TX_ID || row.tx_id,
+                nftId: (row.NFT_ID || row.nft_id).toString(),
+                listingId: row.LISTING_ID || row.listing_id || null,
+                priceUsd: price !== null && price !== undefined ? Number(price) : null,
+                buyer: row.BUYER || row.buyer || null,
+                seller: row.SELLER || row.seller || null,
+                blockHeight: Number(row.BLOCK_HEIGHT || row.block_height) || null,
+                soldAt: new Date(row.BLOCK_TIMESTAMP || row.block_timestamp),
+                source: "snowflake"
+            };
+        });
+
+        for (let i = 0; i < sales.length; i += UPSERT_BATCH) {
+            totalWritten += await upsertSales(sales.slice(i, i + UPSERT_BATCH));
+        }
+        totalFound += sales.length;
+        console.log(`[Sales Backfill]   ${start.toISOString().slice(0, 10)} → ${end.toISOString().slice(0, 10)}: ${sales.length} sales`);
+
+        start = end;
+        await delay(WINDOW_DELAY_MS);
+    }
+
+    console.log(`[Sales Backfill] ✅ ${totalFound} sales found, ${totalWritten} rows inserted/updated (${unpriced} without a listing price)`);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((err) => {
+        console.error("[Sales Backfill] 💥", err.message);
+        process.exit(1);
+    });
@@ -0,0 +1,60 @@
+// scripts/backtest_deal_scores.js
+// Replay the sniper's past listings against later sales to check the deal score's premium weights.
+// Prints precision and average realized discount per score bucket and per multiplier, plus the
+// multiplier each premium's sales imply. Try other weights with --weights before setting DEAL_SCORE_WEIGHTS.
+//
+// Usage:
+//   node scripts/backtest_deal_scores.js [--days=90] [--horizon=30]
+//   node scripts/backtest_deal_scores.js --weights='{"serialOne":6,"jerseyMatch":3}'
+
+import * as dotenv from "dotenv";
+import { runDealScoreBacktest } from "../services/deal-backtest.js";
+import { parsePremiumWeights, PREMIUM_WEIGHTS } from "../services/valuation.js";
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const getArg = (name) => {
+    const found = args.find(a => a.startsWith(`--${name}=`));
+    return found ? found.split("=").slice(1).join("=").trim() : null;
+};
+
+const pct = (v) => (v === null ? "—" : `${Math.round(v * 100)}%`);
+
+async function main() {
+    const days = parseInt(getArg("days"), 10) || 90;
+    const horizonDays = parseInt(getArg("horizon"), 10) || 30;
+    let weights = PREMIUM_WEIGHTS;
+    if (getArg("weights")) {
+        const parsed = parsePremiumWeights(getArg("weights"));
+        if (parsed.error) throw new Error(parsed.error);
+        weights = parsed.weights;
+    }
+
+    console.log(`[Backtest] Listings from the last ${days} days, sales up to ${horizonDays} days after each listing`);
+    console.log(`[Backtest] Weights: ${JSON.stringify(weights)}`);
+    const { warnings, overall, byScore, byMultiplier } = await runDealScoreBacktest({ days, horizonDays, weights });
+    for (const warning of warnings) console.warn(`[Backtest] ⚠️  ${warning}`);
+
+    console.log(`\n${overall.listings} listings, ${overall.resolved} with comparable sales, ${overall.deals} scored as deals`);
+    console.log(`Deal precision: ${pct(overall.precision)}, avg realized discount: ${overall.avgRealizedDiscount ?? "—"}%`);
+
+    console.log("\nBy score bucket:");
+    console.table(byScore.map(b => ({
+        bucket: b.bucket, listings: b.listings, resolved: b.resolved,
+        hitRate: pct(b.hitRate), avgScore: b.avgScore, avgRealizedDiscount: b.avgRealizedDiscount
+    })));
+
+    console.log("By multiplier:");
+    console.table(byMultiplier.map(m => ({
+        premium: m.reason, weight: m.weight, implied: m.impliedMultiplier, listings: m.listings,
+        resolved: m.resolved, precision: pct(m.precision), avgScore: m.avgScore, avgRealizedDiscount: m.avgRealizedDiscount
+    })));
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((err) => {
+        console.error("[Backtest] 💥", err.message);
+        process.exit(1);
+    });
@@ -0,0 +1,112 @@
+// scripts/grant_role.js
+// Admin CLI for user roles (user, premium, admin)
+//
+// Usage:
+//   node scripts/grant_role.js --email=someone@example.com --role=admin
+//   node scripts/grant_role.js --wallet=0x7541bafd155b683e --role=premium
+//   node scripts/grant_role.js --list
+//   node scripts/grant_role.js --audit [--limit=50]
+
+import * as dotenv from "dotenv";
+import { pgQuery } from "../db.js";
+import { ROLES, ensureAccessControlSchema, setUserRole, recordAuditEvent } from "../services/access-control.js";
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const getArg = (name) => {
+    const found = args.find(a => a.startsWith(`--${name}=`));
+    return found ? found.split("=").slice(1).join("=").trim() : null;
+};
+
+const email = getArg("email")?.toLowerCase() || null;
+const wallet = getArg("wallet")?.toLowerCase() || null;
+const role = getArg("role")?.toLowerCase() || null;
+const limit = parseInt(getArg("limit"), 10) || 50;
+
+async function findUser() {
+    if (email) {
+        const { rows } = await pgQuery(
+            `SELECT id, TRIM(email) AS email, default_wallet_address, role FROM public.users WHERE LOWER(TRIM(email)) = $1`,
+            [email]
+        );
+        return rows[0] || null;
+    }
+
+    let addr = wallet.startsWith("0x") ? wallet.substring(2) : wallet;
+    addr = "0x" + addr.padStart(16, "0");
+    // Wallet logins use synthetic emails (flow:0x... / dapper:0x...)
+    const { rows } = await pgQuery(
+        `SELECT id, TRIM(email) AS email, default_wallet_address, role
+         FROM public.users
+         WHERE TRIM(email) IN ('flow:' || $1, 'dapper:' || $1)
+         ORDER BY id
+         LIMIT 1`,
+        [addr]
+    );
+    return rows[0] || null;
+}
+
+async function listPrivilegedUsers() {
+    const { rows } = await pgQuery(`
+      SELECT id, TRIM(email) AS email, default_wallet_address, role
+      FROM public.users
+      WHERE role <> 'user'
+      ORDER BY role, id
+    `);
+    if (!rows.length) {
+        console.log("No users with elevated roles.");
+        return;
+    }
+    console.table(rows);
+}
+
+async function showAuditLog() {
+    const { rows } = await pgQuery(`
+      SELECT created_at, actor, role, action, status_code, outcome, ip
+      FROM admin_audit_log
+      ORDER BY created_at DESC
+      LIMIT $1
+    `, [limit]);
+    console.table(rows);
+}
+
+async function main() {
+    await ensureAccessControlSchema();
+
+    if (args.includes("--list")) return listPrivilegedUsers();
+    if (args.includes("--audit")) return showAuditLog();
+
+    if ((!email && !wallet) || !role) {
+        throw new Error("Usage: node scripts/grant_role.js (--email=... | --wallet=0x...) --role=" + ROLES.join("|"));
+    }
+    if (!ROLES.includes(role)) {
+        throw new Error(`Unknown role "${role}" (expected one of: ${ROLES.join(", ")})`);
+    }
+
+    const user = await findUser();
+    if (!user) {
+        throw new Error(`No user found for ${email || wallet}`);
+    }
+
+    const previousRole = user.role;
+    const updated = await setUserRole(user.id, role);
+    console.log(`[Roles] ✅ ${updated.email}: ${previousRole} → ${updated.role}`);
+
+    const osUser = process.env.USER || process.env.USERNAME || "unknown";
+    await recordAuditEvent({
+        userId: user.id,
+        actor: `cli:${osUser}`,
+        role: "admin",
+        action: "grant_role",
+        params: { email: updated.email, from: previousRole, to: role },
+        outcome: "ok"
+    });
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((err) => {
+        console.error("[Roles] 💥", err.message);
+        process.exit(1);
+    });
@@ -0,0 +1,78 @@
+// scripts/import_cost_basis_csv.js
+// Import purchase prices we can't see on chain (e.g. bought before the sales ledger, or off-platform)
+// into cost_basis_imports, used by /api/wallet-pnl when no on-chain purchase is known.
+// Run: node scripts/import_cost_basis_csv.js <path-to-csv> [--wallet=0x...]
+//
+// Columns (header row required, case-insensitive):
+//   wallet_address, nft_id, price_usd, acquired_at (optional, ISO date), note (optional)
+// --wallet= fills in wallet_address for files without that column.
+
+import * as dotenv from "dotenv";
+import fs from "fs";
+import { parse } from "csv-parse";
+import { importCostBasis } from "../services/cost-basis.js";
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+const args = process.argv.slice(2);
+const getArg = (name) => {
+    const found = args.find(a => a.startsWith(`--${name}=`));
+    return found ? found.split("=").slice(1).join("=").trim() : null;
+};
+
+async function main() {
+    const csvPath = args.find(a => !a.startsWith("--"));
+    if (!csvPath) {
+        console.log("Usage: node scripts/import_cost_basis_csv.js <path-to-csv> [--wallet=0x...]");
+        console.log("Columns: wallet_address, nft_id, price_usd, acquired_at (optional), note (optional)");
+        process.exit(1);
+    }
+    if (!fs.existsSync(csvPath)) {
+        throw new Error(`File not found: ${csvPath}`);
+    }
+    const defaultWallet = getArg("wallet");
+
+    const parser = fs.createReadStream(csvPath).pipe(parse({
+        columns: header => header.map(h => h.trim().toLowerCase()),
+        skip_empty_lines: true,
+        trim: true
+    }));
+
+    let line = 1;
+    let imported = 0;
+    let skipped = 0;
+    let batch = [];
+    for await (const record of parser) {
+        line++;
+        const wallet = (record.wallet_address || defaultWallet || "").toLowerCase();
+        const nftId = record.nft_id;
+        const priceUsd = parseFloat((record.price_usd || "").replace(/[$,]/g, ""));
+        const acquiredAt = record.acquired_at ? new Date(record.acquired_at) : null;
+
+        if (!/^0x[0-9a-f]{4,64}$/.test(wallet) || !nftId || !Number.isFinite(priceUsd) || priceUsd < 0
+            || (acquiredAt && isNaN(acquiredAt.getTime()))) {
+            console.warn(`[Cost Basis Import] ⚠️  Skipping line ${line}: needs wallet_address, nft_id, price_usd and a valid acquired_at`);
+            skipped++;
+            continue;
+        }
+
+        batch.push({ wallet, nftId, priceUsd, acquiredAt, note: record.note || null });
+        if (batch.length >= BATCH_SIZE) {
+            imported += await importCostBasis(batch);
+            batch = [];
+            console.log(`[Cost Basis Import]   ${imported} rows imported...`);
+        }
+    }
+    if (batch.length) imported += await importCostBasis(batch);
+
+    console.log(`[Cost Basis Import] ✅ ${imported} purchase prices imported, ${skipped} lines skipped`);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((err) => {
+        console.error("[Cost Basis Import] 💥", err.message);
+        process.exit(1);
+    });
@@ -7,6 +7,7 @@ import { pgQuery } from "../db.js";
 import { executeSnowflakeWithRetry, createSnowflakeConnection } from "./snowflake-utils.js";
 import * as flowService from "../services/flow-blockchain.js";
 import { syncLeaderboards } from "./sync_leaderboards.js";
+import { recordPriceSnapshot } from "../services/price-history.js";
 
 dotenv.config();
 
@@ -625,6 +626,7 @@ async function syncPrices(connection) {
                 const chunk = rows.slice(i, i + CHUNK_SIZE);
                 const values = [];
                 const params = [];
+                const chunkEditionIds = [];
                 let paramIdx = 1;
 
                 for (const row of chunk) {
@@ -637,6 +639,7 @@ async function syncPrices(connection) {
 
                     values.push(`($${paramIdx++}, $${paramIdx++}, $${paramIdx++}, $${paramIdx++})`);
                     params.push(editionId, lowSale, avgSale, topSale);
+                    chunkEditionIds.push(editionId);
                 }
 
                 if (values.length === 0) continue;
@@ -668,6 +671,7 @@ async function syncPrices(connection) {
         `;
 
                 await pgQuery(fixedSql, params);
+                await recordPriceSnapshot(chunkEditionIds, "snowflake");
                 inserted += chunk.length;
             }
 
@@ -0,0 +1,62 @@
+// scripts/rebuild_holdings_from_ledger.js
+// Rebuild holdings from the processed_events ledger.
+// Only NFTs with ledger history are touched; the result doesn't depend on the order events arrived in.
+// Dry run by default (changes are computed inside a transaction and rolled back).
+//
+// Usage:
+//   node scripts/rebuild_holdings_from_ledger.js                       # Dry run, every NFT in the ledger
+//   node scripts/rebuild_holdings_from_ledger.js --apply
+//   node scripts/rebuild_holdings_from_ledger.js --wallet=0x7541bafd155b683e --apply
+//   node scripts/rebuild_holdings_from_ledger.js --nft=1234567,7654321
+
+import * as dotenv from "dotenv";
+import { pgQuery } from "../db.js";
+import { ensureProcessedEventsTable, rebuildHoldingsFromLedger } from "../services/event-processor.js";
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const getArg = (name) => {
+    const found = args.find(a => a.startsWith(`--${name}=`));
+    return found ? found.split("=").slice(1).join("=").trim() : null;
+};
+
+const apply = args.includes("--apply");
+const wallet = getArg("wallet")?.toLowerCase() || null;
+const nftArg = getArg("nft");
+
+async function main() {
+    await ensureProcessedEventsTable();
+
+    let nftIds = null;
+    if (nftArg) {
+        nftIds = nftArg.split(",").map(id => id.trim()).filter(Boolean);
+    } else if (wallet) {
+        // Anything the wallet holds now or has received according to the ledger
+        const { rows } = await pgQuery(
+            `SELECT nft_id FROM holdings WHERE wallet_address = $1
+             UNION
+             SELECT nft_id FROM processed_events WHERE to_address = $1 AND nft_id IS NOT NULL`,
+            [wallet]
+        );
+        nftIds = rows.map(r => r.nft_id.toString());
+        console.log(`[Rebuild] ${nftIds.length} NFTs linked to ${wallet}`);
+    }
+
+    console.log(`[Rebuild] ${apply ? "Applying" : "Dry run"}...`);
+    const result = await rebuildHoldingsFromLedger({ nftIds, dryRun: !apply });
+
+    console.log(`[Rebuild] NFTs with ledger history: ${result.nfts}`);
+    console.log(`[Rebuild]   owner from ledger: ${result.owned}, burned: ${result.burned}, lock flag only: ${result.lockOnly}`);
+    console.log(`[Rebuild] Holdings rows ${apply ? "changed" : "that would change"}: ${result.changed}`);
+    if (!apply && result.changed > 0) {
+        console.log("[Rebuild] Re-run with --apply to write these changes");
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((err) => {
+        console.error("[Rebuild] 💥", err.message);
+        process.exit(1);
+    });
@@ -0,0 +1,102 @@
+// scripts/reconcile_holdings.js
+// Compare holdings with on-chain ownership and review/apply the fixes.
+// Replaces the one-off ghost cleanup / restore scripts: reports are read-only until approved.
+//
+// Usage:
+//   node scripts/reconcile_holdings.js --wallet=0x7541bafd155b683e   # Check one wallet
+//   node scripts/reconcile_holdings.js --all [--limit=500]           # Check every wallet in holdings
+//   node scripts/reconcile_holdings.js --list                        # Recent reports
+//   node scripts/reconcile_holdings.js --show=12 [--kind=ghost]      # Report details
+//   node scripts/reconcile_holdings.js --approve=12                  # Apply report #12
+//   node scripts/reconcile_holdings.js --reject=12
+
+import * as dotenv from "dotenv";
+import {
+    DISCREPANCY_KINDS,
+    runReconciliation,
+    listReports,
+    getReport,
+    approveReport,
+    rejectReport
+} from "../services/holdings-reconciliation.js";
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const getArg = (name) => {
+    const found = args.find(a => a.startsWith(`--${name}=`));
+    return found ? found.split("=").slice(1).join("=").trim() : null;
+};
+
+const actor = `cli:${process.env.USER || process.env.USERNAME || "unknown"}`;
+
+function printReport(report) {
+    const summary = report.summary || {};
+    console.log(`\nReport #${report.id} (${report.scope}${report.wallet_address ? ` ${report.wallet_address}` : ""}) - ${report.status}`);
+    console.log(`  Wallets checked: ${report.wallets_checked} (${report.wallets_failed} failed)`);
+    for (const kind of DISCREPANCY_KINDS) {
+        console.log(`  ${kind.padEnd(12)} ${summary[kind] ?? 0}`);
+    }
+    if (summary.unverified_locked) {
+        console.log(`  Skipped ${summary.unverified_locked} locked holdings (NFTLocker read returned nothing)`);
+    }
+    if (report.error) console.log(`  Error: ${report.error}`);
+}
+
+async function main() {
+    if (args.includes("--list")) {
+        const reports = await listReports(parseInt(getArg("limit"), 10) || 20);
+        console.table(reports.map(r => ({
+            id: r.id, scope: r.scope, wallet: r.wallet_address, status: r.status,
+            discrepancies: r.discrepancy_count, created_at: r.created_at, reviewed_by: r.reviewed_by
+        })));
+        return;
+    }
+
+    const showId = getArg("show");
+    if (showId) {
+        const kind = getArg("kind");
+        const report = await getReport(parseInt(showId, 10), { kind, limit: parseInt(getArg("limit"), 10) || 200 });
+        if (!report) throw new Error(`Report #${showId} not found`);
+        printReport(report);
+        console.table(report.discrepancies);
+        return;
+    }
+
+    const approveId = getArg("approve");
+    if (approveId) {
+        const report = await approveReport(parseInt(approveId, 10), actor);
+        console.log(`[Reconcile] ✅ Report #${report.id} applied (${report.rows_applied} holdings rows changed)`);
+        return;
+    }
+
+    const rejectId = getArg("reject");
+    if (rejectId) {
+        const report = await rejectReport(parseInt(rejectId, 10), actor);
+        if (!report) throw new Error(`Report #${rejectId} not found or not pending`);
+        console.log(`[Reconcile] Report #${report.id} rejected`);
+        return;
+    }
+
+    const wallet = getArg("wallet");
+    if (!wallet && !args.includes("--all")) {
+        throw new Error("Usage: node scripts/reconcile_holdings.js (--wallet=0x... | --all | --list | --show=ID | --approve=ID | --reject=ID)");
+    }
+
+    const report = await runReconciliation({
+        wallet,
+        limit: parseInt(getArg("limit"), 10) || null,
+        createdBy: actor
+    });
+    printReport(report);
+    if (report.status === "pending" && report.discrepancy_count > 0) {
+        console.log(`\nReview with --show=${report.id}, then apply with --approve=${report.id}`);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((err) => {
+        console.error("[Reconcile] 💥", err.message);
+        process.exit(1);
+    });
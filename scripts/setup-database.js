@@ -4,6 +4,9 @@
 
 import * as dotenv from "dotenv";
 import { pgQuery } from "../db.js";
+import { ensurePriceHistoryTable } from "../services/price-history.js";
+import { ensureWalletValueHistoryTable } from "../services/wallet-value-history.js";
+import { ensureListingHistoryTable } from "../services/deal-backtest.js";
 
 dotenv.config();
 
@@ -17,7 +20,6 @@ async function setupDatabase() {
   await pgQuery(`DROP TABLE IF EXISTS top_wallets_by_tier_snapshot CASCADE;`);
   await pgQuery(`DROP TABLE IF EXISTS top_wallets_by_value_snapshot CASCADE;`);
   await pgQuery(`DROP TABLE IF EXISTS edition_price_scrape CASCADE;`);
-  await pgQuery(`DROP TABLE IF EXISTS wallet_value_history CASCADE;`);
   console.log("✅ Old tables dropped\n");
 
   // 1. Users table (authentication, subscriptions)
@@ -34,7 +36,8 @@ async function setupDatabase() {
       stripe_subscription_id TEXT,
       subscription_status TEXT DEFAULT 'free',
       subscription_plan TEXT,
-      subscription_expires_at TIMESTAMPTZ
+      subscription_expires_at TIMESTAMPTZ,
+      role TEXT NOT NULL DEFAULT 'user'
     );
   `);
   await pgQuery(`CREATE INDEX IF NOT EXISTS idx_users_email ON public.users(email);`);
@@ -119,22 +122,9 @@ async function setupDatabase() {
   `);
   console.log("✅ edition_price_scrape table ready\n");
 
-  // 5c. Wallet Value History table
+  // 5c. Wallet Value History table (nightly snapshots; not dropped above so the history survives)
   console.log("Creating wallet_value_history table...");
-  await pgQuery(`
-    CREATE TABLE IF NOT EXISTS wallet_value_history (
-      id SERIAL PRIMARY KEY,
-      wallet_address TEXT NOT NULL,
-      floor_value NUMERIC DEFAULT 0,
-      asp_value NUMERIC DEFAULT 0,
-      moments_count INTEGER DEFAULT 0,
-      recorded_at DATE NOT NULL DEFAULT CURRENT_DATE,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
-      UNIQUE(wallet_address, recorded_at)
-    );
-  `);
-  await pgQuery(`CREATE INDEX IF NOT EXISTS idx_wvh_wallet ON wallet_value_history(wallet_address);`);
-  await pgQuery(`CREATE INDEX IF NOT EXISTS idx_wvh_date ON wallet_value_history(recorded_at);`);
+  await ensureWalletValueHistoryTable();
   console.log("✅ wallet_value_history table ready\n");
 
   // 6. Sniper Listings table
@@ -157,24 +147,16 @@ async function setupDatabase() {
   await pgQuery(`CREATE INDEX IF NOT EXISTS idx_sniper_listings_status ON sniper_listings(is_sold, is_unlisted);`);
   console.log("✅ sniper_listings table ready\n");
 
+  // 6b. Sniper Listing History (listings archived by the sniper's cleanup, for the deal score backtest)
+  console.log("Creating sniper_listing_history table...");
+  await ensureListingHistoryTable();
+  console.log("✅ sniper_listing_history table ready\n");
+
   // 7. Edition Price History table
+  // One row per edition per price sync (append-only); individual sales live in the sales table.
+  // An older per-sale layout of this table is renamed by ensurePriceHistoryTable().
   console.log("Creating edition_price_history table...");
-  await pgQuery(`
-    CREATE TABLE IF NOT EXISTS edition_price_history (
-      id SERIAL PRIMARY KEY,
-      edition_id TEXT NOT NULL,
-      sale_price NUMERIC(12, 2) NOT NULL,
-      sale_date DATE NOT NULL,
-      sale_timestamp TIMESTAMPTZ NOT NULL,
-      nft_id TEXT,
-      serial_number INTEGER,
-      buyer_address TEXT,
-      seller_address TEXT,
-      tx_id TEXT UNIQUE
-    );
-  `);
-  await pgQuery(`CREATE INDEX IF NOT EXISTS idx_eph_edition ON edition_price_history(edition_id);`);
-  await pgQuery(`CREATE INDEX IF NOT EXISTS idx_eph_date ON edition_price_history(sale_date);`);
+  await ensurePriceHistoryTable();
   console.log("✅ edition_price_history table ready\n");
 
   // 8. Edition Daily Floor table
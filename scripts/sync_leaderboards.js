@@ -4,6 +4,8 @@
 import * as dotenv from "dotenv";
 import { pgQuery } from "../db.js";
 import { fileURLToPath } from "url";
+import { recordLeaderboardHistory, hasHistoryForToday } from "../services/leaderboard-history.js";
+import { getRarityProfile, computeRarityLeaderboard } from "../services/rarity-scoring.js";
 
 const __filename = fileURLToPath(import.meta.url);
 
@@ -292,6 +294,23 @@ async function syncLeaderboards() {
     const byValueCount = await pgQuery(`SELECT COUNT(*)::int as cnt FROM top_wallets_by_value_snapshot`);
     console.log(`[Leaderboards] ✅ top_wallets_by_value_snapshot: ${byValueCount.rows[0].cnt} wallets`);
 
+    // 5. RECORD RANK HISTORY - the snapshots above are truncated every run, so keep a dated copy of the ranks
+    let historyRows = 0;
+    try {
+      console.log("[Leaderboards] Recording leaderboard_rank_history...");
+      // The rarity board scores hundreds of wallets, so only record it on the first sync of the day
+      let rarity = null;
+      if (!(await hasHistoryForToday("rarity"))) {
+        const profile = await getRarityProfile();
+        rarity = await computeRarityLeaderboard(profile);
+      }
+      historyRows = await recordLeaderboardHistory({ rarity });
+      console.log(`[Leaderboards] ✅ leaderboard_rank_history: ${historyRows} rows${rarity ? " (incl. rarity)" : ""}`);
+    } catch (err) {
+      // History is a nice-to-have; don't fail the sync over it
+      console.error("[Leaderboards] ⚠️ Failed to record rank history:", err.message);
+    }
+
     const elapsed = Date.now() - startTime;
     console.log(`[Leaderboards] ✅ Sync completed in ${elapsed}ms`);
 
@@ -300,6 +319,7 @@ async function syncLeaderboards() {
       byTeam: byTeamCount.rows[0].cnt,
       byTier: byTierCount.rows[0].cnt,
       byValue: byValueCount.rows[0].cnt,
+      historyRows,
       elapsed
     };
 
@@ -8,6 +8,7 @@ import * as dotenv from "dotenv";
 dotenv.config();
 
 import { pgQuery } from "../db.js";
+import { recordPriceSnapshot } from "../services/price-history.js";
 import { chromium } from "playwright";
 import fs from "fs";
 import path from "path";
@@ -131,6 +132,7 @@ async function upsertPriceBatch(batch) {
   `;
 
     await pgQuery(sql, params);
+    await recordPriceSnapshot(batch.map(row => row.edition_id), "scrape");
 }
 
 async function main() {
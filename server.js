@@ -14,15 +14,37 @@ import session from "express-session";
 import bcrypt from "bcryptjs";
 import WebSocket from "ws";
 import * as eventProcessor from "./services/event-processor.js";
+import { getLastProcessedHeight, saveLastProcessedHeight, getSealedBlockHeight, backfillMissedEvents, markEventSeen, compareEvents } from "./services/event-backfill.js";
 import { syncLeaderboards } from "./scripts/sync_leaderboards.js";
 import crypto from 'crypto';
 import * as sniperService from "./services/sniper-service.js";
+import { issueLoginNonce, verifyLoginAccountProof, isSessionTrusted } from "./services/flow-auth.js";
+import { ensureAccessControlSchema, requireRole } from "./services/access-control.js";
 import { registerSearchRoutes } from "./routes/search.js";
 import { registerRarityRoutes } from "./routes/rarity.js";
 import { registerSetRoutes } from "./routes/sets.js";
 import { registerUtilityRoutes } from "./routes/utilities.js";
 import { registerAnalyticsRoutes, initVisitCounterTable } from "./routes/analytics.js";
-import { registerInsightsRoutes, ensureInsightsSnapshotTable } from "./routes/insights.js";
+import { registerInsightsRoutes, ensureInsightsSnapshotTable, registerInsightsRefreshJob, INSIGHTS_REFRESH_JOB } from "./routes/insights.js";
+import { registerAdminRoutes } from "./routes/admin.js";
+import { registerSalesRoutes } from "./routes/sales.js";
+import { registerPriceRoutes } from "./routes/prices.js";
+import { registerEditionRoutes } from "./routes/editions.js";
+import { registerSniperAlertRoutes } from "./routes/sniper-alerts.js";
+import { registerLeaderboardRoutes } from "./routes/leaderboards.js";
+import { registerTradeRoutes } from "./routes/trades.js";
+import { registerWalletHistoryRoutes } from "./routes/wallet-history.js";
+import { registerWalletPnlRoutes } from "./routes/wallet-pnl.js";
+import { registerExportRoutes } from "./routes/exports.js";
+import { registerWalletValueSnapshotJob } from "./services/wallet-value-history.js";
+import { registerSetLeaderboardJob, hasSetLeaderboardSnapshot, SET_LEADERBOARD_JOB } from "./services/set-completion-leaderboard.js";
+import { attachValuations, valueNfts, valueWallet, summarizeValuations } from "./services/valuation.js";
+import { recordSalesFromActions } from "./services/sales-ledger.js";
+import { attachRankChanges } from "./services/leaderboard-history.js";
+import { startScheduler, requestJobRun, registerJob } from "./services/job-scheduler.js";
+import { recordLiveEvent, recordLiveActions, pruneLiveEvents, queryLiveEvents, ensureLiveEventsTable, parseLiveEventFilters, getLatestLiveEventId, LIVE_EVENTS_RETENTION_HOURS } from "./services/live-events-store.js";
+import { CLASSIFIER_EVENT_TYPES, classifyEvents } from "./services/transaction-classifier.js";
+import { openLiveEventStream, notifyLiveEventStreams, getLiveStreamClientCount } from "./services/live-events-stream.js";
 
 
 
@@ -61,8 +83,19 @@ registerSetRoutes(app);
 registerUtilityRoutes(app);
 registerAnalyticsRoutes(app);
 registerInsightsRoutes(app);
+registerAdminRoutes(app);
+registerSalesRoutes(app);
+registerPriceRoutes(app);
+registerEditionRoutes(app);
+registerSniperAlertRoutes(app);
+registerLeaderboardRoutes(app);
+registerTradeRoutes(app);
+registerWalletHistoryRoutes(app);
+registerWalletPnlRoutes(app);
+registerExportRoutes(app);
 // Initialize tables
 initVisitCounterTable();
+ensureAccessControlSchema();
 
 
 
@@ -324,7 +357,7 @@ async function getNFTTransfersFindLab(nftType, limit = 50) {
   }
 }
 
-// Cache of recent live events (keep last 200)
+// Cache of recent live events (keep last 200); the full history is in live_events
 let liveEventsCache = [];
 const MAX_LIVE_EVENTS = 200;
 let flowWsConnection = null;
@@ -333,8 +366,18 @@ let flowWsReconnectTimer = null;
 let lastFlowEventTime = null;
 let flowWsHeartbeatTimer = null;
 
+// While missed blocks are being replayed, live blocks wait here so events stay in chain order.
+// Everything buffered is above the stored cursor, so dropping the oldest just means backfill refetches it.
+let flowBackfillInProgress = false; // live blocks are being buffered
+let flowBackfillRunning = false;
+let flowBackfillRetryTimer = null;
+let flowWsBuffer = []; // [{ height, events }]
+const MAX_FLOW_WS_BUFFER = 2000;
+
 // Event types we care about - expanded to include metadata events for self-managed data
 const ALLDAY_EVENT_TYPES = eventProcessor.ALLDAY_EVENT_TYPES;
+// Plus the storefront/pack events the transaction classifier correlates them with
+const FLOW_STREAM_EVENT_TYPES = [...ALLDAY_EVENT_TYPES, ...CLASSIFIER_EVENT_TYPES];
 
 function addLiveEvent(event) {
   liveEventsCache.unshift(event);
@@ -365,12 +408,15 @@ function connectToFlowWebSocket() {
         action: "subscribe",
         topic: "events",
         arguments: {
-          event_types: ALLDAY_EVENT_TYPES
+          event_types: FLOW_STREAM_EVENT_TYPES
         }
       };
       console.log("Sending subscription:", JSON.stringify(subscribeMsg));
       flowWsConnection.send(JSON.stringify(subscribeMsg));
-      console.log(`Subscribed to AllDay events: ${ALLDAY_EVENT_TYPES.join(', ')}`);
+      console.log(`Subscribed to AllDay events: ${FLOW_STREAM_EVENT_TYPES.join(', ')}`);
+
+      // Replay whatever we missed while disconnected
+      catchUpFlowEvents();
 
       // Start heartbeat/watchdog
       if (flowWsHeartbeatTimer) clearInterval(flowWsHeartbeatTimer);
@@ -410,18 +456,26 @@ function connectToFlowWebSocket() {
         }
 
         // Handle events - they come in various formats
-        if (msg.events && Array.isArray(msg.events)) {
-          console.log(`Received ${msg.events.length} events`);
-          for (const event of msg.events) {
-            await processFlowEvent(event);
-          }
+        const block = msg.payload && Array.isArray(msg.payload.events) ? msg.payload : msg;
+        let events = [];
+        if (block.events && Array.isArray(block.events)) {
+          console.log(`Received ${block.events.length} events`);
+          events = block.events;
         } else if (msg.type && msg.payload) {
           // Single event format
-          await processFlowEvent(msg);
+          events = [msg];
         } else if (msg.event) {
           // Another possible format
-          await processFlowEvent(msg.event);
+          events = [msg.event];
         }
+
+        const height = Number(block.block_height || events[0]?.block_height || 0);
+        events = events.map(event => ({
+          ...event,
+          block_height: event.block_height || height || undefined,
+          block_timestamp: event.block_timestamp || block.block_timestamp
+        }));
+        await handleLiveFlowBlock(height, events);
       } catch (err) {
         console.error("Error processing Flow WebSocket message:", err.message, err.stack);
       }
@@ -462,7 +516,98 @@ function connectToFlowWebSocket() {
   }
 }
 
+// Process one block's worth of live WebSocket events (or buffer it while backfilling)
+async function handleLiveFlowBlock(height, events) {
+  if (flowBackfillInProgress) {
+    if (events.length || height) {
+      flowWsBuffer.push({ height, events });
+      if (flowWsBuffer.length > MAX_FLOW_WS_BUFFER) flowWsBuffer.shift();
+    }
+    return;
+  }
+
+  const unseen = [...events].sort(compareEvents).filter(markEventSeen);
+  for (const event of unseen) {
+    await processFlowEvent(event);
+  }
+  await classifyFlowEvents(unseen);
+  if (height) saveLastProcessedHeight(height);
+  if (unseen.length) notifyLiveEventStreams();
+}
+
+// Classify processed transactions (sale, gift, pack pull, ...) for the live feed and the sniper
+async function classifyFlowEvents(events) {
+  if (!events.length) return;
+  try {
+    const actions = await classifyEvents(events);
+    await recordLiveActions(actions);
+    await recordSalesFromActions(actions);
+    await sniperService.applyClassifiedActions(actions);
+  } catch (err) {
+    console.error("[Classifier] Failed to classify events:", err.message);
+  }
+}
+
+// Fetch and replay blocks missed since the last processed height, then drain buffered live blocks
+async function catchUpFlowEvents() {
+  if (flowBackfillRunning) return;
+  flowBackfillRunning = true;
+  flowBackfillInProgress = true;
+  if (flowBackfillRetryTimer) {
+    clearTimeout(flowBackfillRetryTimer);
+    flowBackfillRetryTimer = null;
+  }
+
+  try {
+    const lastHeight = await getLastProcessedHeight();
+    if (lastHeight === null) {
+      // First run: nothing to catch up on, start the cursor at the chain head
+      const sealed = await getSealedBlockHeight();
+      if (sealed) await saveLastProcessedHeight(sealed, { immediate: true });
+    } else {
+      // New blocks keep sealing while we replay, so go round a few times to meet the live stream
+      for (let pass = 0; pass < 5; pass++) {
+        const firstBuffered = flowWsBuffer.find(b => b.height)?.height;
+        const target = firstBuffered ? firstBuffered - 1 : await getSealedBlockHeight();
+        if (!target) break;
+
+        const result = await backfillMissedEvents({ toHeight: target, onEvent: processFlowEvent, onChunk: classifyFlowEvents });
+        if (result.replayed) notifyLiveEventStreams();
+        if (firstBuffered) {
+          // Done unless the buffer overflowed meanwhile and its oldest blocks were dropped
+          if (flowWsBuffer.find(b => b.height)?.height === firstBuffered) break;
+        } else if (result.fromHeight === null) {
+          break;
+        }
+      }
+    }
+  } catch (err) {
+    // Keep buffering and try again; draining now would move the cursor past the gap
+    console.error("[Flow WS] Backfill failed, retrying in 30s:", err.message);
+    flowBackfillRunning = false;
+    flowBackfillRetryTimer = setTimeout(catchUpFlowEvents, 30000);
+    return;
+  }
+
+  // Drain buffered live blocks in order (more may arrive while we await)
+  while (flowWsBuffer.length) {
+    const { height, events } = flowWsBuffer.shift();
+    const unseen = [...events].sort(compareEvents).filter(markEventSeen);
+    for (const event of unseen) {
+      await processFlowEvent(event);
+    }
+    await classifyFlowEvents(unseen);
+    if (height) saveLastProcessedHeight(height);
+  }
+  notifyLiveEventStreams();
+  flowBackfillInProgress = false;
+  flowBackfillRunning = false;
+}
+
 async function processFlowEvent(event) {
+  // Storefront/pack events are only used by the transaction classifier
+  if (!ALLDAY_EVENT_TYPES.includes(event.type)) return;
+
   try {
     // Parse the event data
     const eventType = event.type ? event.type.split(".").pop() : "Unknown";
@@ -515,7 +660,8 @@ async function processFlowEvent(event) {
       toAddr = payload.to ? payload.to.toString().toLowerCase() : null;
     }
 
-    const timestamp = new Date().toISOString(); // Use current time for live events
+    // Use the block time when we have it (always for backfilled events), otherwise now
+    const timestamp = event.block_timestamp ? new Date(event.block_timestamp).toISOString() : new Date().toISOString();
     const blockHeight = event.block_height || event.height || 0;
     const txId = event.transaction_id || event.tx_id || null;
 
@@ -528,18 +674,21 @@ async function processFlowEvent(event) {
       timestamp: timestamp,
       blockHeight: blockHeight,
       txId: txId,
-      source: 'live'
+      eventIndex: event.event_index ?? null,
+      source: event.source || 'live'
     };
 
     console.log(`Live event: ${eventType} NFT=${nftId} from=${fromAddr} to=${toAddr}`);
 
     // Process event for new normalized tables (series, sets, plays, editions, nfts, holdings)
-    await eventProcessor.processBlockchainEvent(event);
+    const processStatus = await eventProcessor.processBlockchainEvent(event);
+    if (processStatus === 'duplicate') return;
 
-    // Update holdings table in real-time
-    if (nftId && eventType === 'Deposit' && toAddr) {
+    // Update holdings table in real-time (the ledger already handled out-of-order and failed events)
+    const holdingsApplied = processStatus === 'applied' || processStatus === 'unkeyed';
+    if (holdingsApplied && nftId && eventType === 'Deposit' && toAddr) {
       await updateWalletHoldingOnDeposit(toAddr, nftId, timestamp, blockHeight);
-    } else if (nftId && eventType === 'Withdraw' && fromAddr) {
+    } else if (holdingsApplied && nftId && eventType === 'Withdraw' && fromAddr) {
       await updateWalletHoldingOnWithdraw(fromAddr, nftId);
     }
 
@@ -567,7 +716,7 @@ async function processFlowEvent(event) {
     if (liveEvent.nftId) {
       try {
         const momentResult = await pgQuery(
-          `SELECT first_name, last_name, team_name, position, tier, set_name, series_name
+          `SELECT edition_id, first_name, last_name, team_name, position, tier, set_name, series_name
            FROM nft_core_metadata_v2 WHERE nft_id = $1 LIMIT 1`,
           [liveEvent.nftId]
         );
@@ -580,13 +729,15 @@ async function processFlowEvent(event) {
             position: moment.position,
             tier: moment.tier,
             setName: moment.set_name,
-            seriesName: moment.series_name
+            seriesName: moment.series_name,
+            editionId: moment.edition_id
           };
         }
       } catch (err) { /* ignore */ }
     }
 
     addLiveEvent(liveEvent);
+    await recordLiveEvent(liveEvent);
   } catch (err) {
     console.error("Error processing Flow event:", err.message);
   }
@@ -783,7 +934,7 @@ async function updateWalletHoldingOnWithdraw(walletAddress, nftId) {
 }
 
 // Manually refresh a wallet's holdings using FindLab API (catch-up mechanism)
-app.post("/api/wallet/refresh", async (req, res) => {
+app.post("/api/wallet/refresh", requireRole("premium"), async (req, res) => {
   try {
     const { wallet } = req.body;
     if (!wallet) {
@@ -1122,6 +1273,9 @@ app.post("/api/me/wallet", async (req, res) => {
       console.log("POST /api/me/wallet: no session user", req.session);
       return res.status(401).json({ ok: false, error: "Not logged in" });
     }
+    if (!isSessionTrusted(sessUser)) {
+      return res.status(401).json({ ok: false, error: "Wallet login not verified. Please sign in with Dapper again." });
+    }
 
     let { wallet_address } = req.body || {};
 
@@ -1158,6 +1312,7 @@ app.post("/api/me/wallet", async (req, res) => {
 
     // Update session with fresh data
     req.session.user = {
+      ...sessUser,
       id: u.id,
       email: u.email,
       default_wallet_address: u.default_wallet_address
@@ -1165,7 +1320,8 @@ app.post("/api/me/wallet", async (req, res) => {
 
     return res.json({
       ok: true,
-      default_wallet_address: u.default_wallet_address
+      default_wallet_address: u.default_wallet_address,
+      wallet_verified: !!u.default_wallet_address && u.default_wallet_address === sessUser.verified_wallet
     });
   } catch (err) {
     console.error("POST /api/me/wallet error", err);
@@ -1207,6 +1363,7 @@ app.post("/api/me/name", async (req, res) => {
 
     // Update session
     req.session.user = {
+      ...sessUser,
       id: u.id,
       email: u.email,
       display_name: u.display_name,
@@ -2085,7 +2242,7 @@ app.get("/api/wallet-summary", async (req, res) => {
     );
     const profileRow = profileResult.rows[0] || null;
 
-    // 2) Stats + value based on edition_price_scrape
+    // 2) Stats (moment and tier counts)
     let statsResult;
 
     if (liveNftIds !== null && liveNftIds.length > 0) {
@@ -2103,19 +2260,13 @@ COUNT(*) FILTER(WHERE COALESCE(h.is_locked, false))::int AS locked_count,
       COUNT(*) FILTER(WHERE UPPER(COALESCE(m.tier, '')) = 'UNCOMMON')::int   AS uncommon_count,
         COUNT(*) FILTER(WHERE UPPER(COALESCE(m.tier, '')) = 'RARE')::int       AS rare_count,
           COUNT(*) FILTER(WHERE UPPER(COALESCE(m.tier, '')) = 'LEGENDARY')::int  AS legendary_count,
-            COUNT(*) FILTER(WHERE UPPER(COALESCE(m.tier, '')) = 'ULTIMATE')::int   AS ultimate_count,
-
-              COALESCE(SUM(COALESCE(eps.lowest_ask_usd, 0)), 0)::numeric AS floor_value,
-                COALESCE(SUM(COALESCE(eps.avg_sale_usd, 0)), 0)::numeric AS asp_value,
-                  COUNT(*) FILTER(WHERE eps.lowest_ask_usd IS NOT NULL OR eps.avg_sale_usd IS NOT NULL)::int AS priced_moments
+            COUNT(*) FILTER(WHERE UPPER(COALESCE(m.tier, '')) = 'ULTIMATE')::int   AS ultimate_count
 
 FROM(SELECT unnest(ARRAY[${nftIdPlaceholders}]:: text[]) AS nft_id) nft_ids
         LEFT JOIN nft_core_metadata_v2 m ON m.nft_id = nft_ids.nft_id:: text
         LEFT JOIN holdings h 
           ON h.nft_id = nft_ids.nft_id:: text 
-          AND LOWER(h.wallet_address) = LOWER($1)
-        LEFT JOIN public.edition_price_scrape eps
-          ON eps.edition_id = m.edition_id;
+          AND LOWER(h.wallet_address) = LOWER($1);
 `,
         [wallet, ...liveNftIds]
       );
@@ -2136,8 +2287,7 @@ FROM(SELECT unnest(ARRAY[${nftIdPlaceholders}]:: text[]) AS nft_id) nft_ids
         rows: [{
           wallet_address: wallet,
           moments_total: 0, locked_count: 0, unlocked_count: 0,
-          common_count: 0, uncommon_count: 0, rare_count: 0, legendary_count: 0, ultimate_count: 0,
-          floor_value: 0, asp_value: 0, priced_moments: 0
+          common_count: 0, uncommon_count: 0, rare_count: 0, legendary_count: 0, ultimate_count: 0
         }]
       };
     } else {
@@ -2155,36 +2305,11 @@ h.wallet_address,
           COUNT(*) FILTER(WHERE UPPER(m.tier) = 'UNCOMMON')::int   AS uncommon_count,
             COUNT(*) FILTER(WHERE UPPER(m.tier) = 'RARE')::int       AS rare_count,
               COUNT(*) FILTER(WHERE UPPER(m.tier) = 'LEGENDARY')::int  AS legendary_count,
-                COUNT(*) FILTER(WHERE UPPER(m.tier) = 'ULTIMATE')::int   AS ultimate_count,
-
-                  COALESCE(
-                    SUM(
-                      CASE
-              WHEN eps.lowest_ask_usd IS NOT NULL THEN eps.lowest_ask_usd
-              ELSE 0
-            END
-                    ),
-                    0
-                  )::numeric AS floor_value,
-
-                    COALESCE(
-                      SUM(
-                        CASE
-              WHEN eps.avg_sale_usd IS NOT NULL THEN eps.avg_sale_usd
-              ELSE 0
-            END
-                      ),
-                      0
-                    )::numeric AS asp_value,
-
-                      COUNT(*) FILTER(WHERE eps.lowest_ask_usd IS NOT NULL OR eps.avg_sale_usd IS NOT NULL):: int
-          AS priced_moments
+                COUNT(*) FILTER(WHERE UPPER(m.tier) = 'ULTIMATE')::int   AS ultimate_count
 
       FROM holdings h
       LEFT JOIN nft_core_metadata_v2 m
         ON m.nft_id = h.nft_id
-      LEFT JOIN public.edition_price_scrape eps
-        ON eps.edition_id = m.edition_id
       WHERE h.wallet_address = $1
       GROUP BY h.wallet_address;
 `,
@@ -2215,6 +2340,11 @@ MAX(acquired_at)  AS last_event_ts,
 
     const statsRow = statsResult.rows[0] || null;
 
+    // 4) Values from the shared valuation service (same numbers as /api/query and wallet-compare)
+    const valuationTotals = liveNftIds !== null
+      ? summarizeValuations((await valueNfts(liveNftIds)).values())
+      : await valueWallet(wallet);
+
     const stats = statsRow
       ? {
         momentsTotal: statsRow.moments_total,
@@ -2227,9 +2357,10 @@ MAX(acquired_at)  AS last_event_ts,
           Legendary: statsRow.legendary_count,
           Ultimate: statsRow.ultimate_count
         },
-        floorValue: Number(statsRow.floor_value) || 0,
-        aspValue: Number(statsRow.asp_value) || 0,
-        pricedMoments: Number(statsRow.priced_moments) || 0
+        floorValue: valuationTotals.floorValue,
+        aspValue: valuationTotals.aspValue,
+        estimatedValue: valuationTotals.estimatedValue,
+        pricedMoments: valuationTotals.pricedMoments
       }
       : {
         momentsTotal: 0,
@@ -2244,6 +2375,7 @@ MAX(acquired_at)  AS last_event_ts,
         },
         floorValue: 0,
         aspValue: 0,
+        estimatedValue: 0,
         pricedMoments: 0
       };
 
@@ -2426,6 +2558,7 @@ FROM(SELECT unnest(ARRAY[${nftIdPlaceholders}]:: text[]) AS nft_id) nft_ids
           ...row,
           is_locked: lockedSet.has(row.nft_id) || row.is_locked
         }));
+        await attachValuations(rows);
 
         return res.json({
           ok: true,
@@ -2584,6 +2717,7 @@ h.wallet_address,
 `,
       [wallet]
     );
+    await attachValuations(result.rows);
 
     return res.json({
       ok: true,
@@ -2816,6 +2950,7 @@ app.get("/api/top-wallets", async (req, res) => {
       `,
       [limit]
     );
+    await attachRankChanges(rows, "moments");
 
     return res.json({
       ok: true,
@@ -2866,6 +3001,7 @@ app.get("/api/top-wallets-by-team", async (req, res) => {
       `,
       [team, limit]
     );
+    await attachRankChanges(rows, "team", team);
 
     return res.json({
       ok: true,
@@ -2916,6 +3052,7 @@ app.get("/api/top-wallets-by-tier", async (req, res) => {
       `,
       [tier, limit]
     );
+    await attachRankChanges(rows, "tier", tier.toLowerCase());
 
     return res.json({
       ok: true,
@@ -2967,6 +3104,7 @@ app.get("/api/top-wallets-by-value", async (req, res) => {
       `,
       [limit]
     );
+    await attachRankChanges(rows, valueType === "asp" ? "value_asp" : "value_floor");
 
     return res.json({
       ok: true,
@@ -3146,25 +3284,31 @@ app.get("/api/me", async (req, res) => {
   try {
     // Fetch fresh user data from database
     const { rows } = await pool.query(
-      `SELECT id, email, default_wallet_address, display_name, created_at FROM public.users WHERE id = $1`,
+      `SELECT id, email, default_wallet_address, display_name, role, created_at FROM public.users WHERE id = $1`,
       [req.session.user.id]
     );
 
     if (rows.length) {
       const user = rows[0];
-      // Update session with fresh data
+      // Update session with fresh data (keep auth provider / verified wallet)
       req.session.user = {
+        ...req.session.user,
         id: user.id,
         email: user.email,
         default_wallet_address: user.default_wallet_address,
         display_name: user.display_name,
+        role: user.role || "user",
         created_at: user.created_at
       };
     }
 
     return res.json({
       ok: true,
-      user: req.session.user
+      user: {
+        ...req.session.user,
+        wallet_verified: !!req.session.user.verified_wallet &&
+          req.session.user.verified_wallet === req.session.user.default_wallet_address
+      }
     });
   } catch (err) {
     console.error("GET /api/me error:", err);
@@ -3176,10 +3320,10 @@ app.get("/api/me", async (req, res) => {
   }
 });
 
-// POST /api/login-dapper  { wallet_address }
+// POST /api/login-dapper  { wallet_address, account_proof }
 app.post("/api/login-dapper", async (req, res) => {
   try {
-    let { wallet_address } = req.body || {};
+    let { wallet_address, account_proof } = req.body || {};
 
     if (!wallet_address || typeof wallet_address !== "string") {
       return res.status(400).json({ ok: false, error: "Missing wallet_address" });
@@ -3195,6 +3339,13 @@ app.post("/api/login-dapper", async (req, res) => {
       return res.status(400).json({ ok: false, error: "Invalid wallet address format" });
     }
 
+    // Wallet must prove ownership before we create a session for it
+    const proof = await verifyLoginAccountProof(wallet_address, account_proof);
+    if (!proof.ok) {
+      return res.status(401).json({ ok: false, error: proof.error });
+    }
+    wallet_address = proof.address;
+
     // Use a synthetic email so we can reuse the existing users table
     const syntheticEmail = `dapper:${wallet_address} `;
 
@@ -3214,7 +3365,8 @@ app.post("/api/login-dapper", async (req, res) => {
     req.session.user = {
       id: user.id,
       email: user.email, // will look like "dapper:0x..."
-      default_wallet_address: user.default_wallet_address
+      default_wallet_address: user.default_wallet_address,
+      verified_wallet: wallet_address
     };
 
     return res.json({
@@ -3227,10 +3379,21 @@ app.post("/api/login-dapper", async (req, res) => {
   }
 });
 
+// GET /api/login-flow/nonce - Issue a single-use nonce for the FCL account-proof
+app.get("/api/login-flow/nonce", async (req, res) => {
+  try {
+    const { nonce, appIdentifier, expiresAt } = await issueLoginNonce();
+    return res.json({ ok: true, nonce, app_identifier: appIdentifier, expires_at: expiresAt });
+  } catch (err) {
+    console.error("GET /api/login-flow/nonce error:", err);
+    return res.status(500).json({ ok: false, error: "Failed to issue login nonce" });
+  }
+});
+
 // POST /api/login-flow - Authenticate with Dapper wallet only
 app.post("/api/login-flow", async (req, res) => {
   try {
-    let { wallet_address, signed_message, signature, wallet_provider, dapper_username } = req.body || {};
+    let { wallet_address, account_proof, wallet_provider, dapper_username } = req.body || {};
 
     // Only allow Dapper wallets
     if (wallet_provider !== "dapper") {
@@ -3243,8 +3406,7 @@ app.post("/api/login-flow", async (req, res) => {
 
     console.log("[Flow Login] Received request:", {
       wallet_address: wallet_address ? wallet_address.substring(0, 20) + '...' : 'missing',
-      has_signed_message: !!signed_message,
-      has_signature: !!signature,
+      has_account_proof: !!account_proof,
       dapper_username: dapper_username || null
     });
 
@@ -3270,8 +3432,12 @@ app.post("/api/login-flow", async (req, res) => {
     const addressPart = wallet_address.substring(2);
     const normalizedAddress = "0x" + addressPart.padStart(16, '0');
 
-    // TODO: Verify signature if provided (for production security)
-    // For now, we'll trust the wallet address from FCL
+    // Verify the FCL account-proof against the account's on-chain keys
+    const proof = await verifyLoginAccountProof(normalizedAddress, account_proof);
+    if (!proof.ok) {
+      console.warn(`[Flow Login] Account proof rejected for ${normalizedAddress}: ${proof.error}`);
+      return res.status(401).json({ ok: false, error: proof.error });
+    }
 
     // Use synthetic email format: flow:wallet_address
     const syntheticEmail = `flow:${normalizedAddress} `;
@@ -3340,7 +3506,8 @@ app.post("/api/login-flow", async (req, res) => {
       email: user.email,
       default_wallet_address: user.default_wallet_address,
       display_name: user.display_name,
-      auth_provider: "flow"
+      auth_provider: "flow",
+      verified_wallet: normalizedAddress
     };
 
     return res.json({
@@ -4043,93 +4210,34 @@ app.get("/api/lightnode-events", async (req, res) => {
   }
 });
 
-// Get live events from WebSocket stream (real-time, ~seconds delay)
+// Get live events (stored from the WebSocket stream, kept for LIVE_EVENTS_RETENTION_HOURS)
+// Filters: team, tier, player, set, wallet, type (comma-separated), min_price, max_price, since
+// Paging: pass next_cursor back as ?cursor= to get older events
 app.get("/api/live-events", async (req, res) => {
   try {
-    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 200);
-    const sinceTimestamp = req.query.since ? new Date(req.query.since) : null;
-
-    let events = liveEventsCache.slice(0, limit);
-
-    // Filter to events newer than 'since' timestamp if provided
-    if (sinceTimestamp && !isNaN(sinceTimestamp.getTime())) {
-      events = events.filter(e => new Date(e.timestamp) > sinceTimestamp);
-    }
-
-    // Group Withdraw/Deposit pairs into "Sold" events (same logic as Snowflake)
-    const eventMap = new Map();
-    for (const event of events) {
-      const key = `${event.txId} -${event.nftId} `;
-      if (!eventMap.has(key)) {
-        eventMap.set(key, {
-          withdraw: null,
-          deposit: null,
-          nftId: event.nftId,
-          txId: event.txId,
-          timestamp: event.timestamp,
-          blockHeight: event.blockHeight
-        });
-      }
-      const group = eventMap.get(key);
-      if (event.type === 'Withdraw') {
-        group.withdraw = event;
-      } else if (event.type === 'Deposit') {
-        group.deposit = event;
-      }
-    }
+    // Taken before the query so a stream opened with ?last_event_id=latest_id can't miss anything
+    const latestId = await getLatestLiveEventId();
 
-    // Convert to combined events
-    const combinedEvents = [];
-    for (const group of eventMap.values()) {
-      if (group.withdraw && group.deposit) {
-        combinedEvents.push({
-          type: 'Sold',
-          nftId: group.nftId,
-          from: group.withdraw.from,
-          to: group.deposit.to,
-          timestamp: group.timestamp,
-          blockHeight: group.blockHeight,
-          txId: group.txId,
-          sellerName: group.withdraw.sellerName,
-          buyerName: group.deposit.buyerName,
-          moment: group.withdraw.moment || group.deposit.moment,
-          source: 'live'
-        });
-      } else if (group.withdraw) {
-        combinedEvents.push({
-          type: 'Listed',
-          nftId: group.nftId,
-          from: group.withdraw.from,
-          to: null,
-          timestamp: group.timestamp,
-          blockHeight: group.blockHeight,
-          txId: group.txId,
-          sellerName: group.withdraw.sellerName,
-          moment: group.withdraw.moment,
-          source: 'live'
-        });
-      } else if (group.deposit) {
-        combinedEvents.push({
-          type: 'Purchased',
-          nftId: group.nftId,
-          from: null,
-          to: group.deposit.to,
-          timestamp: group.timestamp,
-          blockHeight: group.blockHeight,
-          txId: group.txId,
-          buyerName: group.deposit.buyerName,
-          moment: group.deposit.moment,
-          source: 'live'
-        });
+    let result;
+    try {
+      result = await queryLiveEvents({
+        ...parseLiveEventFilters(req.query),
+        cursor: req.query.cursor || null,
+        limit: req.query.limit
+      });
+    } catch (err) {
+      if (err.message === "Invalid cursor") {
+        return res.status(400).json({ ok: false, error: "Invalid cursor" });
       }
+      throw err;
     }
 
-    // Sort by timestamp descending
-    combinedEvents.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-
     return res.json({
       ok: true,
-      events: combinedEvents,
+      events: result.events,
+      next_cursor: result.nextCursor,
+      latest_id: latestId,
+      retentionHours: LIVE_EVENTS_RETENTION_HOURS,
       source: "live-websocket",
       wsConnected: flowWsConnected,
       cacheSize: liveEventsCache.length,
@@ -4145,12 +4253,33 @@ app.get("/api/live-events", async (req, res) => {
   }
 });
 
+// Push live events over Server-Sent Events (same filters as /api/live-events)
+// Resumes after the Last-Event-ID header (sent by EventSource on reconnect) or ?last_event_id=
+app.get("/api/live-events/stream", async (req, res) => {
+  try {
+    await openLiveEventStream(req, res, {
+      filters: parseLiveEventFilters(req.query),
+      lastEventId: req.get("Last-Event-ID") || req.query.last_event_id || null
+    });
+  } catch (err) {
+    console.error("GET /api/live-events/stream error:", err);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        ok: false,
+        error: "Failed to open live stream: " + (err.message || String(err))
+      });
+    }
+    res.end();
+  }
+});
+
 // Get WebSocket connection status
 app.get("/api/live-status", (req, res) => {
   return res.json({
     ok: true,
     wsConnected: flowWsConnected,
     cacheSize: liveEventsCache.length,
+    streamClients: getLiveStreamClientCount(),
     lastEventTime: lastFlowEventTime ? lastFlowEventTime.toISOString() : null,
     currentTime: new Date().toISOString()
   });
@@ -4239,7 +4368,7 @@ app.get("/api/sniper/verify-listing", async (req, res) => {
 });
 
 // Reset all listings to unsold
-app.post("/api/sniper/reset-all-unsold", async (req, res) => {
+app.post("/api/sniper/reset-all-unsold", requireRole("admin"), async (req, res) => {
   try {
     const result = await sniperService.resetAllListingsToUnsold();
     return res.json({ ok: true, ...result, message: "All listings reset to unsold" });
@@ -4272,7 +4401,7 @@ app.get("/api/sniper-deals", async (req, res) => {
   }
 });
 
-app.get("/api/sniper-warmup", async (req, res) => {
+app.get("/api/sniper-warmup", requireRole("premium"), async (req, res) => {
   try {
     const result = await sniperService.warmupFloorCache(req.query.limit, executeSql, ensureSnowflakeConnected);
     return res.json({ ok: true, ...result });
@@ -4759,58 +4888,69 @@ app.get("/api/health", async (req, res) => {
 
 const port = process.env.PORT || 3000;
 
-// Auto-refresh insights snapshot on startup if missing, then every 6 hours
+// Schedule the insights refresh (every 6 hours via the job scheduler), running it right away if missing
 async function setupInsightsRefresh() {
   try {
     await ensureInsightsSnapshotTable();
+    await registerInsightsRefreshJob();
 
     // Check if snapshot exists
     const check = await pool.query(`SELECT id FROM insights_snapshot WHERE id = 1;`);
 
     if (!check.rows.length) {
-      console.log("📊 No insights snapshot found. Refreshing on startup...");
-      // Trigger refresh via internal fetch
-      try {
-        const response = await fetch(`http://localhost:${port}/api/insights/refresh`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' }
-        });
-        if (response.ok) {
-          console.log("✅ Initial insights snapshot created");
-        }
-      } catch (err) {
-        console.log("⚠️  Could not auto-refresh insights on startup (server not ready yet). Run POST /api/insights/refresh manually.");
-      }
+      console.log("📊 No insights snapshot found. Requesting a refresh on startup...");
+      await requestJobRun(INSIGHTS_REFRESH_JOB, "startup");
     } else {
       const age = await pool.query(`SELECT EXTRACT(EPOCH FROM (now() - updated_at)) / 3600 AS hours_old FROM insights_snapshot WHERE id = 1;`);
       const hoursOld = parseFloat(age.rows[0]?.hours_old || 0);
-      console.log(`📊 Insights snapshot exists (${hoursOld.toFixed(1)} hours old). Will auto-refresh every 6 hours.`);
+      console.log(`📊 Insights snapshot exists (${hoursOld.toFixed(1)} hours old). Scheduled to refresh every 6 hours.`);
     }
 
-    // Set up periodic refresh (every 6 hours)
-    setInterval(async () => {
-      try {
-        console.log("🔄 Auto-refreshing insights snapshot...");
-        const response = await fetch(`http://localhost:${port}/api/insights/refresh`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' }
-        });
-        if (response.ok) {
-          const result = await response.json();
-          console.log(`✅ Insights snapshot auto-refreshed: ${result.message}`);
-        } else {
-          console.error("❌ Failed to auto-refresh insights snapshot");
-        }
-      } catch (err) {
-        console.error("❌ Error auto-refreshing insights snapshot:", err.message);
-      }
-    }, 6 * 60 * 60 * 1000); // 6 hours
-
+    startScheduler();
   } catch (err) {
     console.error("Error setting up insights refresh:", err);
   }
 }
 
+// Prune the live feed history every hour
+async function setupLiveEventsRetention() {
+  try {
+    await ensureLiveEventsTable();
+    await registerJob("live-events-retention", {
+      schedule: "0 * * * *",
+      description: `Delete live feed events older than ${LIVE_EVENTS_RETENTION_HOURS} hours`,
+      handler: async () => pruneLiveEvents()
+    });
+    startScheduler();
+  } catch (err) {
+    console.error("Error setting up live events retention:", err);
+  }
+}
+
+// Nightly wallet value snapshots for /api/wallet-history
+async function setupWalletValueSnapshots() {
+  try {
+    await registerWalletValueSnapshotJob();
+    startScheduler();
+  } catch (err) {
+    console.error("Error setting up wallet value snapshots:", err);
+  }
+}
+
+// Per-set completion leaderboards for /api/set-completion/leaderboard, built right away if missing
+async function setupSetCompletionLeaderboard() {
+  try {
+    await registerSetLeaderboardJob();
+    if (!(await hasSetLeaderboardSnapshot())) {
+      console.log("📊 No set completion leaderboard found. Requesting a build on startup...");
+      await requestJobRun(SET_LEADERBOARD_JOB, "startup");
+    }
+    startScheduler();
+  } catch (err) {
+    console.error("Error setting up set completion leaderboard:", err);
+  }
+}
+
 
 
 
@@ -4831,6 +4971,9 @@ app.listen(port, async () => {
   // Set up insights refresh after server starts
   setTimeout(() => {
     setupInsightsRefresh();
+    setupLiveEventsRetention();
+    setupWalletValueSnapshots();
+    setupSetCompletionLeaderboard();
   }, 2000); // Wait 2 seconds for server to be fully ready
 
   // Initialize sniper system (loads from DB and starts watcher)
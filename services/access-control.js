@@ -0,0 +1,143 @@
+// services/access-control.js
+// Role-based access control for admin and maintenance endpoints
+// Roles live on public.users; every privileged request is written to admin_audit_log
+
+import { pgQuery } from "../db.js";
+import { isSessionTrusted } from "./flow-auth.js";
+
+// Ordered from least to most privileged
+export const ROLES = ["user", "premium", "admin"];
+
+/**
+ * Ensures the role column and audit log table exist
+ */
+export async function ensureAccessControlSchema() {
+    try {
+        await pgQuery(`ALTER TABLE public.users ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'user'`);
+        await pgQuery(`
+          CREATE TABLE IF NOT EXISTS admin_audit_log (
+            id BIGSERIAL PRIMARY KEY,
+            user_id INTEGER,
+            actor TEXT,
+            role TEXT,
+            action TEXT NOT NULL,
+            method TEXT,
+            path TEXT,
+            params JSONB,
+            status_code INTEGER,
+            outcome TEXT,
+            ip TEXT,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+          );
+        `);
+        await pgQuery(`CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created ON admin_audit_log (created_at DESC)`);
+        await pgQuery(`CREATE INDEX IF NOT EXISTS idx_admin_audit_log_user ON admin_audit_log (user_id, created_at DESC)`);
+        console.log("🔐 Access control schema verified");
+    } catch (err) {
+        console.error("Error ensuring access control schema:", err.message);
+    }
+}
+
+/**
+ * Whether a role is at least as privileged as the required one
+ * @param {string} role
+ * @param {string} requiredRole
+ */
+export function hasRole(role, requiredRole) {
+    const have = ROLES.indexOf((role || "user").toLowerCase());
+    const need = ROLES.indexOf(requiredRole);
+    return have >= 0 && need >= 0 && have >= need;
+}
+
+/**
+ * Look up the current role for a user (always read from DB so revocations apply immediately)
+ * @param {number} userId
+ * @returns {Promise<string>}
+ */
+export async function getUserRole(userId) {
+    const { rows } = await pgQuery(`SELECT role FROM public.users WHERE id = $1`, [userId]);
+    return rows[0]?.role || "user";
+}
+
+/**
+ * Set a user's role
+ * @param {number} userId
+ * @param {string} role - One of ROLES
+ * @returns {Promise<Object|null>} Updated user row, or null if not found
+ */
+export async function setUserRole(userId, role) {
+    if (!ROLES.includes(role)) {
+        throw new Error(`Unknown role "${role}" (expected one of: ${ROLES.join(", ")})`);
+    }
+    const { rows } = await pgQuery(
+        `UPDATE public.users SET role = $1 WHERE id = $2 RETURNING id, TRIM(email) AS email, default_wallet_address, role`,
+        [role, userId]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Write an entry to the admin audit log. Never throws.
+ */
+export async function recordAuditEvent({ userId = null, actor = null, role = null, action, method = null, path = null, params = null, statusCode = null, outcome = null, ip = null }) {
+    try {
+        await pgQuery(
+            `INSERT INTO admin_audit_log (user_id, actor, role, action, method, path, params, status_code, outcome, ip)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+            [userId, actor, role, action, method, path, params ? JSON.stringify(params) : null, statusCode, outcome, ip]
+        );
+    } catch (err) {
+        console.error("[Audit] Failed to record audit event:", err.message);
+    }
+}
+
+function requestIp(req) {
+    return (req.headers["x-forwarded-for"] || "").toString().split(",")[0].trim() || req.socket?.remoteAddress || null;
+}
+
+/**
+ * Express middleware that only lets users with at least `requiredRole` through.
+ * Allowed and denied attempts are both recorded in admin_audit_log.
+ * @param {string} requiredRole - One of ROLES
+ */
+export function requireRole(requiredRole) {
+    return async (req, res, next) => {
+        const sessUser = req.session?.user;
+        if (!sessUser || !sessUser.id) {
+            return res.status(401).json({ ok: false, error: "Not logged in" });
+        }
+        if (!isSessionTrusted(sessUser)) {
+            return res.status(401).json({ ok: false, error: "Wallet login not verified. Please sign in with Dapper again." });
+        }
+
+        let role;
+        try {
+            role = await getUserRole(sessUser.id);
+        } catch (err) {
+            console.error("[Access Control] Error loading role:", err.message);
+            return res.status(500).json({ ok: false, error: "Failed to check permissions" });
+        }
+
+        const audit = {
+            userId: sessUser.id,
+            actor: (sessUser.email || "").toString().trim(),
+            role,
+            action: `${req.method} ${req.route?.path || req.path}`,
+            method: req.method,
+            path: req.originalUrl,
+            params: { query: req.query, body: req.body },
+            ip: requestIp(req)
+        };
+
+        if (!hasRole(role, requiredRole)) {
+            recordAuditEvent({ ...audit, statusCode: 403, outcome: "denied" });
+            return res.status(403).json({ ok: false, error: `Requires ${requiredRole} role` });
+        }
+
+        req.userRole = role;
+        res.on("finish", () => {
+            recordAuditEvent({ ...audit, statusCode: res.statusCode, outcome: res.statusCode < 400 ? "ok" : "error" });
+        });
+        return next();
+    };
+}
@@ -5,80 +5,54 @@
 import { syncRecentWallets, syncStaleWallets } from '../scripts/sync_wallets_from_blockchain.js';
 import { syncLeaderboards } from '../scripts/sync_leaderboards.js';
 import { watchPackOpenings } from './pack-opening-watcher.js';
-import { refreshInsightsSnapshot } from '../routes/insights.js';
-
-const RECENT_SYNC_INTERVAL = 5 * 60 * 1000; // 5 minutes
-const STALE_SYNC_INTERVAL = 15 * 60 * 1000; // 15 minutes
-const LEADERBOARD_SYNC_INTERVAL = 60 * 60 * 1000; // 60 minutes
-const INSIGHTS_SYNC_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours
+import { registerInsightsRefreshJob } from '../routes/insights.js';
+import { registerJob, startScheduler, stopScheduler } from './job-scheduler.js';
+import { registerWalletValueSnapshotJob } from './wallet-value-history.js';
+import { registerSetLeaderboardJob } from './set-completion-leaderboard.js';
 
+// Schedules are cron expressions (UTC). State and run history live in Postgres
+// (see services/job-scheduler.js), so several copies of this service can run safely.
 console.log("[Background Sync] Starting continuous wallet sync service...");
-console.log(`[Background Sync] Recent wallets: every ${RECENT_SYNC_INTERVAL / 1000 / 60} minutes`);
-console.log(`[Background Sync] Stale wallets: every ${STALE_SYNC_INTERVAL / 1000 / 60} minutes`);
-console.log(`[Background Sync] Leaderboards: every ${LEADERBOARD_SYNC_INTERVAL / 1000 / 60} minutes`);
-console.log(`[Background Sync] Insights: every ${INSIGHTS_SYNC_INTERVAL / 1000 / 60 / 60} hours`);
-
-// Sync recently accessed wallets frequently
-async function syncRecentLoop() {
-    try {
-        console.log("\n[Background Sync] === Syncing Recently Accessed Wallets ===");
-        await syncRecentWallets();
-        console.log("[Background Sync] Recent wallet sync complete");
-    } catch (err) {
-        console.error("[Background Sync] Error syncing recent wallets:", err.message);
-    }
-
-    // Schedule next run
-    setTimeout(syncRecentLoop, RECENT_SYNC_INTERVAL);
-}
 
-// Sync stale wallets less frequently
-async function syncStaleLoop() {
-    try {
-        console.log("\n[Background Sync] === Syncing Stale Wallets ===");
-        await syncStaleWallets();
-        console.log("[Background Sync] Stale wallet sync complete");
-    } catch (err) {
-        console.error("[Background Sync] Error syncing stale wallets:", err.message);
-    }
+async function registerSyncJobs() {
+    await registerJob("recent-wallets", {
+        schedule: "*/5 * * * *",
+        description: "Sync wallets with holdings acquired in the last 24 hours",
+        handler: async () => {
+            const result = await syncRecentWallets();
+            return { rowsAffected: result.synced, ...result };
+        }
+    });
 
-    // Schedule next run
-    setTimeout(syncStaleLoop, STALE_SYNC_INTERVAL);
-}
-
-// Sync leaderboard snapshots
-async function syncLeaderboardLoop() {
-    try {
-        console.log("\n[Background Sync] === Syncing Leaderboard Snapshots ===");
-        await syncLeaderboards();
-        console.log("[Background Sync] Leaderboard sync complete");
-    } catch (err) {
-        console.error("[Background Sync] Error syncing leaderboards:", err.message);
-    }
-
-    // Schedule next run
-    setTimeout(syncLeaderboardLoop, LEADERBOARD_SYNC_INTERVAL);
-}
+    await registerJob("stale-wallets", {
+        schedule: "*/15 * * * *",
+        description: "Sync wallets not synced in the last hour",
+        handler: async () => {
+            const result = await syncStaleWallets();
+            return { rowsAffected: result.synced, ...result };
+        }
+    });
 
-// Sync insights snapshots
-async function syncInsightsLoop() {
-    try {
-        console.log("\n[Background Sync] === Syncing Insights Snapshots ===");
-        await refreshInsightsSnapshot();
-        console.log("[Background Sync] Insights sync complete");
-    } catch (err) {
-        console.error("[Background Sync] Error syncing insights:", err.message);
-    }
+    await registerJob("leaderboards", {
+        schedule: "0 * * * *",
+        description: "Rebuild leaderboard snapshot tables",
+        handler: async () => {
+            const result = await syncLeaderboards();
+            return { rowsAffected: result.topWallets, ...result };
+        }
+    });
 
-    // Schedule next run
-    setTimeout(syncInsightsLoop, INSIGHTS_SYNC_INTERVAL);
+    await registerInsightsRefreshJob();
+    await registerWalletValueSnapshotJob();
+    await registerSetLeaderboardJob();
 }
 
-// Start loops
-syncRecentLoop();
-setTimeout(syncStaleLoop, 30000); // Start stale sync after 30 seconds
-setTimeout(syncLeaderboardLoop, 60000); // Start leaderboard sync after 1 minute
-setTimeout(syncInsightsLoop, 120000); // Start insights sync after 2 minutes
+registerSyncJobs()
+    .then(() => startScheduler())
+    .catch(err => {
+        console.error("[Background Sync] Failed to register jobs:", err.message);
+        process.exit(1);
+    });
 
 // Start pack opening watcher (runs independently)
 watchPackOpenings().catch(err => {
@@ -89,10 +63,12 @@ console.log("[Background Sync] Pack opening watcher started");
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
     console.log("[Background Sync] Shutting down gracefully...");
+    stopScheduler();
     process.exit(0);
 });
 
 process.on('SIGINT', () => {
     console.log("[Background Sync] Shutting down gracefully...");
+    stopScheduler();
     process.exit(0);
 });
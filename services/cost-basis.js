@@ -0,0 +1,258 @@
+// services/cost-basis.js
+// What a wallet paid for its moments, and its realized/unrealized P&L.
+// Purchase prices come from, in order of preference:
+//   1. the sales ledger (the wallet as buyer), which covers every NFTStorefront ListingCompleted we've seen
+//   2. storefront_listings sold in the transaction that delivered the moment, using the acquisition
+//      transactions recorded by scripts/backfill-acquisition-dates.js in moment_acquisitions
+//   3. cost_basis_imports, filled from CSV (scripts/import_cost_basis_csv.js) for purchases made off chain
+// Moments from packs, mints or gifts have no cost unless imported.
+
+import { pgQuery } from "../db.js";
+import { ensureSalesTable } from "./sales-ledger.js";
+import { ensureStorefrontListingsTable } from "./transaction-classifier.js";
+import { valueMomentRows } from "./valuation.js";
+
+const SOURCE_PRIORITY = { sale: 0, storefront: 1, import: 2 };
+
+let tablesReady = false;
+
+/**
+ * Ensures moment_acquisitions and cost_basis_imports exist (plus the tables they're joined with)
+ */
+export async function ensureCostBasisTables() {
+    if (tablesReady) return;
+    await ensureSalesTable();
+    await ensureStorefrontListingsTable();
+    await pgQuery(`
+      CREATE TABLE IF NOT EXISTS moment_acquisitions (
+        wallet_address TEXT NOT NULL,
+        nft_id TEXT NOT NULL,
+        tx_id TEXT NOT NULL,
+        acquired_at TIMESTAMPTZ NOT NULL,
+        block_height BIGINT,
+        from_address TEXT,
+        recorded_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        PRIMARY KEY (wallet_address, nft_id, tx_id)
+      );
+    `);
+    await pgQuery(`
+      CREATE TABLE IF NOT EXISTS cost_basis_imports (
+        id BIGSERIAL PRIMARY KEY,
+        wallet_address TEXT NOT NULL,
+        nft_id TEXT NOT NULL,
+        price_usd NUMERIC(12, 2) NOT NULL,
+        acquired_at TIMESTAMPTZ,
+        note TEXT,
+        imported_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `);
+    await pgQuery(`CREATE INDEX IF NOT EXISTS idx_cost_basis_imports_wallet ON cost_basis_imports (wallet_address, nft_id)`);
+    tablesReady = true;
+}
+
+/**
+ * Record the transaction a wallet received a moment in (from its AllDay Deposit event)
+ * @param {Object} acquisition - { wallet, nftId, txId, acquiredAt, blockHeight, from }
+ */
+export async function recordAcquisition({ wallet, nftId, txId, acquiredAt, blockHeight = null, from = null }) {
+    await ensureCostBasisTables();
+    await pgQuery(`
+      INSERT INTO moment_acquisitions (wallet_address, nft_id, tx_id, acquired_at, block_height, from_address)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (wallet_address, nft_id, tx_id) DO UPDATE SET
+        acquired_at = EXCLUDED.acquired_at,
+        block_height = COALESCE(EXCLUDED.block_height, moment_acquisitions.block_height),
+        from_address = COALESCE(EXCLUDED.from_address, moment_acquisitions.from_address)
+    `, [wallet.toLowerCase(), nftId.toString(), txId, acquiredAt, blockHeight, from ? from.toLowerCase() : null]);
+}
+
+/**
+ * Store imported purchase prices. A row for the same wallet, moment and date replaces the earlier one.
+ * @param {Object[]} rows - [{ wallet, nftId, priceUsd, acquiredAt?, note? }]
+ * @returns {Promise<number>} Rows stored
+ */
+export async function importCostBasis(rows) {
+    await ensureCostBasisTables();
+    let stored = 0;
+    for (const row of rows) {
+        const params = [row.wallet.toLowerCase(), row.nftId.toString(), row.acquiredAt || null];
+        await pgQuery(
+            `DELETE FROM cost_basis_imports
+             WHERE wallet_address = $1 AND nft_id = $2 AND acquired_at IS NOT DISTINCT FROM $3::timestamptz`,
+            params
+        );
+        await pgQuery(
+            `INSERT INTO cost_basis_imports (wallet_address, nft_id, acquired_at, price_usd, note) VALUES ($1, $2, $3, $4, $5)`,
+            [...params, row.priceUsd, row.note || null]
+        );
+        stored++;
+    }
+    return stored;
+}
+
+/**
+ * Every known purchase by the wallet, grouped by moment and sorted oldest first.
+ * Imports without a date sort first so any dated purchase takes precedence.
+ * @param {string} wallet - Lowercase address
+ * @returns {Promise<Map<string, Object[]>>} nftId -> [{ priceUsd, acquiredAt, txId, source }]
+ */
+export async function loadPurchaseLots(wallet) {
+    const { rows } = await pgQuery(`
+      SELECT nft_id, price_usd, sold_at AS acquired_at, tx_id, 'sale' AS source
+      FROM sales
+      WHERE buyer_address = $1 AND price_usd IS NOT NULL
+      UNION ALL
+      SELECT a.nft_id, sl.price_usd, a.acquired_at, a.tx_id, 'storefront' AS source
+      FROM moment_acquisitions a
+      JOIN storefront_listings sl
+        ON sl.completed_tx_id = a.tx_id AND sl.nft_id = a.nft_id AND sl.status = 'sold'
+      WHERE a.wallet_address = $1 AND sl.price_usd IS NOT NULL
+      UNION ALL
+      SELECT nft_id, price_usd, acquired_at, NULL AS tx_id, 'import' AS source
+      FROM cost_basis_imports
+      WHERE wallet_address = $1
+    `, [wallet]);
+
+    const lots = new Map();
+    const seenTx = new Set();
+    const ordered = rows.sort((a, b) =>
+        (a.acquired_at ? new Date(a.acquired_at).getTime() : -Infinity) - (b.acquired_at ? new Date(b.acquired_at).getTime() : -Infinity)
+        || SOURCE_PRIORITY[a.source] - SOURCE_PRIORITY[b.source]);
+    for (const r of ordered) {
+        // The ledger and storefront_listings can both know the same purchase
+        if (r.tx_id) {
+            const key = `${r.nft_id}:${r.tx_id}`;
+            if (seenTx.has(key)) continue;
+            seenTx.add(key);
+        }
+        if (!lots.has(r.nft_id)) lots.set(r.nft_id, []);
+        lots.get(r.nft_id).push({
+            priceUsd: Number(r.price_usd),
+            acquiredAt: r.acquired_at,
+            txId: r.tx_id,
+            source: r.source
+        });
+    }
+    return lots;
+}
+
+// Latest purchase before `before` (or the latest overall); on a tie the preferred source wins
+function findLot(lots, before = null) {
+    if (!lots) return null;
+    const limit = before ? new Date(before).getTime() : Infinity;
+    let match = null;
+    let matchTime = null;
+    for (const lot of lots) {
+        const time = lot.acquiredAt ? new Date(lot.acquiredAt).getTime() : -Infinity;
+        if (time < limit && (match === null || time > matchTime)) {
+            match = lot;
+            matchTime = time;
+        }
+    }
+    return match;
+}
+
+const round2 = (v) => Math.round(v * 100) / 100;
+const pct = (gain, cost) => (cost > 0 ? Math.round((gain / cost) * 10000) / 100 : null);
+const playerName = (r) => (r.first_name && r.last_name ? `${r.first_name} ${r.last_name}` : null);
+
+/**
+ * Per-moment cost, current value and unrealized gain for held moments, and realized gains on moments sold
+ * Current value is the valuation service's estimated value.
+ * @param {string} wallet
+ * @returns {Promise<{holdings: Object[], realized: Object[], totals: Object}>}
+ */
+export async function getWalletPnl(wallet) {
+    wallet = wallet.toLowerCase();
+    await ensureCostBasisTables();
+
+    const [holdingsResult, salesResult, lots] = await Promise.all([
+        pgQuery(`
+          SELECT h.nft_id, h.acquired_at, h.is_locked,
+                 m.edition_id, m.serial_number, m.jersey_number, m.max_mint_size,
+                 m.first_name, m.last_name, m.team_name, m.tier, m.set_name, m.series_name
+          FROM holdings h
+          LEFT JOIN nft_core_metadata_v2 m ON m.nft_id = h.nft_id
+          WHERE h.wallet_address = $1
+          ORDER BY h.acquired_at DESC NULLS LAST
+        `, [wallet]),
+        pgQuery(`
+          SELECT s.nft_id, s.tx_id, s.price_usd, s.sold_at, s.buyer_address,
+                 m.edition_id, m.serial_number, m.first_name, m.last_name, m.team_name, m.tier, m.set_name, m.series_name
+          FROM sales s
+          LEFT JOIN nft_core_metadata_v2 m ON m.nft_id = s.nft_id
+          WHERE s.seller_address = $1
+          ORDER BY s.sold_at DESC
+        `, [wallet]),
+        loadPurchaseLots(wallet)
+    ]);
+
+    const valuations = await valueMomentRows(holdingsResult.rows.filter(r => r.edition_id));
+
+    const holdings = holdingsResult.rows.map(r => {
+        const lot = findLot(lots.get(r.nft_id));
+        const valuation = valuations.get(r.nft_id) || null;
+        const currentValue = valuation?.estimatedValue ?? null;
+        const unrealizedGain = lot && currentValue !== null ? round2(currentValue - lot.priceUsd) : null;
+        return {
+            nftId: r.nft_id,
+            editionId: r.edition_id,
+            playerName: playerName(r),
+            teamName: r.team_name,
+            tier: r.tier,
+            setName: r.set_name,
+            seriesName: r.series_name,
+            serialNumber: r.serial_number,
+            isLocked: r.is_locked,
+            acquiredAt: r.acquired_at,
+            cost: lot,
+            floor: valuation?.floor ?? null,
+            currentValue,
+            unrealizedGain,
+            unrealizedGainPct: unrealizedGain !== null ? pct(unrealizedGain, lot.priceUsd) : null
+        };
+    });
+
+    const realized = salesResult.rows.map(r => {
+        const lot = findLot(lots.get(r.nft_id), r.sold_at);
+        const proceeds = r.price_usd !== null ? Number(r.price_usd) : null;
+        const realizedGain = lot && proceeds !== null ? round2(proceeds - lot.priceUsd) : null;
+        return {
+            nftId: r.nft_id,
+            editionId: r.edition_id,
+            playerName: playerName(r),
+            teamName: r.team_name,
+            tier: r.tier,
+            setName: r.set_name,
+            seriesName: r.series_name,
+            serialNumber: r.serial_number,
+            txId: r.tx_id,
+            soldAt: r.sold_at,
+            buyer: r.buyer_address,
+            proceeds,
+            cost: lot,
+            realizedGain,
+            realizedGainPct: realizedGain !== null ? pct(realizedGain, lot.priceUsd) : null
+        };
+    });
+
+    const costed = holdings.filter(h => h.unrealizedGain !== null);
+    const closed = realized.filter(r => r.realizedGain !== null);
+    const sum = (items, fn) => round2(items.reduce((total, item) => total + fn(item), 0));
+
+    return {
+        holdings,
+        realized,
+        totals: {
+            heldCount: holdings.length,
+            costedCount: costed.length,
+            costBasis: sum(costed, h => h.cost.priceUsd),
+            currentValue: sum(costed, h => h.currentValue),
+            unrealizedGain: sum(costed, h => h.unrealizedGain),
+            soldCount: realized.length,
+            realizedCount: closed.length,
+            proceeds: sum(closed, r => r.proceeds),
+            realizedGain: sum(closed, r => r.realizedGain)
+        }
+    };
+}
@@ -0,0 +1,211 @@
+// services/deal-backtest.js
+// Backtest of the sniper deal score against realized sales.
+// Every listing the sniper saw (sniper_listings, with the floor and ASP it was scored with) is rescored
+// with the given premium weights and compared to what comparable moments actually sold for afterwards:
+// sales of the same edition within the horizon that qualify for the same premium (or none), excluding
+// the listed moment itself. The realized discount is how far below that median sale price the listing
+// was; a listing counts as a hit when it was priced below it.
+// Results are grouped by score bucket and by premium multiplier, and each multiplier gets the one the
+// sales imply (median realized price / floor-ASP base value).
+// sniper_listings only keeps 3 days, so the sniper's hourly cleanup moves older listings into
+// sniper_listing_history first (archiveSniperListings); the backtest reads both.
+
+import { pgQuery } from "../db.js";
+import { baseMarketValue, findPremiumRule, estimateMomentValue, PREMIUM_RULES, PREMIUM_WEIGHTS } from "./valuation.js";
+
+const MAX_BACKTEST_LISTINGS = 20000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let historyTableReady = false;
+
+/**
+ * Ensures sniper_listing_history exists
+ */
+export async function ensureListingHistoryTable() {
+    if (historyTableReady) return;
+    await pgQuery(`
+      CREATE TABLE IF NOT EXISTS sniper_listing_history (
+        nft_id TEXT NOT NULL,
+        listed_at TIMESTAMPTZ NOT NULL,
+        listing_id TEXT,
+        edition_id TEXT NOT NULL,
+        listing_data JSONB NOT NULL,
+        archived_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        PRIMARY KEY (nft_id, listed_at)
+      );
+    `);
+    await pgQuery(`CREATE INDEX IF NOT EXISTS idx_sniper_listing_history_listed_at ON sniper_listing_history (listed_at DESC)`);
+    historyTableReady = true;
+}
+
+/**
+ * Copy scored sniper listings older than the cutoff into sniper_listing_history (before they're deleted)
+ * @param {Date} cutoff
+ * @returns {Promise<number>} Listings archived
+ */
+export async function archiveSniperListings(cutoff) {
+    await ensureListingHistoryTable();
+    const { rowCount } = await pgQuery(`
+      INSERT INTO sniper_listing_history (nft_id, listed_at, listing_id, edition_id, listing_data)
+      SELECT nft_id, listed_at, listing_id, edition_id, listing_data
+      FROM sniper_listings
+      WHERE listed_at < $1 AND listed_at IS NOT NULL AND edition_id IS NOT NULL
+      ON CONFLICT (nft_id, listed_at) DO NOTHING
+    `, [cutoff]);
+    return rowCount;
+}
+
+export const SCORE_BUCKETS = [
+    { label: "< 0%", min: -Infinity, max: 0 },
+    { label: "0-10%", min: 0, max: 10 },
+    { label: "10-20%", min: 10, max: 20 },
+    { label: "20-30%", min: 20, max: 30 },
+    { label: "30-50%", min: 30, max: 50 },
+    { label: "50%+", min: 50, max: Infinity }
+];
+
+const round2 = (v) => Math.round(v * 100) / 100;
+const toNumber = (v) => (v !== null && v !== undefined && v !== "" && !isNaN(Number(v)) ? Number(v) : null);
+
+function median(values) {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const average = (values) => (values.length ? round2(values.reduce((a, b) => a + b, 0) / values.length) : null);
+
+function summarize(results) {
+    const resolved = results.filter(r => r.realizedDiscount !== null);
+    const deals = resolved.filter(r => r.score > 0);
+    return {
+        listings: results.length,
+        resolved: resolved.length,
+        deals: deals.length,
+        // Share of listings scored as deals that really were below later comparable sales
+        precision: deals.length ? round2(deals.filter(r => r.realizedDiscount > 0).length / deals.length) : null,
+        hitRate: resolved.length ? round2(resolved.filter(r => r.realizedDiscount > 0).length / resolved.length) : null,
+        avgScore: average(results.map(r => r.score)),
+        avgRealizedDiscount: average(resolved.map(r => r.realizedDiscount))
+    };
+}
+
+/**
+ * Replay sniper listings against later sales
+ * @param {Object} [options]
+ * @param {number} [options.days] - Listings seen in the last N days
+ * @param {number} [options.horizonDays] - How long after the listing sales count as comparables
+ * @param {Object} [options.weights] - Premium weights to score with (defaults to PREMIUM_WEIGHTS)
+ * @returns {Promise<Object>} { params, coverage, warnings, overall, byScore, byMultiplier }
+ *   warnings: when `days` or `horizonDays` reach past the listings recorded so far
+ */
+export async function runDealScoreBacktest({ days = 90, horizonDays = 30, weights = PREMIUM_WEIGHTS } = {}) {
+    await ensureListingHistoryTable();
+    const since = new Date(Date.now() - days * DAY_MS);
+    const [{ rows: listingRows }, { rows: [coverageRow] }] = await Promise.all([
+        pgQuery(`
+          SELECT nft_id, edition_id, listed_at, listing_data FROM sniper_listings
+          WHERE listed_at >= $1 AND edition_id IS NOT NULL
+          UNION
+          SELECT nft_id, edition_id, listed_at, listing_data FROM sniper_listing_history
+          WHERE listed_at >= $1
+          ORDER BY listed_at DESC
+          LIMIT ${MAX_BACKTEST_LISTINGS}
+        `, [since]),
+        pgQuery(`
+          SELECT LEAST(
+            (SELECT MIN(listed_at) FROM sniper_listings WHERE edition_id IS NOT NULL),
+            (SELECT MIN(listed_at) FROM sniper_listing_history)
+          ) AS listings_from
+        `)
+    ]);
+
+    const listingsFrom = coverageRow?.listings_from ? new Date(coverageRow.listings_from) : null;
+    const warnings = [];
+    if (!listingsFrom) {
+        warnings.push("No sniper listings have been recorded yet");
+    } else {
+        const recordedDays = (Date.now() - listingsFrom.getTime()) / DAY_MS;
+        if (listingsFrom > since) {
+            warnings.push(`Listings only go back ${recordedDays.toFixed(1)} days (since ${listingsFrom.toISOString()}), not the ${days} requested`);
+        }
+        if (recordedDays < horizonDays) {
+            warnings.push(`No listing has a full ${horizonDays}-day sales horizon yet; later sales are missing for all of them`);
+        }
+    }
+
+    const listings = listingRows
+        .map(r => ({ ...(r.listing_data || {}), nftId: r.nft_id, editionId: r.edition_id, listedAt: r.listed_at }))
+        .filter(l => toNumber(l.listingPrice) > 0 && (toNumber(l.floor) || toNumber(l.avgSale)));
+
+    const editionIds = [...new Set(listings.map(l => String(l.editionId)))];
+    const salesByEdition = new Map();
+    if (editionIds.length) {
+        const { rows: sales } = await pgQuery(`
+          SELECT s.nft_id, s.edition_id, s.price_usd, s.sold_at,
+                 m.serial_number, m.jersey_number, m.max_mint_size
+          FROM sales s
+          LEFT JOIN nft_core_metadata_v2 m ON m.nft_id = s.nft_id
+          WHERE s.edition_id = ANY($1::text[]) AND s.sold_at >= $2 AND s.price_usd IS NOT NULL
+        `, [editionIds, since]);
+        for (const s of sales) {
+            if (!salesByEdition.has(s.edition_id)) salesByEdition.set(s.edition_id, []);
+            salesByEdition.get(s.edition_id).push({
+                nftId: s.nft_id,
+                price: Number(s.price_usd),
+                time: new Date(s.sold_at).getTime(),
+                premiumKey: findPremiumRule({ serialNumber: s.serial_number, jerseyNumber: s.jersey_number, maxMint: s.max_mint_size })?.key || null
+            });
+        }
+    }
+
+    const results = listings.map(l => {
+        const price = toNumber(l.listingPrice);
+        const premiumKey = findPremiumRule(l)?.key || null;
+        const { estimatedValue } = estimateMomentValue(l, weights);
+        const score = estimatedValue ? round2(((estimatedValue - price) / estimatedValue) * 100) : 0;
+
+        const start = new Date(l.listedAt).getTime();
+        const end = start + horizonDays * DAY_MS;
+        const comparables = (salesByEdition.get(String(l.editionId)) || [])
+            .filter(s => s.time >= start && s.time <= end && s.nftId !== String(l.nftId) && s.premiumKey === premiumKey)
+            .map(s => s.price);
+        const realizedValue = median(comparables);
+
+        return {
+            premiumKey,
+            score,
+            baseValue: baseMarketValue(l.floor, l.avgSale),
+            realizedValue,
+            realizedDiscount: realizedValue ? round2(((realizedValue - price) / realizedValue) * 100) : null
+        };
+    });
+
+    const byScore = SCORE_BUCKETS.map(bucket => ({
+        bucket: bucket.label,
+        ...summarize(results.filter(r => r.score >= bucket.min && r.score < bucket.max))
+    }));
+
+    const byMultiplier = [...PREMIUM_RULES.map(rule => ({ key: rule.key, reason: rule.reason })), { key: null, reason: "No premium" }]
+        .map(({ key, reason }) => {
+            const group = results.filter(r => r.premiumKey === key);
+            const ratios = group.filter(r => r.realizedValue && r.baseValue > 0).map(r => r.realizedValue / r.baseValue);
+            return {
+                key: key || "none",
+                reason,
+                weight: key ? weights[key] : 1.0,
+                impliedMultiplier: ratios.length ? round2(median(ratios)) : null,
+                ...summarize(group)
+            };
+        });
+
+    return {
+        params: { days, horizonDays, weights, since },
+        coverage: { listingsFrom },
+        warnings,
+        overall: summarize(results),
+        byScore,
+        byMultiplier
+    };
+}
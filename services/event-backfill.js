@@ -0,0 +1,238 @@
+// services/event-backfill.js
+// Keeps the Flow event stream gap-free across WebSocket reconnects and restarts.
+// The last fully processed block height is persisted; on reconnect the missed range is
+// fetched from the Flow REST events endpoint and replayed in block order.
+
+import fetch from "node-fetch";
+import { pgQuery } from "../db.js";
+import { ALLDAY_EVENT_TYPES } from "./event-processor.js";
+import { CLASSIFIER_EVENT_TYPES } from "./transaction-classifier.js";
+
+const FLOW_REST_API = process.env.FLOW_ACCESS_NODE || "https://rest-mainnet.onflow.org";
+const CHUNK_SIZE = 250; // Max block range the REST events endpoint accepts per request
+const MAX_FETCH_RETRIES = 3;
+const MAX_SEEN_EVENTS = 20000;
+const CURSOR_FLUSH_INTERVAL = 5000; // Persist the cursor at most every 5 seconds
+
+export const DEFAULT_STREAM = "allday-events";
+
+// Recently processed event keys (tx id + event index), oldest first
+const seenEvents = new Set();
+
+const cursorState = new Map(); // stream -> { height, saved, timer }
+
+/**
+ * Ensures the cursor table exists
+ */
+export async function ensureStreamCursorTable() {
+    await pgQuery(`
+      CREATE TABLE IF NOT EXISTS flow_stream_cursor (
+        stream TEXT PRIMARY KEY,
+        last_block_height BIGINT NOT NULL,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `);
+}
+
+/**
+ * Last block height that was fully processed for a stream
+ * @param {string} [stream]
+ * @returns {Promise<number|null>} null if the stream has never run
+ */
+export async function getLastProcessedHeight(stream = DEFAULT_STREAM) {
+    const state = cursorState.get(stream);
+    if (state?.height) return state.height;
+
+    await ensureStreamCursorTable();
+    const { rows } = await pgQuery(`SELECT last_block_height FROM flow_stream_cursor WHERE stream = $1`, [stream]);
+    return rows.length ? Number(rows[0].last_block_height) : null;
+}
+
+async function flushCursor(stream) {
+    const state = cursorState.get(stream);
+    if (!state || state.height === state.saved) return;
+    const height = state.height;
+    try {
+        await ensureStreamCursorTable();
+        // Never move the cursor backwards (another instance may be ahead)
+        await pgQuery(
+            `INSERT INTO flow_stream_cursor (stream, last_block_height, updated_at)
+             VALUES ($1, $2, now())
+             ON CONFLICT (stream) DO UPDATE SET
+               last_block_height = GREATEST(flow_stream_cursor.last_block_height, EXCLUDED.last_block_height),
+               updated_at = now()`,
+            [stream, height]
+        );
+        state.saved = height;
+    } catch (err) {
+        console.error("[Backfill] Failed to save stream cursor:", err.message);
+    }
+}
+
+/**
+ * Record that every event up to and including `height` has been processed
+ * @param {number} height
+ * @param {Object} [options]
+ * @param {string} [options.stream]
+ * @param {boolean} [options.immediate] - Write now instead of batching
+ */
+export async function saveLastProcessedHeight(height, { stream = DEFAULT_STREAM, immediate = false } = {}) {
+    height = Number(height);
+    if (!Number.isFinite(height) || height <= 0) return;
+
+    let state = cursorState.get(stream);
+    if (!state) {
+        state = { height: 0, saved: 0, timer: null };
+        cursorState.set(stream, state);
+    }
+    if (height <= state.height) return;
+    state.height = height;
+
+    if (immediate) {
+        if (state.timer) clearTimeout(state.timer);
+        state.timer = null;
+        return flushCursor(stream);
+    }
+    if (!state.timer) {
+        state.timer = setTimeout(() => {
+            state.timer = null;
+            flushCursor(stream);
+        }, CURSOR_FLUSH_INTERVAL);
+    }
+}
+
+/**
+ * Dedupe key for an event, or null if it can't be identified
+ */
+export function eventKey(event) {
+    const txId = event.transaction_id || event.tx_id;
+    const index = event.event_index ?? event.eventIndex;
+    if (!txId || index === undefined || index === null) return null;
+    return `${txId}:${index}`;
+}
+
+/**
+ * Mark an event as processed. Returns false if it was already seen.
+ */
+export function markEventSeen(event) {
+    const key = eventKey(event);
+    if (!key) return true;
+    if (seenEvents.has(key)) return false;
+    seenEvents.add(key);
+    if (seenEvents.size > MAX_SEEN_EVENTS) {
+        seenEvents.delete(seenEvents.values().next().value);
+    }
+    return true;
+}
+
+/**
+ * Order events the way they happened on chain
+ */
+export function compareEvents(a, b) {
+    return (Number(a.block_height) - Number(b.block_height))
+        || (Number(a.transaction_index ?? 0) - Number(b.transaction_index ?? 0))
+        || (Number(a.event_index ?? 0) - Number(b.event_index ?? 0));
+}
+
+/**
+ * Latest sealed block height
+ * @returns {Promise<number|null>}
+ */
+export async function getSealedBlockHeight() {
+    try {
+        const res = await fetch(`${FLOW_REST_API}/v1/blocks?height=sealed`, { signal: AbortSignal.timeout(5000) });
+        if (!res.ok) return null;
+        const data = await res.json();
+        const block = Array.isArray(data) ? data[0] : data;
+        return parseInt(block?.header?.height || 0, 10) || null;
+    } catch (err) {
+        console.error("[Backfill] Failed to fetch sealed block height:", err.message);
+        return null;
+    }
+}
+
+async function fetchEventType(eventType, startHeight, endHeight) {
+    const url = `${FLOW_REST_API}/v1/events?type=${encodeURIComponent(eventType)}&start_height=${startHeight}&end_height=${endHeight}`;
+    let lastError;
+    for (let attempt = 1; attempt <= MAX_FETCH_RETRIES; attempt++) {
+        try {
+            const res = await fetch(url, { headers: { Accept: "application/json" }, signal: AbortSignal.timeout(15000) });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            return await res.json();
+        } catch (err) {
+            lastError = err;
+            await new Promise(resolve => setTimeout(resolve, 500 * attempt));
+        }
+    }
+    // Throw rather than skip: a skipped range would be a silent gap
+    throw new Error(`Failed to fetch ${eventType} for blocks ${startHeight}-${endHeight}: ${lastError.message}`);
+}
+
+/**
+ * Fetch every AllDay event (plus the storefront/pack events the classifier needs) in a block range, sorted in chain order
+ * @param {number} startHeight - Inclusive
+ * @param {number} endHeight - Inclusive, at most CHUNK_SIZE blocks after startHeight
+ * @returns {Promise<Object[]>}
+ */
+export async function fetchEventsInRange(startHeight, endHeight) {
+    const events = [];
+    for (const eventType of [...ALLDAY_EVENT_TYPES, ...CLASSIFIER_EVENT_TYPES]) {
+        const blocks = await fetchEventType(eventType, startHeight, endHeight);
+        for (const block of Array.isArray(blocks) ? blocks : []) {
+            for (const event of block.events || []) {
+                events.push({
+                    ...event,
+                    type: event.type || eventType,
+                    block_height: Number(block.block_height),
+                    block_timestamp: block.block_timestamp,
+                    transaction_index: Number(event.transaction_index ?? 0),
+                    event_index: Number(event.event_index ?? 0)
+                });
+            }
+        }
+    }
+    return events.sort(compareEvents);
+}
+
+/**
+ * Replay everything after the stored cursor up to `toHeight`, one chunk at a time.
+ * The cursor advances after each chunk, so an interrupted backfill resumes where it stopped.
+ * @param {Object} options
+ * @param {number} options.toHeight - Last block to replay
+ * @param {Function} options.onEvent - async (event) => void, called in chain order for unseen events
+ * @param {Function} [options.onChunk] - async (events) => void, called with each chunk's unseen events after onEvent
+ * @param {string} [options.stream]
+ * @returns {Promise<{fromHeight: number|null, toHeight: number, replayed: number, skipped: number}>}
+ */
+export async function backfillMissedEvents({ toHeight, onEvent, onChunk = null, stream = DEFAULT_STREAM }) {
+    const lastHeight = await getLastProcessedHeight(stream);
+    if (!lastHeight || !toHeight || toHeight <= lastHeight) {
+        return { fromHeight: null, toHeight, replayed: 0, skipped: 0 };
+    }
+
+    const fromHeight = lastHeight + 1;
+    console.log(`[Backfill] Replaying blocks ${fromHeight}-${toHeight} (${toHeight - lastHeight} blocks)...`);
+
+    let replayed = 0;
+    let skipped = 0;
+    for (let start = fromHeight; start <= toHeight; start += CHUNK_SIZE) {
+        const end = Math.min(start + CHUNK_SIZE - 1, toHeight);
+        const events = await fetchEventsInRange(start, end);
+        const unseen = [];
+        for (const event of events) {
+            if (!markEventSeen(event)) {
+                skipped++;
+                continue;
+            }
+            const replay = { ...event, source: "backfill" };
+            await onEvent(replay);
+            unseen.push(replay);
+            replayed++;
+        }
+        if (onChunk && unseen.length) await onChunk(unseen);
+        await saveLastProcessedHeight(end, { stream, immediate: true });
+    }
+
+    console.log(`[Backfill] ✅ Blocks ${fromHeight}-${toHeight}: replayed ${replayed} events (${skipped} duplicates skipped)`);
+    return { fromHeight, toHeight, replayed, skipped };
+}
@@ -3,6 +3,7 @@
 // Handles all NFL All Day events and updates the database in real-time
 
 import { pgQuery } from "../db.js";
+import pool from "../db/pool.js";
 
 const ALLDAY_CONTRACT = "A.e4cf4bdc1751c65d.AllDay";
 const NFTLOCKER_CONTRACT = "0xb6f2481eba4df97b"; // NFTLocker holds locked NFTs - don't track as wallet owner
@@ -96,6 +97,7 @@ export async function handleSeriesCreated(event, payload) {
         console.log(`[Event] ✅ SeriesCreated: ${seriesName} (ID: ${seriesId})`);
     } catch (err) {
         console.error(`[Event] Error handling SeriesCreated:`, err.message);
+        throw err;
     }
 }
 
@@ -120,6 +122,7 @@ export async function handleSetCreated(event, payload) {
         console.log(`[Event] ✅ SetCreated: ${setName} (ID: ${setId})`);
     } catch (err) {
         console.error(`[Event] Error handling SetCreated:`, err.message);
+        throw err;
     }
 }
 
@@ -164,6 +167,7 @@ export async function handlePlayCreated(event, payload) {
         console.log(`[Event] ✅ PlayCreated: ${firstName || 'Unknown'} ${lastName || ''} (ID: ${playId})`);
     } catch (err) {
         console.error(`[Event] Error handling PlayCreated:`, err.message);
+        throw err;
     }
 }
 
@@ -197,6 +201,7 @@ export async function handleEditionCreated(event, payload) {
         console.log(`[Event] ✅ EditionCreated: ${tier || 'Unknown'} (ID: ${editionId}, Play: ${playId})`);
     } catch (err) {
         console.error(`[Event] Error handling EditionCreated:`, err.message);
+        throw err;
     }
 }
 
@@ -232,6 +237,7 @@ export async function handleMomentNFTMinted(event, payload) {
         console.log(`[Event] ✅ MomentNFTMinted: NFT ${nftId} (Edition: ${editionId}, Serial: ${serialNumber})`);
     } catch (err) {
         console.error(`[Event] Error handling MomentNFTMinted:`, err.message);
+        throw err;
     }
 }
 
@@ -265,6 +271,7 @@ export async function handleMomentNFTBurned(event, payload) {
         console.log(`[Event] ✅ MomentNFTBurned: NFT ${nftId} (Removed from all holdings)`);
     } catch (err) {
         console.error(`[Event] Error handling MomentNFTBurned:`, err.message);
+        throw err;
     }
 }
 
@@ -312,6 +319,7 @@ export async function handleDeposit(event, payload) {
         console.log(`[Event] ✅ Transferred NFT ${nftId} → ${toAddr.substring(0, 10)}...`);
     } catch (err) {
         console.error(`[Event] Error handling Deposit:`, err.message);
+        throw err;
     }
 }
 
@@ -339,6 +347,7 @@ export async function handleWithdraw(event, payload) {
         console.log(`[Event] Withdrawal detected for NFT ${nftId} ← ${fromAddr.substring(0, 10)}... (waiting for Deposit to change ownership)`);
     } catch (err) {
         console.error(`[Event] Error handling Withdraw:`, err.message);
+        throw err;
     }
 }
 
@@ -359,6 +368,7 @@ export async function handleNFTLocked(event, payload) {
         console.log(`[Event] ✅ NFTLocked: NFT ${nftId}`);
     } catch (err) {
         console.error(`[Event] Error handling NFTLocked:`, err.message);
+        throw err;
     }
 }
 
@@ -379,47 +389,309 @@ export async function handleNFTUnlocked(event, payload) {
         console.log(`[Event] ✅ NFTUnlocked: NFT ${nftId}`);
     } catch (err) {
         console.error(`[Event] Error handling NFTUnlocked:`, err.message);
+        throw err;
     }
 }
 
-// Main event processor - routes events to appropriate handlers
+// Route an event to its handler
+async function routeEvent(eventType, event, payload) {
+    if (eventType.endsWith('.SeriesCreated')) {
+        await handleSeriesCreated(event, payload);
+    } else if (eventType.endsWith('.SetCreated')) {
+        await handleSetCreated(event, payload);
+    } else if (eventType.endsWith('.PlayCreated')) {
+        await handlePlayCreated(event, payload);
+    } else if (eventType.endsWith('.EditionCreated')) {
+        await handleEditionCreated(event, payload);
+    } else if (eventType.endsWith('.MomentNFTMinted')) {
+        await handleMomentNFTMinted(event, payload);
+    } else if (eventType.endsWith('.MomentNFTBurned')) {
+        await handleMomentNFTBurned(event, payload);
+    } else if (eventType.endsWith('.Deposit')) {
+        await handleDeposit(event, payload);
+    } else if (eventType.endsWith('.Withdraw')) {
+        await handleWithdraw(event, payload);
+    } else if (eventType.endsWith('.NFTLocked')) {
+        await handleNFTLocked(event, payload);
+    } else if (eventType.endsWith('.NFTUnlocked')) {
+        await handleNFTUnlocked(event, payload);
+    } else {
+        console.log(`[Event] Unknown event type: ${eventType}`);
+    }
+}
+
+// ------------------ Processed-events ledger ------------------
+
+// Events that change holdings; these are the ones that must apply in chain order
+const HOLDINGS_EVENT_NAMES = ['Deposit', 'NFTLocked', 'NFTUnlocked', 'MomentNFTBurned'];
+
+// A claim still pending after this long was left by a crashed process and may be taken again
+const STALE_CLAIM_MINUTES = 10;
+
+let ledgerReady = false;
+
+/**
+ * Ensures the processed_events ledger exists
+ * One row per (transaction_id, event_index); status is pending, applied, reordered or failed.
+ */
+export async function ensureProcessedEventsTable() {
+    if (ledgerReady) return;
+    await pgQuery(`
+      CREATE TABLE IF NOT EXISTS processed_events (
+        transaction_id TEXT NOT NULL,
+        event_index INTEGER NOT NULL,
+        transaction_index INTEGER NOT NULL DEFAULT 0,
+        block_height BIGINT,
+        block_timestamp TIMESTAMPTZ,
+        event_type TEXT NOT NULL,
+        nft_id TEXT,
+        from_address TEXT,
+        to_address TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        error TEXT,
+        processed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        PRIMARY KEY (transaction_id, event_index)
+      );
+    `);
+    await pgQuery(`CREATE INDEX IF NOT EXISTS idx_processed_events_nft_order ON processed_events (nft_id, block_height, transaction_index, event_index)`);
+    await pgQuery(`CREATE INDEX IF NOT EXISTS idx_processed_events_to ON processed_events (to_address)`);
+    ledgerReady = true;
+}
+
+async function setLedgerStatus(key, status, error = null) {
+    await pgQuery(
+        `UPDATE processed_events SET status = $3, error = $4, processed_at = now() WHERE transaction_id = $1 AND event_index = $2`,
+        [key.transactionId, key.eventIndex, status, error]
+    );
+}
+
+/**
+ * Work out what holdings should look like for a set of NFTs from the ledger alone.
+ * - owner: `to` of the latest Deposit that isn't into the NFTLocker (null if the ledger has none)
+ * - burned: a MomentNFTBurned after that Deposit
+ * - is_locked: the latest NFTLocked/NFTUnlocked after that Deposit; false after a plain Deposit;
+ *   null when the ledger has no opinion
+ * @param {Object} client - Pool client
+ * @param {string[]|null} nftIds - null for every NFT in the ledger
+ */
+async function deriveHoldingsState(client, nftIds) {
+    const { rows } = await client.query(`
+      WITH ev AS (
+        SELECT nft_id, event_type, to_address, block_timestamp, block_height, transaction_index, event_index
+        FROM processed_events
+        WHERE nft_id IS NOT NULL
+          AND status IN ('applied', 'reordered')
+          AND block_height IS NOT NULL
+          AND event_type = ANY($2::text[])
+          AND ($1::text[] IS NULL OR nft_id = ANY($1::text[]))
+      ),
+      last_deposit AS (
+        SELECT DISTINCT ON (nft_id) *
+        FROM ev
+        WHERE event_type = 'Deposit' AND to_address IS DISTINCT FROM $3
+        ORDER BY nft_id, block_height DESC, transaction_index DESC, event_index DESC
+      ),
+      last_burn AS (
+        SELECT DISTINCT ON (nft_id) *
+        FROM ev
+        WHERE event_type = 'MomentNFTBurned'
+        ORDER BY nft_id, block_height DESC, transaction_index DESC, event_index DESC
+      ),
+      last_lock AS (
+        SELECT DISTINCT ON (nft_id) *
+        FROM ev
+        WHERE event_type IN ('NFTLocked', 'NFTUnlocked')
+        ORDER BY nft_id, block_height DESC, transaction_index DESC, event_index DESC
+      )
+      SELECT
+        n.nft_id,
+        d.to_address AS owner,
+        d.block_timestamp AS acquired_at,
+        (b.nft_id IS NOT NULL AND (d.nft_id IS NULL
+          OR (b.block_height, b.transaction_index, b.event_index) > (d.block_height, d.transaction_index, d.event_index))) AS burned,
+        CASE
+          WHEN l.nft_id IS NOT NULL AND (d.nft_id IS NULL
+            OR (l.block_height, l.transaction_index, l.event_index) > (d.block_height, d.transaction_index, d.event_index))
+            THEN l.event_type = 'NFTLocked'
+          WHEN d.nft_id IS NOT NULL THEN FALSE
+          ELSE NULL
+        END AS is_locked
+      FROM (SELECT DISTINCT nft_id FROM ev) n
+      LEFT JOIN last_deposit d ON d.nft_id = n.nft_id
+      LEFT JOIN last_burn b ON b.nft_id = n.nft_id
+      LEFT JOIN last_lock l ON l.nft_id = n.nft_id
+      ORDER BY n.nft_id
+    `, [nftIds, HOLDINGS_EVENT_NAMES, NFTLOCKER_CONTRACT]);
+    return rows;
+}
+
+// Write derived state into holdings (caller owns the transaction)
+async function applyHoldingsState(client, states) {
+    const burned = states.filter(s => s.burned).map(s => s.nft_id);
+    const owned = states.filter(s => !s.burned && s.owner);
+    const lockOnly = states.filter(s => !s.burned && !s.owner && s.is_locked !== null);
+    let changed = 0;
+
+    if (burned.length) {
+        const res = await client.query(`DELETE FROM holdings WHERE nft_id = ANY($1::text[])`, [burned]);
+        changed += res.rowCount;
+    }
+    if (owned.length) {
+        const ids = owned.map(s => s.nft_id);
+        const owners = owned.map(s => s.owner);
+        const moved = await client.query(
+            `DELETE FROM holdings h
+             USING UNNEST($1::text[], $2::text[]) AS d(nft_id, owner)
+             WHERE h.nft_id = d.nft_id AND h.wallet_address <> d.owner`,
+            [ids, owners]
+        );
+        const upserted = await client.query(
+            `INSERT INTO holdings (wallet_address, nft_id, is_locked, acquired_at, last_synced_at)
+             SELECT owner, nft_id, is_locked, acquired_at, NOW()
+             FROM UNNEST($1::text[], $2::text[], $3::boolean[], $4::timestamptz[]) AS d(nft_id, owner, is_locked, acquired_at)
+             ON CONFLICT (wallet_address, nft_id) DO UPDATE SET
+               is_locked = EXCLUDED.is_locked,
+               acquired_at = COALESCE(holdings.acquired_at, EXCLUDED.acquired_at),
+               last_synced_at = NOW()
+             WHERE holdings.is_locked IS DISTINCT FROM EXCLUDED.is_locked`,
+            [ids, owners, owned.map(s => s.is_locked), owned.map(s => s.acquired_at)]
+        );
+        changed += moved.rowCount + upserted.rowCount;
+    }
+    if (lockOnly.length) {
+        const res = await client.query(
+            `UPDATE holdings h
+             SET is_locked = d.is_locked, last_synced_at = NOW()
+             FROM UNNEST($1::text[], $2::boolean[]) AS d(nft_id, is_locked)
+             WHERE h.nft_id = d.nft_id AND h.is_locked IS DISTINCT FROM d.is_locked`,
+            [lockOnly.map(s => s.nft_id), lockOnly.map(s => s.is_locked)]
+        );
+        changed += res.rowCount;
+    }
+    return { burned: burned.length, owned: owned.length, lockOnly: lockOnly.length, changed };
+}
+
+/**
+ * Rebuild holdings from the ledger. Deterministic: the result depends only on the ledger,
+ * not on the order events were received in. NFTs with no ledger history are left alone.
+ * @param {Object} [options]
+ * @param {string[]} [options.nftIds] - Only these NFTs (default: every NFT in the ledger)
+ * @param {boolean} [options.dryRun] - Compute and roll back instead of committing
+ * @returns {Promise<{nfts: number, burned: number, owned: number, lockOnly: number, changed: number, dryRun: boolean}>}
+ */
+export async function rebuildHoldingsFromLedger({ nftIds = null, dryRun = false } = {}) {
+    await ensureProcessedEventsTable();
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        const states = await deriveHoldingsState(client, nftIds);
+        const BATCH_SIZE = 5000;
+        const totals = { nfts: states.length, burned: 0, owned: 0, lockOnly: 0, changed: 0, dryRun };
+        for (let i = 0; i < states.length; i += BATCH_SIZE) {
+            const result = await applyHoldingsState(client, states.slice(i, i + BATCH_SIZE));
+            totals.burned += result.burned;
+            totals.owned += result.owned;
+            totals.lockOnly += result.lockOnly;
+            totals.changed += result.changed;
+        }
+        await client.query(dryRun ? "ROLLBACK" : "COMMIT");
+        return totals;
+    } catch (err) {
+        await client.query("ROLLBACK").catch(() => { });
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Main event processor - records the event in the ledger, then routes it to its handler.
+ *   duplicate - already applied (or in progress); nothing done
+ *   reordered - an older holdings event arrived after a newer one; the NFT was rebuilt from the ledger instead
+ *   applied   - handler ran
+ *   failed    - handler threw; a later replay will retry it
+ *   unkeyed   - no transaction id / event index, so applied without the ledger
+ * @param {Object} event
+ * @returns {Promise<'applied'|'duplicate'|'reordered'|'failed'|'unkeyed'>}
+ */
 export async function processBlockchainEvent(event) {
+    const eventType = event.type || '';
+    const eventName = eventType.split('.').pop();
+    let payload;
+    let key = null;
+
     try {
-        const eventType = event.type || '';
-        const payload = parseEventPayload(event);
-
-        // Route to appropriate handler based on event type
-        if (eventType.endsWith('.SeriesCreated')) {
-            await handleSeriesCreated(event, payload);
-        } else if (eventType.endsWith('.SetCreated')) {
-            await handleSetCreated(event, payload);
-        } else if (eventType.endsWith('.PlayCreated')) {
-            await handlePlayCreated(event, payload);
-        } else if (eventType.endsWith('.EditionCreated')) {
-            await handleEditionCreated(event, payload);
-        } else if (eventType.endsWith('.MomentNFTMinted')) {
-            await handleMomentNFTMinted(event, payload);
-        } else if (eventType.endsWith('.MomentNFTBurned')) {
-            await handleMomentNFTBurned(event, payload);
-        } else if (eventType.endsWith('.Deposit')) {
-            await handleDeposit(event, payload);
-        } else if (eventType.endsWith('.Withdraw')) {
-            await handleWithdraw(event, payload);
-        } else if (eventType.endsWith('.NFTLocked')) {
-            await handleNFTLocked(event, payload);
-        } else if (eventType.endsWith('.NFTUnlocked')) {
-            await handleNFTUnlocked(event, payload);
-        } else {
-            console.log(`[Event] Unknown event type: ${eventType}`);
+        payload = parseEventPayload(event);
+
+        const transactionId = event.transaction_id || event.tx_id;
+        const eventIndex = event.event_index ?? event.eventIndex;
+        if (!transactionId || eventIndex === undefined || eventIndex === null) {
+            await routeEvent(eventType, event, payload);
+            return 'unkeyed';
+        }
+        key = { transactionId, eventIndex: Number(eventIndex) };
+
+        const fields = extractFields(payload);
+        const nftId = fields.id !== undefined && fields.id !== null ? fields.id.toString() : null;
+        const blockHeight = event.block_height ? Number(event.block_height) : null;
+        const transactionIndex = Number(event.transaction_index ?? 0);
+
+        await ensureProcessedEventsTable();
+        // Claim the event; failed and stale pending events may be claimed again so replays can retry them
+        const claim = await pgQuery(`
+          INSERT INTO processed_events (transaction_id, event_index, transaction_index, block_height, block_timestamp, event_type, nft_id, from_address, to_address)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+          ON CONFLICT (transaction_id, event_index) DO UPDATE SET status = 'pending', error = NULL, processed_at = now()
+          WHERE processed_events.status = 'failed'
+             OR (processed_events.status = 'pending' AND processed_events.processed_at < now() - make_interval(mins => $10))
+          RETURNING transaction_id
+        `, [
+            key.transactionId, key.eventIndex, transactionIndex, blockHeight,
+            event.block_timestamp ? new Date(event.block_timestamp) : null,
+            eventName, nftId,
+            fields.from?.toString()?.toLowerCase() || null,
+            fields.to?.toString()?.toLowerCase() || null,
+            STALE_CLAIM_MINUTES
+        ]);
+        if (claim.rowCount === 0) {
+            console.log(`[Event] Skipping duplicate ${eventName} (${key.transactionId}:${key.eventIndex})`);
+            return 'duplicate';
         }
+
+        // Ordering guard: never let an older holdings event overwrite newer state
+        if (nftId && blockHeight !== null && HOLDINGS_EVENT_NAMES.includes(eventName)) {
+            const newer = await pgQuery(`
+              SELECT 1 FROM processed_events
+              WHERE nft_id = $1
+                AND event_type = ANY($2::text[])
+                AND status IN ('applied', 'reordered')
+                AND (block_height, transaction_index, event_index) > ($3::bigint, $4::int, $5::int)
+              LIMIT 1
+            `, [nftId, HOLDINGS_EVENT_NAMES, blockHeight, transactionIndex, key.eventIndex]);
+
+            if (newer.rowCount > 0) {
+                await setLedgerStatus(key, 'reordered');
+                const result = await rebuildHoldingsFromLedger({ nftIds: [nftId] });
+                console.log(`[Event] ↕️  ${eventName} for NFT ${nftId} arrived out of order; rebuilt from ledger (${result.changed} rows changed)`);
+                return 'reordered';
+            }
+        }
+
+        await routeEvent(eventType, event, payload);
+        await setLedgerStatus(key, 'applied');
+        return 'applied';
     } catch (err) {
         console.error(`[Event] Error processing blockchain event:`, err.message);
+        if (key) await setLedgerStatus(key, 'failed', err.message).catch(() => { });
+        return 'failed';
     }
 }
 
 export default {
     ALLDAY_EVENT_TYPES,
     processBlockchainEvent,
+    ensureProcessedEventsTable,
+    rebuildHoldingsFromLedger,
     handleSeriesCreated,
     handleSetCreated,
     handlePlayCreated,
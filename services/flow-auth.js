@@ -0,0 +1,136 @@
+// services/flow-auth.js
+// FCL account-proof login support
+// Issues single-use nonces and verifies the wallet's account-proof before a session is trusted
+
+import crypto from "crypto";
+import { pgQuery } from "../db.js";
+import { verifyAccountProof } from "./flow-blockchain.js";
+
+// Must match the appIdentifier the browser passes to fcl.accountProof.resolver
+export const FLOW_APP_IDENTIFIER = process.env.FLOW_APP_IDENTIFIER || "allday-wallet-viewer";
+
+const NONCE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const NONCE_BYTES = 32; // FCL requires at least 32 bytes of hex
+
+/**
+ * Ensures the nonce table exists
+ */
+export async function ensureFlowAuthNonceTable() {
+    await pgQuery(`
+      CREATE TABLE IF NOT EXISTS flow_auth_nonces (
+        nonce TEXT PRIMARY KEY,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        expires_at TIMESTAMPTZ NOT NULL,
+        used_at TIMESTAMPTZ,
+        used_by_address TEXT
+      );
+    `);
+    await pgQuery(`CREATE INDEX IF NOT EXISTS idx_flow_auth_nonces_expires ON flow_auth_nonces (expires_at)`);
+}
+
+/**
+ * Issue a fresh nonce for an account-proof login
+ * @returns {Promise<{nonce: string, appIdentifier: string, expiresAt: string}>}
+ */
+export async function issueLoginNonce() {
+    await ensureFlowAuthNonceTable();
+
+    // Clean up anything that can no longer be used
+    await pgQuery(`DELETE FROM flow_auth_nonces WHERE expires_at < now() - interval '1 day'`).catch(() => { });
+
+    const nonce = crypto.randomBytes(NONCE_BYTES).toString("hex");
+    const expiresAt = new Date(Date.now() + NONCE_TTL_MS);
+
+    await pgQuery(
+        `INSERT INTO flow_auth_nonces (nonce, expires_at) VALUES ($1, $2)`,
+        [nonce, expiresAt]
+    );
+
+    return { nonce, appIdentifier: FLOW_APP_IDENTIFIER, expiresAt: expiresAt.toISOString() };
+}
+
+/**
+ * Atomically mark a nonce as used. Fails if it is unknown, expired or already used.
+ * @param {string} nonce
+ * @param {string} address - Address that presented the proof
+ * @returns {Promise<boolean>}
+ */
+async function consumeLoginNonce(nonce, address) {
+    const { rowCount } = await pgQuery(
+        `UPDATE flow_auth_nonces
+         SET used_at = now(), used_by_address = $2
+         WHERE nonce = $1 AND used_at IS NULL AND expires_at > now()`,
+        [nonce, address]
+    );
+    return rowCount > 0;
+}
+
+function normalizeFlowAddress(address) {
+    let addr = (address || "").toString().trim().toLowerCase();
+    if (addr.startsWith("0x")) addr = addr.substring(2);
+    if (!/^[0-9a-f]{1,16}$/.test(addr)) return null;
+    return "0x" + addr.padStart(16, "0");
+}
+
+/**
+ * Verify the account-proof a wallet returned for a login attempt
+ * The nonce is consumed before the signature check so a proof can never be replayed.
+ * @param {string} walletAddress - Address the client claims to own
+ * @param {Object} accountProof - { address, nonce, signatures } from the FCL account-proof service
+ * @returns {Promise<{ok: boolean, address?: string, error?: string}>}
+ */
+export async function verifyLoginAccountProof(walletAddress, accountProof) {
+    if (!accountProof || typeof accountProof !== "object") {
+        return { ok: false, error: "Missing account proof. Please sign in with Dapper again." };
+    }
+
+    const address = normalizeFlowAddress(walletAddress);
+    const proofAddress = normalizeFlowAddress(accountProof.address);
+    const { nonce, signatures } = accountProof;
+
+    if (!address || address !== proofAddress) {
+        return { ok: false, error: "Account proof does not match wallet address" };
+    }
+    if (typeof nonce !== "string" || !/^[0-9a-f]+$/i.test(nonce)) {
+        return { ok: false, error: "Invalid account proof nonce" };
+    }
+    if (!Array.isArray(signatures) || signatures.length === 0) {
+        return { ok: false, error: "Account proof has no signatures" };
+    }
+    // Every signature has to come from the account being proven
+    if (!signatures.every(sig => normalizeFlowAddress(sig?.addr) === address)) {
+        return { ok: false, error: "Account proof signed by a different account" };
+    }
+
+    await ensureFlowAuthNonceTable();
+    const nonceOk = await consumeLoginNonce(nonce.toLowerCase(), address);
+    if (!nonceOk) {
+        return { ok: false, error: "Login nonce expired or already used. Please try again." };
+    }
+
+    const verified = await verifyAccountProof(FLOW_APP_IDENTIFIER, {
+        address,
+        nonce: nonce.toLowerCase(),
+        signatures
+    });
+    if (!verified) {
+        return { ok: false, error: "Account proof signature is invalid" };
+    }
+
+    return { ok: true, address };
+}
+
+/**
+ * Whether a session may be trusted for wallet-bound actions.
+ * Wallet logins are only trusted once the account-proof has been verified.
+ * @param {Object} sessUser - req.session.user
+ */
+export function isSessionTrusted(sessUser) {
+    if (!sessUser || !sessUser.id) return false;
+    const email = (sessUser.email || "").toString();
+    const isWalletLogin = sessUser.auth_provider === "flow" || email.startsWith("flow:") || email.startsWith("dapper:");
+    if (isWalletLogin) {
+        return !!sessUser.verified_wallet;
+    }
+    return true;
+}
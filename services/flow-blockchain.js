@@ -322,6 +322,24 @@ export async function getLockedStatus(nftIds) {
   }
 }
 
+/**
+ * Verify an FCL account-proof against the account's on-chain keys
+ * Runs the FCLCrypto contract, which rejects revoked keys and requires the
+ * signing keys to add up to full weight (1000)
+ * @param {string} appIdentifier - App identifier the wallet signed
+ * @param {Object} accountProof - { address, nonce, signatures } from the account-proof service
+ * @returns {Promise<boolean>} True if the signatures are valid for the account
+ */
+export async function verifyAccountProof(appIdentifier, accountProof) {
+  try {
+    const verified = await fcl.AppUtils.verifyAccountProof(appIdentifier, accountProof);
+    return verified === true;
+  } catch (err) {
+    console.error(`[Flow] Error verifying account proof for ${accountProof?.address}:`, err.message);
+    return false;
+  }
+}
+
 // Export for use in other modules
 export default {
   getWalletNFTIds,
@@ -331,6 +349,7 @@ export default {
   getWalletNFTsWithMetadata,
   hasAllDayCollection,
   getWalletNFTCount,
-  getLockedStatus
+  getLockedStatus,
+  verifyAccountProof
 };
 
@@ -0,0 +1,379 @@
+// services/holdings-reconciliation.js
+// Compares the holdings table against on-chain ownership and records every discrepancy.
+// Reports are read-only until approved; only approveReport() writes to holdings.
+
+import { pgQuery } from "../db.js";
+import pool from "../db/pool.js";
+import { getWalletNFTIds, getLockedNFTIds } from "./flow-blockchain.js";
+
+// Discrepancy kinds
+//   ghost       - in holdings for this wallet, but not on chain (unlocked or locked)
+//   missing     - on chain in this wallet, not in holdings anywhere
+//   wrong_lock  - in both, but is_locked disagrees with the chain
+//   wrong_owner - on chain in this wallet, but holdings has it under another wallet
+export const DISCREPANCY_KINDS = ["ghost", "missing", "wrong_lock", "wrong_owner"];
+
+const WALLET_DELAY_MS = 500; // Between wallets on full scans, same pacing as the wallet sync
+const MAX_REPORT_AGE_HOURS = 24; // Older reports must be re-run before they can be approved
+
+/**
+ * Ensures the report tables exist
+ */
+export async function ensureReconciliationTables() {
+    await pgQuery(`
+      CREATE TABLE IF NOT EXISTS reconciliation_reports (
+        id BIGSERIAL PRIMARY KEY,
+        scope TEXT NOT NULL,
+        wallet_address TEXT,
+        status TEXT NOT NULL DEFAULT 'running',
+        wallets_checked INTEGER NOT NULL DEFAULT 0,
+        wallets_failed INTEGER NOT NULL DEFAULT 0,
+        discrepancy_count INTEGER NOT NULL DEFAULT 0,
+        summary JSONB,
+        error TEXT,
+        created_by TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        finished_at TIMESTAMPTZ,
+        reviewed_by TEXT,
+        reviewed_at TIMESTAMPTZ,
+        applied_at TIMESTAMPTZ,
+        rows_applied INTEGER
+      );
+    `);
+    await pgQuery(`
+      CREATE TABLE IF NOT EXISTS reconciliation_discrepancies (
+        id BIGSERIAL PRIMARY KEY,
+        report_id BIGINT NOT NULL REFERENCES reconciliation_reports(id) ON DELETE CASCADE,
+        wallet_address TEXT NOT NULL,
+        nft_id TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        db_wallet_address TEXT,
+        db_is_locked BOOLEAN,
+        chain_is_locked BOOLEAN
+      );
+    `);
+    await pgQuery(`CREATE INDEX IF NOT EXISTS idx_recon_disc_report ON reconciliation_discrepancies (report_id, kind)`);
+    await pgQuery(`CREATE INDEX IF NOT EXISTS idx_recon_reports_created ON reconciliation_reports (created_at DESC)`);
+}
+
+function normalizeWallet(address) {
+    let addr = (address || "").toString().trim().toLowerCase();
+    if (addr.startsWith("0x")) addr = addr.substring(2);
+    if (!/^[0-9a-f]{1,16}$/.test(addr)) return null;
+    return "0x" + addr.padStart(16, "0");
+}
+
+/**
+ * Compare one wallet's holdings with the chain. Does not write anything.
+ * @param {string} walletAddress
+ * @returns {Promise<{wallet: string, discrepancies: Object[], unverifiedLocked: number, onChain: number, inDb: number}>}
+ */
+export async function checkWallet(walletAddress) {
+    const wallet = normalizeWallet(walletAddress);
+    if (!wallet) throw new Error(`Invalid wallet address: ${walletAddress}`);
+
+    // getWalletNFTIds throws on failure, which is what we want: a failed read must never look like an empty wallet
+    const unlockedIds = await getWalletNFTIds(wallet);
+    const lockedIds = await getLockedNFTIds(wallet);
+
+    const chain = new Map(); // nft_id -> is_locked
+    for (const id of unlockedIds) chain.set(id.toString(), false);
+    for (const id of lockedIds) chain.set(id.toString(), true);
+
+    const { rows: dbRows } = await pgQuery(
+        `SELECT nft_id, is_locked FROM holdings WHERE wallet_address = $1`,
+        [wallet]
+    );
+    const db = new Map(dbRows.map(r => [r.nft_id.toString(), r.is_locked === true]));
+
+    // getLockedNFTIds returns [] on errors, so an empty locker can't be trusted if the DB says otherwise
+    const lockerUnverified = lockedIds.length === 0 && dbRows.some(r => r.is_locked === true);
+    let unverifiedLocked = 0;
+
+    const discrepancies = [];
+    for (const [nftId, dbLocked] of db) {
+        if (chain.has(nftId)) {
+            if (chain.get(nftId) !== dbLocked && !(lockerUnverified && dbLocked)) {
+                discrepancies.push({ wallet_address: wallet, nft_id: nftId, kind: "wrong_lock", db_wallet_address: wallet, db_is_locked: dbLocked, chain_is_locked: chain.get(nftId) });
+            }
+        } else if (lockerUnverified && dbLocked) {
+            unverifiedLocked++;
+        } else {
+            discrepancies.push({ wallet_address: wallet, nft_id: nftId, kind: "ghost", db_wallet_address: wallet, db_is_locked: dbLocked, chain_is_locked: null });
+        }
+    }
+
+    const notInWallet = [...chain.keys()].filter(id => !db.has(id));
+    if (notInWallet.length > 0) {
+        const { rows: elsewhere } = await pgQuery(
+            `SELECT nft_id, wallet_address, is_locked FROM holdings WHERE nft_id = ANY($1::text[]) AND wallet_address <> $2`,
+            [notInWallet, wallet]
+        );
+        const otherOwner = new Map(elsewhere.map(r => [r.nft_id.toString(), r]));
+        for (const nftId of notInWallet) {
+            const other = otherOwner.get(nftId);
+            discrepancies.push(other
+                ? { wallet_address: wallet, nft_id: nftId, kind: "wrong_owner", db_wallet_address: other.wallet_address, db_is_locked: other.is_locked, chain_is_locked: chain.get(nftId) }
+                : { wallet_address: wallet, nft_id: nftId, kind: "missing", db_wallet_address: null, db_is_locked: null, chain_is_locked: chain.get(nftId) });
+        }
+    }
+
+    return { wallet, discrepancies, unverifiedLocked, onChain: chain.size, inDb: db.size };
+}
+
+async function insertDiscrepancies(reportId, discrepancies) {
+    const BATCH_SIZE = 500;
+    for (let i = 0; i < discrepancies.length; i += BATCH_SIZE) {
+        const batch = discrepancies.slice(i, i + BATCH_SIZE);
+        await pgQuery(
+            `INSERT INTO reconciliation_discrepancies (report_id, wallet_address, nft_id, kind, db_wallet_address, db_is_locked, chain_is_locked)
+             SELECT $1::bigint, * FROM UNNEST($2::text[], $3::text[], $4::text[], $5::text[], $6::boolean[], $7::boolean[])`,
+            [
+                reportId,
+                batch.map(d => d.wallet_address),
+                batch.map(d => d.nft_id),
+                batch.map(d => d.kind),
+                batch.map(d => d.db_wallet_address),
+                batch.map(d => d.db_is_locked),
+                batch.map(d => d.chain_is_locked)
+            ]
+        );
+    }
+}
+
+/**
+ * Build a reconciliation report for one wallet or for every wallet in holdings.
+ * The report ends up 'pending' (or 'failed'); nothing in holdings is changed.
+ * @param {Object} options
+ * @param {string} [options.wallet] - Only check this wallet
+ * @param {number} [options.limit] - Full scans only: check at most this many wallets
+ * @param {string} [options.createdBy]
+ * @param {Function} [options.onReportCreated] - Called with the report id before scanning starts
+ * @returns {Promise<Object>} The finished report row
+ */
+export async function runReconciliation({ wallet = null, limit = null, createdBy = null, onReportCreated = null } = {}) {
+    await ensureReconciliationTables();
+
+    const singleWallet = wallet ? normalizeWallet(wallet) : null;
+    if (wallet && !singleWallet) throw new Error(`Invalid wallet address: ${wallet}`);
+
+    const { rows: [report] } = await pgQuery(
+        `INSERT INTO reconciliation_reports (scope, wallet_address, created_by) VALUES ($1, $2, $3) RETURNING id`,
+        [singleWallet ? "wallet" : "all", singleWallet, createdBy]
+    );
+    const reportId = report.id;
+    if (onReportCreated) onReportCreated(reportId);
+
+    const summary = { ghost: 0, missing: 0, wrong_lock: 0, wrong_owner: 0, unverified_locked: 0, failed_wallets: [] };
+    let walletsChecked = 0;
+
+    try {
+        let wallets;
+        if (singleWallet) {
+            wallets = [singleWallet];
+        } else {
+            const { rows } = await pgQuery(
+                `SELECT DISTINCT wallet_address FROM holdings ORDER BY wallet_address ${limit ? "LIMIT $1" : ""}`,
+                limit ? [limit] : []
+            );
+            wallets = rows.map(r => r.wallet_address);
+        }
+        console.log(`[Reconcile] Report #${reportId}: checking ${wallets.length} wallet(s)...`);
+
+        for (const w of wallets) {
+            try {
+                const result = await checkWallet(w);
+                await insertDiscrepancies(reportId, result.discrepancies);
+                for (const d of result.discrepancies) summary[d.kind]++;
+                summary.unverified_locked += result.unverifiedLocked;
+                walletsChecked++;
+            } catch (err) {
+                console.error(`[Reconcile] Failed to check ${w}:`, err.message);
+                if (summary.failed_wallets.length < 100) summary.failed_wallets.push({ wallet: w, error: err.message });
+            }
+
+            if (walletsChecked % 100 === 0 && walletsChecked > 0) {
+                await pgQuery(`UPDATE reconciliation_reports SET wallets_checked = $2 WHERE id = $1`, [reportId, walletsChecked]);
+            }
+            if (wallets.length > 1) await new Promise(resolve => setTimeout(resolve, WALLET_DELAY_MS));
+        }
+
+        // On full scans an NFT that moved shows up twice: wrong_owner on the new wallet and
+        // ghost on the old one. The wrong_owner fix already covers it, so drop the ghost.
+        const dupes = await pgQuery(
+            `DELETE FROM reconciliation_discrepancies g
+             USING reconciliation_discrepancies o
+             WHERE g.report_id = $1 AND o.report_id = $1
+               AND g.kind = 'ghost' AND o.kind = 'wrong_owner'
+               AND g.nft_id = o.nft_id AND g.wallet_address = o.db_wallet_address`,
+            [reportId]
+        );
+        summary.ghost -= dupes.rowCount;
+
+        const failed = wallets.length - walletsChecked;
+        const discrepancyCount = summary.ghost + summary.missing + summary.wrong_lock + summary.wrong_owner;
+        const status = singleWallet && failed > 0 ? "failed" : "pending";
+        const { rows: [finished] } = await pgQuery(
+            `UPDATE reconciliation_reports
+             SET status = $2, wallets_checked = $3, wallets_failed = $4, discrepancy_count = $5, summary = $6,
+                 error = $7, finished_at = now()
+             WHERE id = $1
+             RETURNING *`,
+            [reportId, status, walletsChecked, failed, discrepancyCount, JSON.stringify(summary),
+                status === "failed" ? summary.failed_wallets[0]?.error : null]
+        );
+        console.log(`[Reconcile] Report #${reportId} ${status}: ${discrepancyCount} discrepancies across ${walletsChecked} wallets (${failed} failed)`);
+        return finished;
+    } catch (err) {
+        await pgQuery(
+            `UPDATE reconciliation_reports SET status = 'failed', error = $2, finished_at = now(), wallets_checked = $3 WHERE id = $1`,
+            [reportId, err.message, walletsChecked]
+        ).catch(() => { });
+        throw err;
+    }
+}
+
+/**
+ * Recent reports, newest first
+ * @param {number} [limit]
+ */
+export async function listReports(limit = 20) {
+    await ensureReconciliationTables();
+    const { rows } = await pgQuery(
+        `SELECT * FROM reconciliation_reports ORDER BY created_at DESC LIMIT $1`,
+        [limit]
+    );
+    return rows;
+}
+
+/**
+ * A report with a page of its discrepancies
+ * @param {number} reportId
+ * @param {Object} [options]
+ * @param {string} [options.kind] - Only this discrepancy kind
+ * @param {number} [options.limit]
+ * @param {number} [options.offset]
+ * @returns {Promise<Object|null>}
+ */
+export async function getReport(reportId, { kind = null, limit = 200, offset = 0 } = {}) {
+    await ensureReconciliationTables();
+    const { rows: [report] } = await pgQuery(`SELECT * FROM reconciliation_reports WHERE id = $1`, [reportId]);
+    if (!report) return null;
+
+    const { rows: discrepancies } = await pgQuery(
+        `SELECT wallet_address, nft_id, kind, db_wallet_address, db_is_locked, chain_is_locked
+         FROM reconciliation_discrepancies
+         WHERE report_id = $1 AND ($2::text IS NULL OR kind = $2)
+         ORDER BY kind, wallet_address, nft_id
+         LIMIT $3 OFFSET $4`,
+        [reportId, kind, limit, offset]
+    );
+    return { ...report, discrepancies };
+}
+
+/**
+ * Reject a pending report so it can no longer be applied
+ * @param {number} reportId
+ * @param {string} reviewedBy
+ * @returns {Promise<Object|null>} Updated report, or null if it wasn't pending
+ */
+export async function rejectReport(reportId, reviewedBy) {
+    await ensureReconciliationTables();
+    const { rows } = await pgQuery(
+        `UPDATE reconciliation_reports
+         SET status = 'rejected', reviewed_by = $2, reviewed_at = now()
+         WHERE id = $1 AND status = 'pending'
+         RETURNING *`,
+        [reportId, reviewedBy]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Approve a pending report and apply its fixes to holdings in one transaction.
+ *   ghost       -> delete the holdings row
+ *   missing     -> insert it with the on-chain lock flag
+ *   wrong_lock  -> set is_locked to the on-chain value
+ *   wrong_owner -> move the row to the on-chain owner
+ * @param {number} reportId
+ * @param {string} reviewedBy
+ * @returns {Promise<Object>} Updated report
+ */
+export async function approveReport(reportId, reviewedBy) {
+    await ensureReconciliationTables();
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+
+        // Lock the report row so two approvals can't both apply it
+        const { rows: [report] } = await client.query(
+            `SELECT id, status, finished_at FROM reconciliation_reports WHERE id = $1 FOR UPDATE`,
+            [reportId]
+        );
+        if (!report) throw new Error(`Report #${reportId} not found`);
+        if (report.status !== "pending") throw new Error(`Report #${reportId} is ${report.status}, not pending`);
+        const ageHours = (Date.now() - new Date(report.finished_at).getTime()) / 3600000;
+        if (ageHours > MAX_REPORT_AGE_HOURS) {
+            throw new Error(`Report #${reportId} is ${ageHours.toFixed(1)} hours old; run a new one before applying`);
+        }
+
+        let applied = 0;
+
+        const ghosts = await client.query(
+            `DELETE FROM holdings h
+             USING reconciliation_discrepancies d
+             WHERE d.report_id = $1 AND d.kind = 'ghost'
+               AND h.wallet_address = d.wallet_address AND h.nft_id = d.nft_id`,
+            [reportId]
+        );
+        applied += ghosts.rowCount;
+
+        const locks = await client.query(
+            `UPDATE holdings h
+             SET is_locked = d.chain_is_locked, last_synced_at = NOW()
+             FROM reconciliation_discrepancies d
+             WHERE d.report_id = $1 AND d.kind = 'wrong_lock'
+               AND h.wallet_address = d.wallet_address AND h.nft_id = d.nft_id`,
+            [reportId]
+        );
+        applied += locks.rowCount;
+
+        const moved = await client.query(
+            `DELETE FROM holdings h
+             USING reconciliation_discrepancies d
+             WHERE d.report_id = $1 AND d.kind = 'wrong_owner'
+               AND h.nft_id = d.nft_id AND h.wallet_address <> d.wallet_address`,
+            [reportId]
+        );
+        applied += moved.rowCount;
+
+        // Covers both 'missing' and the new side of 'wrong_owner'
+        const inserted = await client.query(
+            `INSERT INTO holdings (wallet_address, nft_id, is_locked, acquired_at, last_synced_at)
+             SELECT d.wallet_address, d.nft_id, COALESCE(d.chain_is_locked, FALSE), NOW(), NOW()
+             FROM reconciliation_discrepancies d
+             WHERE d.report_id = $1 AND d.kind IN ('missing', 'wrong_owner')
+             ON CONFLICT (wallet_address, nft_id)
+             DO UPDATE SET is_locked = EXCLUDED.is_locked, last_synced_at = NOW()`,
+            [reportId]
+        );
+        applied += inserted.rowCount;
+
+        const { rows: [updated] } = await client.query(
+            `UPDATE reconciliation_reports
+             SET status = 'applied', reviewed_by = $2, reviewed_at = now(), applied_at = now(), rows_applied = $3
+             WHERE id = $1
+             RETURNING *`,
+            [reportId, reviewedBy, applied]
+        );
+
+        await client.query("COMMIT");
+        console.log(`[Reconcile] ✅ Report #${reportId} applied by ${reviewedBy}: ${applied} holdings rows changed`);
+        return updated;
+    } catch (err) {
+        await client.query("ROLLBACK").catch(() => { });
+        throw err;
+    } finally {
+        client.release();
+    }
+}
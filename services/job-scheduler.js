@@ -0,0 +1,419 @@
+// services/job-scheduler.js
+// Postgres-backed job scheduler
+// Schedules and run history live in scheduled_jobs / job_runs so they survive restarts.
+// Each run takes a Postgres advisory lock, so with several instances only one runs a given job.
+
+import os from "os";
+import pool from "../db/pool.js";
+
+const TICK_INTERVAL = 30 * 1000; // 30 seconds
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// Handlers registered in this process: name -> { schedule, description, handler }
+const jobs = new Map();
+const runningJobs = new Set();
+
+let tickTimer = null;
+let tablesReady = false;
+
+/**
+ * Ensures the scheduler tables exist
+ */
+export async function ensureJobTables() {
+    if (tablesReady) return;
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS scheduled_jobs (
+        name TEXT PRIMARY KEY,
+        schedule TEXT NOT NULL,
+        description TEXT,
+        paused BOOLEAN NOT NULL DEFAULT FALSE,
+        last_run_at TIMESTAMPTZ,
+        next_run_at TIMESTAMPTZ,
+        run_requested_at TIMESTAMPTZ,
+        run_requested_by TEXT,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS job_runs (
+        id BIGSERIAL PRIMARY KEY,
+        job_name TEXT NOT NULL,
+        started_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        finished_at TIMESTAMPTZ,
+        status TEXT NOT NULL DEFAULT 'running',
+        rows_affected INTEGER,
+        details JSONB,
+        error TEXT,
+        triggered_by TEXT,
+        instance_id TEXT
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_job_runs_job_started ON job_runs (job_name, started_at DESC)`);
+    tablesReady = true;
+}
+
+// ------------------ Cron parsing ------------------
+
+const CRON_ALIASES = {
+    "@hourly": "0 * * * *",
+    "@daily": "0 0 * * *",
+    "@weekly": "0 0 * * 0",
+    "@monthly": "0 0 1 * *"
+};
+
+const CRON_FIELDS = [
+    { name: "minute", min: 0, max: 59 },
+    { name: "hour", min: 0, max: 23 },
+    { name: "day of month", min: 1, max: 31 },
+    { name: "month", min: 1, max: 12 },
+    { name: "day of week", min: 0, max: 6 }
+];
+
+function parseCronField(field, { name, min, max }) {
+    const values = new Set();
+    for (const part of field.split(",")) {
+        const [range, stepStr] = part.split("/");
+        const step = stepStr === undefined ? 1 : parseInt(stepStr, 10);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step "${part}" in cron ${name}`);
+        }
+
+        let start, end;
+        if (range === "*") {
+            start = min;
+            end = max;
+        } else if (range.includes("-")) {
+            [start, end] = range.split("-").map(v => parseInt(v, 10));
+        } else {
+            start = parseInt(range, 10);
+            end = stepStr === undefined ? start : max;
+        }
+
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+            throw new Error(`Invalid value "${part}" in cron ${name} (expected ${min}-${max})`);
+        }
+        for (let v = start; v <= end; v += step) values.add(v);
+    }
+    return values;
+}
+
+/**
+ * Parse a 5-field cron expression (minute hour day-of-month month day-of-week)
+ * Supports *, lists (1,2), ranges (1-5), steps (*\/15) and @hourly/@daily/@weekly/@monthly
+ * @param {string} schedule
+ */
+export function parseCron(schedule) {
+    const expr = CRON_ALIASES[schedule.trim()] || schedule.trim();
+    const parts = expr.split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error(`Invalid cron schedule "${schedule}" (expected 5 fields)`);
+    }
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((p, i) => parseCronField(p, CRON_FIELDS[i]));
+    return {
+        minutes, hours, daysOfMonth, months, daysOfWeek,
+        // Standard cron: if both day fields are restricted, either one matching is enough
+        anyDayOfMonth: parts[2] === "*",
+        anyDayOfWeek: parts[4] === "*"
+    };
+}
+
+function cronDayMatches(cron, date) {
+    const domOk = cron.daysOfMonth.has(date.getUTCDate());
+    const dowOk = cron.daysOfWeek.has(date.getUTCDay());
+    if (cron.anyDayOfMonth && cron.anyDayOfWeek) return true;
+    if (cron.anyDayOfMonth) return dowOk;
+    if (cron.anyDayOfWeek) return domOk;
+    return domOk || dowOk;
+}
+
+/**
+ * Next time (UTC) strictly after `from` that matches the schedule
+ * @param {string} schedule - Cron expression
+ * @param {Date} [from]
+ * @returns {Date}
+ */
+export function nextCronTime(schedule, from = new Date()) {
+    const cron = parseCron(schedule);
+    const t = new Date(from.getTime());
+    t.setUTCSeconds(0, 0);
+    t.setUTCMinutes(t.getUTCMinutes() + 1);
+
+    // Skip whole days/hours where possible; 4 years covers any valid Feb 29 schedule
+    const limit = from.getTime() + 4 * 366 * 24 * 60 * 60 * 1000;
+    while (t.getTime() <= limit) {
+        if (!cron.months.has(t.getUTCMonth() + 1) || !cronDayMatches(cron, t)) {
+            t.setUTCDate(t.getUTCDate() + 1);
+            t.setUTCHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!cron.hours.has(t.getUTCHours())) {
+            t.setUTCHours(t.getUTCHours() + 1, 0, 0, 0);
+            continue;
+        }
+        if (!cron.minutes.has(t.getUTCMinutes())) {
+            t.setUTCMinutes(t.getUTCMinutes() + 1, 0, 0);
+            continue;
+        }
+        return t;
+    }
+    throw new Error(`Cron schedule "${schedule}" never fires`);
+}
+
+// ------------------ Registration ------------------
+
+/**
+ * Register a job handler in this process and make sure it has a scheduled_jobs row.
+ * The paused flag and next run time already in the DB are kept, so restarts don't reset them.
+ * @param {string} name - Unique job name
+ * @param {Object} options
+ * @param {string} options.schedule - Cron expression (UTC)
+ * @param {string} [options.description]
+ * @param {Function} options.handler - async () => number | { rowsAffected, ...details }
+ */
+export async function registerJob(name, { schedule, description = null, handler }) {
+    if (typeof handler !== "function") {
+        throw new Error(`Job "${name}" needs a handler`);
+    }
+    const nextRunAt = nextCronTime(schedule);
+    jobs.set(name, { schedule, description, handler });
+
+    await ensureJobTables();
+    await pool.query(
+        `INSERT INTO scheduled_jobs (name, schedule, description, next_run_at)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (name) DO UPDATE SET
+           description = EXCLUDED.description,
+           schedule = EXCLUDED.schedule,
+           next_run_at = CASE
+             WHEN scheduled_jobs.schedule <> EXCLUDED.schedule OR scheduled_jobs.next_run_at IS NULL
+             THEN EXCLUDED.next_run_at
+             ELSE scheduled_jobs.next_run_at
+           END,
+           updated_at = now()`,
+        [name, schedule, description, nextRunAt]
+    );
+}
+
+// ------------------ Running ------------------
+
+function summarizeResult(result) {
+    if (typeof result === "number") return { rowsAffected: result, details: null };
+    if (result && typeof result === "object") {
+        const { rowsAffected = null, ...details } = result;
+        return { rowsAffected, details: Object.keys(details).length ? details : null };
+    }
+    return { rowsAffected: null, details: null };
+}
+
+/**
+ * Run one job if it is still due and no other instance holds its lock
+ * @param {string} name
+ */
+async function runJob(name) {
+    const job = jobs.get(name);
+    if (!job || runningJobs.has(name)) return;
+    runningJobs.add(name);
+
+    // Advisory locks are per-session, so the whole run uses one dedicated client
+    let client = null;
+    let locked = false;
+    try {
+        client = await pool.connect();
+        const lockRes = await client.query(`SELECT pg_try_advisory_lock(hashtext($1)) AS locked`, [`job:${name}`]);
+        locked = lockRes.rows[0]?.locked === true;
+        if (!locked) return;
+
+        // Another instance may have run it between our tick query and taking the lock
+        const { rows } = await client.query(
+            `SELECT run_requested_by
+             FROM scheduled_jobs
+             WHERE name = $1
+               AND ((NOT paused AND next_run_at <= now()) OR run_requested_at IS NOT NULL)`,
+            [name]
+        );
+        if (!rows.length) return;
+        const triggeredBy = rows[0].run_requested_by || "schedule";
+
+        // Anything still "running" was left behind by a crashed instance (we hold the lock now)
+        await client.query(
+            `UPDATE job_runs SET status = 'abandoned', finished_at = now()
+             WHERE job_name = $1 AND status = 'running'`,
+            [name]
+        );
+        await client.query(
+            `UPDATE scheduled_jobs
+             SET last_run_at = now(), next_run_at = $2, run_requested_at = NULL, run_requested_by = NULL, updated_at = now()
+             WHERE name = $1`,
+            [name, nextCronTime(job.schedule)]
+        );
+        const runRes = await client.query(
+            `INSERT INTO job_runs (job_name, triggered_by, instance_id) VALUES ($1, $2, $3) RETURNING id`,
+            [name, triggeredBy, INSTANCE_ID]
+        );
+        const runId = runRes.rows[0].id;
+
+        console.log(`[Jobs] ▶ ${name} started (${triggeredBy})`);
+        const startTime = Date.now();
+        try {
+            const { rowsAffected, details } = summarizeResult(await job.handler());
+            await client.query(
+                `UPDATE job_runs SET status = 'succeeded', finished_at = now(), rows_affected = $2, details = $3 WHERE id = $1`,
+                [runId, rowsAffected, details ? JSON.stringify(details) : null]
+            );
+            console.log(`[Jobs] ✅ ${name} finished in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+        } catch (err) {
+            await client.query(
+                `UPDATE job_runs SET status = 'failed', finished_at = now(), error = $2 WHERE id = $1`,
+                [runId, err.message || String(err)]
+            );
+            console.error(`[Jobs] ❌ ${name} failed:`, err.message || err);
+        }
+    } catch (err) {
+        console.error(`[Jobs] Error running ${name}:`, err.message);
+    } finally {
+        if (locked) {
+            await client.query(`SELECT pg_advisory_unlock(hashtext($1))`, [`job:${name}`]).catch(() => { });
+        }
+        client?.release();
+        runningJobs.delete(name);
+    }
+}
+
+async function tick() {
+    try {
+        const names = [...jobs.keys()];
+        if (!names.length) return;
+        const { rows } = await pool.query(
+            `SELECT name
+             FROM scheduled_jobs
+             WHERE name = ANY($1)
+               AND ((NOT paused AND next_run_at <= now()) OR run_requested_at IS NOT NULL)`,
+            [names]
+        );
+        // Jobs run side by side; a long sync shouldn't hold up the others
+        for (const { name } of rows) {
+            runJob(name).catch(err => console.error(`[Jobs] Error running ${name}:`, err.message));
+        }
+    } catch (err) {
+        console.error("[Jobs] Scheduler tick failed:", err.message);
+    }
+}
+
+function scheduleTick(delay) {
+    if (tickTimer) clearTimeout(tickTimer);
+    tickTimer = setTimeout(async () => {
+        await tick();
+        scheduleTick(TICK_INTERVAL);
+    }, delay);
+}
+
+/**
+ * Start polling for due jobs in this process
+ */
+export function startScheduler() {
+    if (tickTimer) return;
+    console.log(`[Jobs] Scheduler started on ${INSTANCE_ID} (${[...jobs.keys()].join(", ") || "no jobs"})`);
+    scheduleTick(0);
+}
+
+/**
+ * Stop polling (runs already in progress finish on their own)
+ */
+export function stopScheduler() {
+    if (tickTimer) clearTimeout(tickTimer);
+    tickTimer = null;
+}
+
+// ------------------ Admin operations ------------------
+
+/**
+ * List all jobs with their most recent run
+ */
+export async function listJobs() {
+    await ensureJobTables();
+    const { rows } = await pool.query(`
+      SELECT
+        j.name, j.schedule, j.description, j.paused,
+        j.last_run_at, j.next_run_at, j.run_requested_at, j.run_requested_by,
+        r.status AS last_status,
+        r.started_at AS last_started_at,
+        r.finished_at AS last_finished_at,
+        r.rows_affected AS last_rows_affected,
+        r.error AS last_error
+      FROM scheduled_jobs j
+      LEFT JOIN LATERAL (
+        SELECT status, started_at, finished_at, rows_affected, error
+        FROM job_runs
+        WHERE job_name = j.name
+        ORDER BY started_at DESC
+        LIMIT 1
+      ) r ON TRUE
+      ORDER BY j.name
+    `);
+    return rows;
+}
+
+/**
+ * Recent runs for a job, newest first
+ * @param {string} name
+ * @param {number} [limit]
+ */
+export async function getJobRuns(name, limit = 50) {
+    await ensureJobTables();
+    const { rows } = await pool.query(
+        `SELECT id, job_name, started_at, finished_at, status, rows_affected, details, error, triggered_by, instance_id,
+                EXTRACT(EPOCH FROM (COALESCE(finished_at, now()) - started_at))::numeric(12,1) AS duration_seconds
+         FROM job_runs
+         WHERE job_name = $1
+         ORDER BY started_at DESC
+         LIMIT $2`,
+        [name, limit]
+    );
+    return rows;
+}
+
+/**
+ * Ask for a job to run as soon as possible. Whichever instance has the handler picks it up,
+ * even if the job is paused.
+ * @param {string} name
+ * @param {string} [requestedBy]
+ * @returns {Promise<Object|null>} Updated job row, or null if unknown
+ */
+export async function requestJobRun(name, requestedBy = "manual") {
+    await ensureJobTables();
+    const { rows } = await pool.query(
+        `UPDATE scheduled_jobs
+         SET run_requested_at = now(), run_requested_by = $2, updated_at = now()
+         WHERE name = $1
+         RETURNING *`,
+        [name, requestedBy]
+    );
+    if (rows.length && jobs.has(name) && tickTimer) {
+        scheduleTick(0);
+    }
+    return rows[0] || null;
+}
+
+/**
+ * Pause or resume a job's schedule. Resuming picks the next slot from now rather than
+ * catching up on everything that was skipped.
+ * @param {string} name
+ * @param {boolean} paused
+ * @returns {Promise<Object|null>} Updated job row, or null if unknown
+ */
+export async function setJobPaused(name, paused) {
+    await ensureJobTables();
+    const existing = await pool.query(`SELECT schedule FROM scheduled_jobs WHERE name = $1`, [name]);
+    if (!existing.rows.length) return null;
+
+    const { rows } = await pool.query(
+        `UPDATE scheduled_jobs
+         SET paused = $2,
+             next_run_at = CASE WHEN $2 THEN next_run_at ELSE $3 END,
+             updated_at = now()
+         WHERE name = $1
+         RETURNING *`,
+        [name, paused, nextCronTime(existing.rows[0].schedule)]
+    );
+    return rows[0] || null;
+}
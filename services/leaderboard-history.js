@@ -0,0 +1,204 @@
+// services/leaderboard-history.js
+// Daily rank history for the leaderboards. scripts/sync_leaderboards.js rebuilds the top_wallets_*
+// snapshot tables on every run; afterwards it records each board's ranking into
+// leaderboard_rank_history (one row per board, day and wallet; later syncs on the same day replace it).
+// Only the top HISTORY_DEPTH wallets of each board are kept, so rank changes are null for wallets
+// that were further down.
+
+import { pgQuery } from "../db.js";
+
+const HISTORY_DEPTH = 1000;
+
+// Rank change periods, in days back from today
+export const RANK_CHANGE_PERIODS = { "1d": 1, "7d": 7, "30d": 30 };
+
+// Board -> how it's ranked from the snapshot tables (same ordering as the /api/top-wallets* endpoints).
+// Boards with a key column are ranked separately per key (team or tier).
+const SNAPSHOT_BOARDS = {
+    moments: {
+        table: "top_wallets_snapshot",
+        metric: "total_moments",
+        order: "total_moments DESC, display_name ASC"
+    },
+    value_floor: {
+        table: "top_wallets_by_value_snapshot",
+        metric: "floor_value",
+        order: "floor_value DESC, total_moments DESC, display_name ASC"
+    },
+    value_asp: {
+        table: "top_wallets_by_value_snapshot",
+        metric: "asp_value",
+        order: "asp_value DESC, total_moments DESC, display_name ASC"
+    },
+    team: {
+        table: "top_wallets_by_team_snapshot",
+        key: "team_name",
+        metric: "total_moments",
+        order: "total_moments DESC, display_name ASC"
+    },
+    tier: {
+        table: "top_wallets_by_tier_snapshot",
+        key: "tier",
+        metric: "total_moments",
+        order: "total_moments DESC, display_name ASC"
+    }
+};
+
+export const LEADERBOARD_BOARDS = [...Object.keys(SNAPSHOT_BOARDS), "rarity"];
+
+let tableReady = false;
+
+/**
+ * Ensures leaderboard_rank_history exists
+ */
+export async function ensureLeaderboardHistoryTable() {
+    if (tableReady) return;
+    await pgQuery(`
+      CREATE TABLE IF NOT EXISTS leaderboard_rank_history (
+        snapshot_date DATE NOT NULL,
+        board TEXT NOT NULL,
+        board_key TEXT NOT NULL DEFAULT '',
+        wallet_address TEXT NOT NULL,
+        rank INTEGER NOT NULL,
+        metric NUMERIC,
+        recorded_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        PRIMARY KEY (board, board_key, snapshot_date, wallet_address)
+      );
+    `);
+    await pgQuery(`CREATE INDEX IF NOT EXISTS idx_leaderboard_rank_history_wallet ON leaderboard_rank_history (wallet_address, board, snapshot_date)`);
+    tableReady = true;
+}
+
+/**
+ * Whether today's (UTC) history already has a board, e.g. to record the expensive rarity board once a day
+ * @param {string} board
+ */
+export async function hasHistoryForToday(board) {
+    await ensureLeaderboardHistoryTable();
+    const { rows } = await pgQuery(
+        `SELECT 1 FROM leaderboard_rank_history
+         WHERE board = $1 AND snapshot_date = (now() AT TIME ZONE 'UTC')::date
+         LIMIT 1`,
+        [board]
+    );
+    return rows.length > 0;
+}
+
+/**
+ * Record today's ranks from the snapshot tables (run right after they're rebuilt)
+ * @param {Object} [options]
+ * @param {Object[]} [options.rarity] - Ranked rarity leaderboard ([{ wallet, rank, score }]) to record as well
+ * @returns {Promise<number>} Rows written
+ */
+export async function recordLeaderboardHistory({ rarity = null } = {}) {
+    await ensureLeaderboardHistoryTable();
+    let written = 0;
+
+    for (const [board, def] of Object.entries(SNAPSHOT_BOARDS)) {
+        const partition = def.key ? `PARTITION BY ${def.key} ` : "";
+        const keyExpr = def.key ? def.key : "''";
+        // Replace the whole day for this board so wallets that dropped out don't linger
+        await pgQuery(
+            `DELETE FROM leaderboard_rank_history WHERE board = $1 AND snapshot_date = (now() AT TIME ZONE 'UTC')::date`,
+            [board]
+        );
+        const result = await pgQuery(`
+          INSERT INTO leaderboard_rank_history (snapshot_date, board, board_key, wallet_address, rank, metric)
+          SELECT (now() AT TIME ZONE 'UTC')::date, $1, board_key, wallet_address, rank, metric
+          FROM (
+            SELECT ${keyExpr} AS board_key, wallet_address, ${def.metric}::numeric AS metric,
+                   ROW_NUMBER() OVER (${partition}ORDER BY ${def.order}) AS rank
+            FROM ${def.table}
+          ) ranked
+          WHERE rank <= ${HISTORY_DEPTH}
+        `, [board]);
+        written += result.rowCount || 0;
+    }
+
+    if (rarity && rarity.length) {
+        const top = rarity.slice(0, HISTORY_DEPTH);
+        await pgQuery(
+            `DELETE FROM leaderboard_rank_history WHERE board = 'rarity' AND snapshot_date = (now() AT TIME ZONE 'UTC')::date`
+        );
+        const result = await pgQuery(`
+          INSERT INTO leaderboard_rank_history (snapshot_date, board, board_key, wallet_address, rank, metric)
+          SELECT (now() AT TIME ZONE 'UTC')::date, 'rarity', '', w.wallet, w.rank, w.score
+          FROM UNNEST($1::text[], $2::int[], $3::numeric[]) AS w(wallet, rank, score)
+        `, [top.map(e => e.wallet), top.map(e => e.rank), top.map(e => e.score)]);
+        written += result.rowCount || 0;
+    }
+
+    return written;
+}
+
+/**
+ * Add `rank` and `rank_change` ({ "1d", "7d", "30d" }: places moved up since then, null if unranked then)
+ * to leaderboard rows, in the order the endpoint returned them
+ * @param {Object[]} rows - Rows with wallet_address (or wallet); modified in place
+ * @param {string} board
+ * @param {string} [boardKey] - Team name or tier for the keyed boards
+ * @param {number} [offset] - Rank of the first row minus one
+ */
+export async function attachRankChanges(rows, board, boardKey = "", offset = 0) {
+    const walletOf = (row) => row.wallet_address || row.wallet;
+    rows.forEach((row, i) => {
+        if (row.rank === undefined) row.rank = offset + i + 1;
+        row.rank_change = Object.fromEntries(Object.keys(RANK_CHANGE_PERIODS).map(p => [p, null]));
+    });
+    if (!rows.length) return rows;
+
+    try {
+        await ensureLeaderboardHistoryTable();
+        const wallets = rows.map(walletOf);
+        for (const [period, days] of Object.entries(RANK_CHANGE_PERIODS)) {
+            // Latest snapshot on or before that day
+            const { rows: past } = await pgQuery(`
+              SELECT wallet_address, rank FROM leaderboard_rank_history
+              WHERE board = $1 AND board_key = $2 AND wallet_address = ANY($3::text[])
+                AND snapshot_date = (
+                  SELECT MAX(snapshot_date) FROM leaderboard_rank_history
+                  WHERE board = $1 AND board_key = $2
+                    AND snapshot_date <= (now() AT TIME ZONE 'UTC')::date - $4::int
+                )
+            `, [board, boardKey, wallets, days]);
+            const pastRanks = new Map(past.map(r => [r.wallet_address, r.rank]));
+            for (const row of rows) {
+                const pastRank = pastRanks.get(walletOf(row));
+                if (pastRank !== undefined) row.rank_change[period] = pastRank - row.rank;
+            }
+        }
+    } catch (err) {
+        console.error(`[Leaderboard History] Error loading rank changes for ${board}:`, err.message);
+    }
+    return rows;
+}
+
+/**
+ * A wallet's daily ranks
+ * @param {string} wallet
+ * @param {Object} [options]
+ * @param {string} [options.board] - One board, or every board the wallet appears on
+ * @param {string} [options.boardKey] - Team name or tier (keyed boards only)
+ * @param {number} [options.days]
+ * @returns {Promise<Object[]>} [{ board, boardKey, series: [{ date, rank, metric }] }]
+ */
+export async function getWalletRankHistory(wallet, { board = null, boardKey = null, days = 90 } = {}) {
+    await ensureLeaderboardHistoryTable();
+    const { rows } = await pgQuery(`
+      SELECT board, board_key, to_char(snapshot_date, 'YYYY-MM-DD') AS date, rank, metric
+      FROM leaderboard_rank_history
+      WHERE wallet_address = $1
+        AND ($2::text IS NULL OR board = $2)
+        AND ($3::text IS NULL OR board_key = $3)
+        AND snapshot_date > (now() AT TIME ZONE 'UTC')::date - $4::int
+      ORDER BY board, board_key, snapshot_date
+    `, [wallet.toLowerCase(), board, boardKey, days]);
+
+    const boards = new Map();
+    for (const r of rows) {
+        const id = `${r.board}:${r.board_key}`;
+        if (!boards.has(id)) boards.set(id, { board: r.board, boardKey: r.board_key || null, series: [] });
+        boards.get(id).series.push({ date: r.date, rank: r.rank, metric: r.metric !== null ? Number(r.metric) : null });
+    }
+    return [...boards.values()];
+}
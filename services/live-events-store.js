@@ -0,0 +1,372 @@
+// services/live-events-store.js
+// Persistent store for the live transaction feed
+// Every event the WebSocket/backfill processes is written to live_events and kept for
+// LIVE_EVENTS_RETENTION_HOURS, so the feed can be filtered and paged back through history.
+
+import { pgQuery } from "../db.js";
+import { ACTION_LABELS } from "./transaction-classifier.js";
+
+export const LIVE_EVENTS_RETENTION_HOURS = parseInt(process.env.LIVE_EVENTS_RETENTION_HOURS, 10) || 72;
+
+const MAX_PAGE_SIZE = 200;
+// First page without cursor/since only groups events this close to the newest one
+const DEFAULT_WINDOW_HOURS = 6;
+const MAX_EVENT_ID = "9223372036854775807";
+
+let tableReady = false;
+
+/**
+ * Ensures the live_events table exists
+ */
+export async function ensureLiveEventsTable() {
+    if (tableReady) return;
+    await pgQuery(`
+      CREATE TABLE IF NOT EXISTS live_events (
+        id BIGSERIAL PRIMARY KEY,
+        event_type TEXT NOT NULL,
+        nft_id TEXT,
+        from_address TEXT,
+        to_address TEXT,
+        from_name TEXT,
+        to_name TEXT,
+        tx_id TEXT,
+        event_index INTEGER,
+        block_height BIGINT,
+        event_time TIMESTAMPTZ NOT NULL,
+        price_usd NUMERIC,
+        edition_id TEXT,
+        player_name TEXT,
+        team_name TEXT,
+        position TEXT,
+        tier TEXT,
+        set_name TEXT,
+        series_name TEXT,
+        source TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `);
+    // Typed action from the transaction classifier (sale, gift, pack_pull, ...)
+    await pgQuery(`ALTER TABLE live_events ADD COLUMN IF NOT EXISTS action TEXT`);
+    await pgQuery(`ALTER TABLE live_events ADD COLUMN IF NOT EXISTS listing_id TEXT`);
+    await pgQuery(`CREATE UNIQUE INDEX IF NOT EXISTS idx_live_events_tx_event ON live_events (tx_id, event_index) WHERE tx_id IS NOT NULL AND event_index IS NOT NULL`);
+    await pgQuery(`CREATE INDEX IF NOT EXISTS idx_live_events_time ON live_events (event_time DESC, id DESC)`);
+    await pgQuery(`CREATE INDEX IF NOT EXISTS idx_live_events_tx ON live_events (tx_id, nft_id)`);
+    await pgQuery(`CREATE INDEX IF NOT EXISTS idx_live_events_from ON live_events (from_address)`);
+    await pgQuery(`CREATE INDEX IF NOT EXISTS idx_live_events_to ON live_events (to_address)`);
+    tableReady = true;
+}
+
+/**
+ * Save one processed event (the object the live feed builds in processFlowEvent)
+ * Duplicates (same tx id + event index) are ignored.
+ * @param {Object} liveEvent
+ */
+export async function recordLiveEvent(liveEvent) {
+    try {
+        await ensureLiveEventsTable();
+        const m = liveEvent.moment || {};
+        await pgQuery(
+            `INSERT INTO live_events (
+               event_type, nft_id, from_address, to_address, from_name, to_name, tx_id, event_index,
+               block_height, event_time, price_usd, edition_id, player_name, team_name, position,
+               tier, set_name, series_name, source
+             )
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+             ON CONFLICT DO NOTHING`,
+            [
+                liveEvent.type,
+                liveEvent.nftId,
+                liveEvent.from,
+                liveEvent.to,
+                liveEvent.sellerName || null,
+                liveEvent.buyerName || null,
+                liveEvent.txId,
+                liveEvent.eventIndex ?? null,
+                liveEvent.blockHeight || null,
+                liveEvent.timestamp ? new Date(liveEvent.timestamp) : new Date(),
+                liveEvent.priceUsd ?? null,
+                m.editionId || null,
+                m.playerName || null,
+                m.teamName || null,
+                m.position || null,
+                m.tier || null,
+                m.setName || null,
+                m.seriesName || null,
+                liveEvent.source || "live"
+            ]
+        );
+    } catch (err) {
+        console.error("[Live Events] Failed to store event:", err.message);
+    }
+}
+
+/**
+ * Store classifier results on the events of each transaction + moment.
+ * Listings and delistings have no AllDay events, so they get a row of their own.
+ * @param {Object[]} actions - classifyEvents output
+ */
+export async function recordLiveActions(actions) {
+    if (!actions.length) return;
+    try {
+        await ensureLiveEventsTable();
+        for (const a of actions) {
+            const { rowCount } = await pgQuery(
+                `UPDATE live_events
+                 SET action = $3, listing_id = $4, price_usd = COALESCE($5, price_usd)
+                 WHERE tx_id = $1 AND nft_id = $2`,
+                [a.txId, a.nftId, a.action, a.listingId, a.priceUsd]
+            );
+            if (rowCount > 0 || (a.action !== "listing" && a.action !== "delisting")) continue;
+
+            await pgQuery(
+                `INSERT INTO live_events (
+                   event_type, nft_id, from_address, from_name, tx_id, event_index, block_height, event_time,
+                   price_usd, edition_id, player_name, team_name, position, tier, set_name, series_name,
+                   source, action, listing_id
+                 )
+                 SELECT $1, $2, $3, wp.display_name, $4, $5, $6, $7, $8,
+                        m.edition_id, NULLIF(TRIM(CONCAT(m.first_name, ' ', m.last_name)), ''),
+                        m.team_name, m.position, m.tier, m.set_name, m.series_name,
+                        'live', $9, $10
+                 FROM (SELECT 1) one
+                 LEFT JOIN nft_core_metadata_v2 m ON m.nft_id = $2
+                 LEFT JOIN wallet_profiles wp ON wp.wallet_address = $3
+                 LIMIT 1
+                 ON CONFLICT DO NOTHING`,
+                [
+                    a.action === "listing" ? "ListingAvailable" : "ListingCompleted",
+                    a.nftId, a.from, a.txId, a.eventIndex, a.blockHeight,
+                    a.timestamp ? new Date(a.timestamp) : new Date(),
+                    a.priceUsd, a.action, a.listingId
+                ]
+            );
+        }
+    } catch (err) {
+        console.error("[Live Events] Failed to store transaction actions:", err.message);
+    }
+}
+
+/**
+ * Delete events older than the retention window
+ * @returns {Promise<number>} Rows deleted
+ */
+export async function pruneLiveEvents() {
+    await ensureLiveEventsTable();
+    const { rowCount } = await pgQuery(
+        `DELETE FROM live_events WHERE event_time < now() - make_interval(hours => $1)`,
+        [LIVE_EVENTS_RETENTION_HOURS]
+    );
+    return rowCount;
+}
+
+/**
+ * Highest stored event id (0 when empty). Stream clients start after it.
+ * @returns {Promise<number>}
+ */
+export async function getLatestLiveEventId() {
+    await ensureLiveEventsTable();
+    const { rows } = await pgQuery(`SELECT COALESCE(MAX(id), 0) AS id FROM live_events`);
+    return Number(rows[0].id);
+}
+
+/**
+ * Build queryLiveEvents filters from request query parameters
+ * (team, tier, player, set, wallet, type (comma-separated), min_price, max_price, since)
+ * @param {Object} query - req.query
+ * @returns {Object}
+ */
+export function parseLiveEventFilters(query = {}) {
+    const parsePrice = (value) => {
+        if (value === undefined || value === "") return null;
+        const n = Number(value);
+        return Number.isFinite(n) ? n : null;
+    };
+    const since = query.since ? new Date(query.since) : null;
+    return {
+        team: query.team || null,
+        tier: query.tier || null,
+        player: query.player || null,
+        set: query.set || null,
+        wallet: query.wallet || null,
+        types: query.type ? String(query.type).split(",").map(t => t.trim()).filter(Boolean) : null,
+        minPrice: parsePrice(query.min_price),
+        maxPrice: parsePrice(query.max_price),
+        since: since && !isNaN(since.getTime()) ? since : null
+    };
+}
+
+function encodeCursor(row) {
+    return Buffer.from(`${new Date(row.event_time).toISOString()}|${row.id}`).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+    try {
+        const [time, id] = Buffer.from(cursor, "base64url").toString().split("|");
+        const date = new Date(time);
+        if (isNaN(date.getTime()) || !/^\d+$/.test(id)) return null;
+        return { time: date, id };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Query the feed. The events of each transaction + moment are combined into one row whose
+ * `action` comes from the transaction classifier (rows stored before it only get transfer/lock/unlock/burn/mint).
+ * Results are newest first; pass next_cursor back as `cursor` for the next (older) page.
+ * With `afterId`, returns rows stored after that id instead, oldest first (used by the SSE stream).
+ * Without `cursor`, `afterId` or `since`, only the DEFAULT_WINDOW_HOURS before the newest event are read;
+ * next_cursor still continues past that window when older events exist.
+ * A row's id is the newest live_events id in its transaction.
+ * @param {Object} filters
+ * @param {string} [filters.team]
+ * @param {string} [filters.tier]
+ * @param {string} [filters.player] - Substring match on player name
+ * @param {string} [filters.set]
+ * @param {string} [filters.wallet] - Seller or buyer
+ * @param {string[]} [filters.types] - Actions (sale, gift, pack_pull, lock, ...)
+ * @param {number} [filters.minPrice]
+ * @param {number} [filters.maxPrice]
+ * @param {Date} [filters.since] - Only events after this time
+ * @param {string} [filters.cursor]
+ * @param {number} [filters.afterId]
+ * @param {number} [filters.limit]
+ * @returns {Promise<{events: Object[], nextCursor: string|null}>}
+ */
+export async function queryLiveEvents(filters = {}) {
+    await ensureLiveEventsTable();
+
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 100, 1), MAX_PAGE_SIZE);
+    const params = [];
+    const add = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+
+    // Moment-level filters apply to every row of a transaction, so filter before grouping
+    const where = [];
+    if (filters.team) where.push(`team_name ILIKE ${add(filters.team)}`);
+    if (filters.tier) where.push(`UPPER(tier) = ${add(filters.tier.toUpperCase())}`);
+    if (filters.player) where.push(`player_name ILIKE ${add(`%${filters.player}%`)}`);
+    if (filters.set) where.push(`set_name ILIKE ${add(filters.set)}`);
+    if (filters.since) where.push(`event_time > ${add(filters.since)}`);
+
+    // Filters on the combined row
+    const having = [];
+    if (filters.wallet) {
+        const w = add(filters.wallet.toLowerCase());
+        having.push(`(from_address = ${w} OR to_address = ${w})`);
+    }
+    if (filters.types?.length) having.push(`action = ANY(${add(filters.types)}::text[])`);
+    if (filters.minPrice !== undefined && filters.minPrice !== null) having.push(`price_usd >= ${add(filters.minPrice)}`);
+    if (filters.maxPrice !== undefined && filters.maxPrice !== null) having.push(`price_usd <= ${add(filters.maxPrice)}`);
+
+    if (filters.cursor) {
+        const cursor = decodeCursor(filters.cursor);
+        if (!cursor) throw new Error("Invalid cursor");
+        const time = add(cursor.time);
+        having.push(`(event_time, id) < (${time}::timestamptz, ${add(cursor.id)}::bigint)`);
+        // Events in one transaction share the block time, so older pages can skip newer rows before grouping
+        where.push(`event_time <= ${time}::timestamptz`);
+    }
+
+    const afterId = filters.afterId !== undefined && filters.afterId !== null ? String(filters.afterId) : null;
+
+    let windowStart = null;
+    if (!filters.cursor && afterId === null && !filters.since) {
+        const { rows: [latest] } = await pgQuery(`SELECT MAX(event_time) AS event_time FROM live_events`);
+        if (latest.event_time) {
+            windowStart = new Date(new Date(latest.event_time).getTime() - DEFAULT_WINDOW_HOURS * 3600 * 1000);
+            where.push(`event_time > ${add(windowStart)}`);
+        }
+    }
+
+    if (afterId !== null) {
+        if (!/^\d+$/.test(afterId)) throw new Error("Invalid event id");
+        const id = add(afterId);
+        having.push(`id > ${id}::bigint`);
+        // Only group transactions that have rows after afterId
+        where.push(`COALESCE(tx_id, id::text) IN (SELECT COALESCE(tx_id, id::text) FROM live_events WHERE id > ${id}::bigint)`);
+    }
+
+    const { rows } = await pgQuery(`
+      WITH filtered AS (
+        SELECT * FROM live_events
+        ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+      ),
+      grouped AS (
+        SELECT
+          MAX(id) AS id,
+          COALESCE(MAX(action), CASE
+            WHEN bool_or(event_type = 'MomentNFTBurned') THEN 'burn'
+            WHEN bool_or(event_type = 'NFTLocked') THEN 'lock'
+            WHEN bool_or(event_type = 'NFTUnlocked') THEN 'unlock'
+            WHEN bool_or(event_type = 'MomentNFTMinted') THEN 'mint'
+            ELSE 'transfer'
+          END) AS action,
+          MAX(listing_id) AS listing_id,
+          MAX(nft_id) AS nft_id,
+          MAX(tx_id) AS tx_id,
+          MAX(event_time) AS event_time,
+          MAX(block_height) AS block_height,
+          COALESCE(MAX(from_address) FILTER (WHERE event_type = 'Withdraw'), MAX(from_address)) AS from_address,
+          COALESCE(MAX(to_address) FILTER (WHERE event_type = 'Deposit'), MAX(to_address)) AS to_address,
+          COALESCE(MAX(from_name) FILTER (WHERE event_type = 'Withdraw'), MAX(from_name)) AS from_name,
+          COALESCE(MAX(to_name) FILTER (WHERE event_type = 'Deposit'), MAX(to_name)) AS to_name,
+          MAX(price_usd) AS price_usd,
+          MAX(edition_id) AS edition_id,
+          MAX(player_name) AS player_name,
+          MAX(team_name) AS team_name,
+          MAX(position) AS position,
+          MAX(tier) AS tier,
+          MAX(set_name) AS set_name,
+          MAX(series_name) AS series_name,
+          MAX(source) AS source
+        FROM filtered
+        GROUP BY COALESCE(tx_id, id::text), nft_id
+      )
+      SELECT * FROM grouped
+      ${having.length ? `WHERE ${having.join(" AND ")}` : ""}
+      ORDER BY ${afterId !== null ? "id ASC" : "event_time DESC, id DESC"}
+      LIMIT ${add(limit + 1)}
+    `, params);
+
+    const page = rows.slice(0, limit);
+    let nextCursor = afterId === null && rows.length > limit ? encodeCursor(page[page.length - 1]) : null;
+    if (windowStart && !nextCursor) {
+        const { rows: older } = await pgQuery(`SELECT 1 FROM live_events WHERE event_time <= $1 LIMIT 1`, [windowStart]);
+        if (older.length) {
+            nextCursor = encodeCursor(page.length ? page[page.length - 1] : { event_time: windowStart, id: MAX_EVENT_ID });
+        }
+    }
+    const events = page.map(row => ({
+        id: Number(row.id),
+        type: ACTION_LABELS[row.action] || row.action,
+        action: row.action,
+        listingId: row.listing_id,
+        nftId: row.nft_id,
+        from: row.from_address,
+        to: row.to_address,
+        timestamp: new Date(row.event_time).toISOString(),
+        blockHeight: row.block_height ? Number(row.block_height) : null,
+        txId: row.tx_id,
+        sellerName: row.from_name,
+        buyerName: row.to_name,
+        priceUsd: row.price_usd !== null ? Number(row.price_usd) : null,
+        moment: row.player_name || row.team_name ? {
+            playerName: row.player_name,
+            teamName: row.team_name,
+            position: row.position,
+            tier: row.tier,
+            setName: row.set_name,
+            seriesName: row.series_name,
+            editionId: row.edition_id
+        } : null,
+        source: row.source
+    }));
+
+    return {
+        events,
+        nextCursor
+    };
+}
@@ -0,0 +1,119 @@
+// services/live-events-stream.js
+// Server-Sent Events for the live transaction feed.
+// Each client keeps its own filters and the id of the last event it was sent; when new blocks
+// are stored, every client is sent the combined events stored after that id. Reconnecting
+// browsers send Last-Event-ID and get whatever they missed from live_events.
+
+import { queryLiveEvents, getLatestLiveEventId } from "./live-events-store.js";
+
+const HEARTBEAT_INTERVAL = 25000; // Keeps proxies from closing idle connections
+const BATCH_SIZE = 200;
+const MAX_CLIENTS = 500;
+
+const clients = new Set();
+let notifying = false;
+let notifyAgain = false;
+
+function writeEvent(client, event) {
+    client.res.write(`id: ${event.id}\nevent: live-event\ndata: ${JSON.stringify(event)}\n\n`);
+    client.lastId = event.id;
+}
+
+// Send everything stored after client.lastId that matches the client's filters
+async function flushClient(client) {
+    if (client.flushing) {
+        client.pending = true;
+        return;
+    }
+    client.flushing = true;
+    try {
+        do {
+            client.pending = false;
+            let batch;
+            do {
+                ({ events: batch } = await queryLiveEvents({ ...client.filters, afterId: client.lastId, limit: BATCH_SIZE }));
+                if (client.closed) return;
+                for (const event of batch) writeEvent(client, event);
+            } while (batch.length === BATCH_SIZE);
+        } while (client.pending && !client.closed);
+    } catch (err) {
+        console.error("[Live Stream] Failed to send events:", err.message);
+    } finally {
+        client.flushing = false;
+    }
+}
+
+/**
+ * Open an SSE stream on `res`
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {Object} options
+ * @param {Object} options.filters - queryLiveEvents filters (see parseLiveEventFilters)
+ * @param {string|number|null} [options.lastEventId] - Resume after this id; omitted means new events only
+ */
+export async function openLiveEventStream(req, res, { filters, lastEventId = null }) {
+    if (clients.size >= MAX_CLIENTS) {
+        return res.status(503).json({ ok: false, error: "Too many live stream connections" });
+    }
+    if (lastEventId !== null && !/^\d+$/.test(String(lastEventId))) {
+        return res.status(400).json({ ok: false, error: "Invalid Last-Event-ID" });
+    }
+
+    const client = {
+        res,
+        filters,
+        lastId: lastEventId !== null ? Number(lastEventId) : await getLatestLiveEventId(),
+        flushing: false,
+        pending: false,
+        closed: false,
+        heartbeat: null
+    };
+
+    res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no"
+    });
+    res.write(`retry: 3000\n\n`);
+
+    client.heartbeat = setInterval(() => res.write(`: ping\n\n`), HEARTBEAT_INTERVAL);
+    clients.add(client);
+    req.on("close", () => {
+        client.closed = true;
+        clearInterval(client.heartbeat);
+        clients.delete(client);
+    });
+
+    // Catch up on anything missed since lastEventId
+    if (lastEventId !== null) await flushClient(client);
+}
+
+/**
+ * Push newly stored events to every connected client. Call after a block's events are stored.
+ */
+export async function notifyLiveEventStreams() {
+    // One client at a time so a burst of blocks doesn't take every pool connection
+    if (notifying) {
+        notifyAgain = true;
+        return;
+    }
+    notifying = true;
+    try {
+        do {
+            notifyAgain = false;
+            for (const client of [...clients]) {
+                await flushClient(client);
+            }
+        } while (notifyAgain);
+    } finally {
+        notifying = false;
+    }
+}
+
+/**
+ * Number of connected stream clients
+ */
+export function getLiveStreamClientCount() {
+    return clients.size;
+}
@@ -0,0 +1,135 @@
+// services/order-book.js
+// Per-edition order book built from NFTStorefront listing events (storefront_listings, recorded by
+// services/transaction-classifier.js). Gives the floor, market depth and ask ladder without scraping.
+// A listing is active while its status is 'available', it's the moment's newest open listing and the
+// moment hasn't moved to another wallet since (a transfer leaves the old listing unfillable).
+
+import { pgQuery } from "../db.js";
+import { ensureStorefrontListingsTable } from "./transaction-classifier.js";
+
+// Depth buckets: listings priced within this % of the floor
+const DEPTH_BANDS = [5, 10, 25];
+
+const ACTIVE_LISTINGS_SQL = `
+  SELECT DISTINCT ON (sl.nft_id)
+         sl.listing_id, sl.nft_id, sl.edition_id, sl.seller_address, sl.price_usd, sl.listed_at
+  FROM storefront_listings sl
+  WHERE sl.edition_id = ANY($1::text[])
+    AND sl.status = 'available'
+    AND sl.price_usd > 0
+    AND sl.listing_id <> COALESCE($2, '')
+    AND NOT EXISTS (
+      SELECT 1 FROM holdings h
+      WHERE h.nft_id = sl.nft_id AND h.wallet_address <> sl.seller_address
+    )
+  ORDER BY sl.nft_id, sl.listed_at DESC
+`;
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+/**
+ * Lowest active ask for an edition
+ * @param {string} editionId
+ * @param {Object} [options]
+ * @param {string} [options.excludeListingId] - Ignore this listing (e.g. the one being scored)
+ * @returns {Promise<number|null>}
+ */
+export async function getEditionFloor(editionId, { excludeListingId = null } = {}) {
+    await ensureStorefrontListingsTable();
+    const { rows } = await pgQuery(
+        `SELECT MIN(price_usd) AS floor FROM (${ACTIVE_LISTINGS_SQL}) active`,
+        [[editionId.toString()], excludeListingId]
+    );
+    return rows[0]?.floor !== null && rows[0]?.floor !== undefined ? Number(rows[0].floor) : null;
+}
+
+/**
+ * Active listings for an edition with floor, depth and the ask ladder
+ * @param {string} editionId
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Max listings returned (the summary always covers every listing)
+ * @returns {Promise<{floor: number|null, listingCount: number, depth: Object, ladder: Object[], listings: Object[]}>}
+ */
+export async function getEditionOrderBook(editionId, { limit = 100 } = {}) {
+    await ensureStorefrontListingsTable();
+    const { rows } = await pgQuery(`
+      SELECT a.*, m.serial_number, wp.display_name AS seller_name
+      FROM (${ACTIVE_LISTINGS_SQL}) a
+      LEFT JOIN nft_core_metadata_v2 m ON m.nft_id = a.nft_id
+      LEFT JOIN wallet_profiles wp ON wp.wallet_address = a.seller_address
+      ORDER BY a.price_usd ASC, a.listed_at ASC
+    `, [[editionId.toString()], null]);
+
+    const floor = rows.length ? Number(rows[0].price_usd) : null;
+
+    const depth = {};
+    for (const band of DEPTH_BANDS) {
+        const ceiling = floor !== null ? floor * (1 + band / 100) : null;
+        depth[`within${band}Pct`] = ceiling !== null ? rows.filter(r => Number(r.price_usd) <= ceiling).length : 0;
+    }
+
+    // One step per distinct price, cheapest first
+    const ladder = [];
+    let cumulative = 0;
+    for (const r of rows) {
+        const price = Number(r.price_usd);
+        cumulative++;
+        const last = ladder[ladder.length - 1];
+        if (last && last.price === price) {
+            last.count++;
+            last.cumulative = cumulative;
+        } else {
+            ladder.push({ price, count: 1, cumulative, premiumToFloorPct: floor ? round2(((price - floor) / floor) * 100) : null });
+        }
+    }
+
+    return {
+        floor,
+        listingCount: rows.length,
+        depth,
+        ladder,
+        listings: rows.slice(0, limit).map(r => ({
+            listingId: r.listing_id,
+            nftId: r.nft_id,
+            serialNumber: r.serial_number !== null && r.serial_number !== undefined ? Number(r.serial_number) : null,
+            priceUsd: Number(r.price_usd),
+            seller: r.seller_address,
+            sellerName: r.seller_name || null,
+            listedAt: r.listed_at
+        }))
+    };
+}
+
+/**
+ * Active listings of several editions at once, cheapest first per edition
+ * @param {string[]} editionIds
+ * @returns {Promise<Map<string, Object[]>>} edition_id -> [{ listingId, nftId, serialNumber, jerseyNumber, priceUsd, seller, sellerName, listedAt }]
+ */
+export async function getActiveListingsByEdition(editionIds) {
+    const byEdition = new Map();
+    if (!editionIds.length) return byEdition;
+    await ensureStorefrontListingsTable();
+    const { rows } = await pgQuery(`
+      SELECT a.*, m.serial_number, m.jersey_number, wp.display_name AS seller_name
+      FROM (${ACTIVE_LISTINGS_SQL}) a
+      LEFT JOIN nft_core_metadata_v2 m ON m.nft_id = a.nft_id
+      LEFT JOIN wallet_profiles wp ON wp.wallet_address = a.seller_address
+      ORDER BY a.price_usd ASC, a.listed_at ASC
+    `, [editionIds.map(String), null]);
+
+    const toInt = (v) => (v !== null && v !== undefined && v !== "" ? parseInt(v, 10) : null);
+    for (const r of rows) {
+        if (!byEdition.has(r.edition_id)) byEdition.set(r.edition_id, []);
+        byEdition.get(r.edition_id).push({
+            listingId: r.listing_id,
+            nftId: r.nft_id,
+            serialNumber: toInt(r.serial_number),
+            jerseyNumber: toInt(r.jersey_number),
+            priceUsd: Number(r.price_usd),
+            seller: r.seller_address,
+            sellerName: r.seller_name || null,
+            listedAt: r.listed_at
+        });
+    }
+    return byEdition;
+}
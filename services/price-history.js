@@ -0,0 +1,121 @@
+// services/price-history.js
+// Edition price history. edition_price_scrape only holds the latest prices, so every price sync
+// also appends what it wrote to edition_price_history; the chart endpoints read daily series from it.
+// Individual sales live in the sales table (services/sales-ledger.js).
+
+import { pgQuery } from "../db.js";
+
+export const PRICE_HISTORY_RANGES = {
+    "7d": 7,
+    "30d": 30,
+    "90d": 90,
+    "1y": 365,
+    "all": null
+};
+
+let tableReady = false;
+
+/**
+ * Ensures edition_price_history exists with the snapshot layout.
+ * setup-database.js used to create it as a per-sale table that nothing filled; that version is
+ * renamed to edition_price_history_per_sale so its rows (if any) aren't lost.
+ */
+export async function ensurePriceHistoryTable() {
+    if (tableReady) return;
+    const { rows } = await pgQuery(`
+      SELECT 1 FROM information_schema.columns
+      WHERE table_schema = current_schema() AND table_name = 'edition_price_history' AND column_name = 'sale_price'
+    `);
+    if (rows.length) {
+        console.log("[Price History] Renaming per-sale edition_price_history to edition_price_history_per_sale");
+        await pgQuery(`ALTER TABLE edition_price_history RENAME TO edition_price_history_per_sale`);
+        await pgQuery(`ALTER INDEX IF EXISTS idx_eph_edition RENAME TO idx_eph_per_sale_edition`);
+        await pgQuery(`ALTER INDEX IF EXISTS idx_eph_date RENAME TO idx_eph_per_sale_date`);
+    }
+
+    await pgQuery(`
+      CREATE TABLE IF NOT EXISTS edition_price_history (
+        id BIGSERIAL PRIMARY KEY,
+        edition_id TEXT NOT NULL,
+        lowest_ask_usd NUMERIC,
+        avg_sale_usd NUMERIC,
+        top_sale_usd NUMERIC,
+        source TEXT NOT NULL,
+        recorded_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `);
+    await pgQuery(`CREATE INDEX IF NOT EXISTS idx_eph_edition_time ON edition_price_history (edition_id, recorded_at)`);
+    tableReady = true;
+}
+
+/**
+ * Append the current edition_price_scrape prices of these editions to the history.
+ * Call right after a sync has written them.
+ * @param {string[]} editionIds
+ * @param {string} source - Which sync wrote them (e.g. "scrape", "snowflake")
+ * @returns {Promise<number>} Rows appended
+ */
+export async function recordPriceSnapshot(editionIds, source) {
+    if (!editionIds.length) return 0;
+    await ensurePriceHistoryTable();
+    const { rowCount } = await pgQuery(`
+      INSERT INTO edition_price_history (edition_id, lowest_ask_usd, avg_sale_usd, top_sale_usd, source)
+      SELECT edition_id, lowest_ask_usd, avg_sale_usd, top_sale_usd, $2
+      FROM edition_price_scrape
+      WHERE edition_id = ANY($1::text[])
+    `, [editionIds.map(String), source]);
+    return rowCount;
+}
+
+/**
+ * Daily OHLC-style series for one edition (UTC days).
+ * Lowest ask and ASP get open/high/low/close from that day's snapshots; top sale is the day's max.
+ * @param {string} editionId
+ * @param {string} [range] - Key of PRICE_HISTORY_RANGES
+ * @returns {Promise<Object[]>} [{ date, lowAsk: {open, high, low, close}, asp: {...}, topSale, samples }]
+ */
+export async function getDailyPriceHistory(editionId, range = "30d") {
+    await ensurePriceHistoryTable();
+    const days = PRICE_HISTORY_RANGES[range];
+    const params = [editionId.toString()];
+    let rangeSql = "";
+    if (days) {
+        params.push(days);
+        rangeSql = `AND recorded_at >= date_trunc('day', now() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC' - make_interval(days => $2 - 1)`;
+    }
+
+    const { rows } = await pgQuery(`
+      SELECT
+        to_char((recorded_at AT TIME ZONE 'UTC')::date, 'YYYY-MM-DD') AS day,
+        (ARRAY_AGG(lowest_ask_usd ORDER BY recorded_at) FILTER (WHERE lowest_ask_usd IS NOT NULL))[1] AS ask_open,
+        MAX(lowest_ask_usd) AS ask_high,
+        MIN(lowest_ask_usd) AS ask_low,
+        (ARRAY_AGG(lowest_ask_usd ORDER BY recorded_at DESC) FILTER (WHERE lowest_ask_usd IS NOT NULL))[1] AS ask_close,
+        (ARRAY_AGG(avg_sale_usd ORDER BY recorded_at) FILTER (WHERE avg_sale_usd IS NOT NULL))[1] AS asp_open,
+        MAX(avg_sale_usd) AS asp_high,
+        MIN(avg_sale_usd) AS asp_low,
+        (ARRAY_AGG(avg_sale_usd ORDER BY recorded_at DESC) FILTER (WHERE avg_sale_usd IS NOT NULL))[1] AS asp_close,
+        MAX(top_sale_usd) AS top_sale,
+        COUNT(*)::int AS samples
+      FROM edition_price_history
+      WHERE edition_id = $1 ${rangeSql}
+      GROUP BY 1
+      ORDER BY 1
+    `, params);
+
+    const num = (v) => (v !== null && v !== undefined ? Number(v) : null);
+    const ohlc = (row, prefix) => ({
+        open: num(row[`${prefix}_open`]),
+        high: num(row[`${prefix}_high`]),
+        low: num(row[`${prefix}_low`]),
+        close: num(row[`${prefix}_close`])
+    });
+
+    return rows.map(row => ({
+        date: row.day,
+        lowAsk: ohlc(row, "ask"),
+        asp: ohlc(row, "asp"),
+        topSale: num(row.top_sale),
+        samples: row.samples
+    }));
+}
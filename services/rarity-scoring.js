@@ -0,0 +1,316 @@
+// services/rarity-scoring.js
+// Collection rarity score with named scoring profiles stored in rarity_scoring_profiles.
+// A moment earns its best serial bucket (#1, top 10 or top 100), a jersey match bonus and its tier's
+// points; the wallet also gets points per moment and per unique edition. The "default" profile
+// holds the original point values and is what /api/rarity-score and /api/rarity-leaderboard use
+// without ?profile=.
+
+import { pgQuery } from "../db.js";
+
+export const DEFAULT_RARITY_PROFILE = "default";
+
+// Known contract/holding addresses to exclude from leaderboard
+export const EXCLUDED_LEADERBOARD_WALLETS = [
+    '0xe4cf4bdc1751c65d', // NFL All Day contract
+    '0xb6f2481eba4df97b', // Huge custodial/system wallet  
+    '0x4eb8a10cb9f87357', // NFT Storefront contract
+    '0xf919ee77447b7497', // Dapper wallet / marketplace
+    '0x4eded0de73c5b00c', // Another system wallet
+    '0x0b2a3299cc857e29', // Pack distribution
+];
+
+// Point values of the default profile; profiles only need to list the ones they change
+export const DEFAULT_RARITY_POINTS = Object.freeze({
+    serialOne: 1000,
+    serialTop10: 200,
+    serialTop100: 20,
+    jerseyMatch: 300,
+    tierUltimate: 500,
+    tierLegendary: 200,
+    tierRare: 50,
+    perMoment: 1,
+    perUniqueEdition: 2
+});
+
+const PROFILE_CACHE_TTL = 5 * 60 * 1000;
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+
+let tableReady = false;
+const profileCache = new Map();
+
+/**
+ * Ensures rarity_scoring_profiles exists and has the default profile
+ */
+export async function ensureRarityProfilesTable() {
+    if (tableReady) return;
+    await pgQuery(`
+      CREATE TABLE IF NOT EXISTS rarity_scoring_profiles (
+        name TEXT PRIMARY KEY,
+        description TEXT,
+        points JSONB NOT NULL DEFAULT '{}'::jsonb,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `);
+    await pgQuery(
+        `INSERT INTO rarity_scoring_profiles (name, description, points) VALUES ($1, $2, $3)
+         ON CONFLICT (name) DO NOTHING`,
+        [DEFAULT_RARITY_PROFILE, "Serials, jersey matches and tiers (original scoring)", JSON.stringify(DEFAULT_RARITY_POINTS)]
+    );
+    tableReady = true;
+}
+
+/**
+ * Validate a profile's point values
+ * @param {Object} points - Any of the DEFAULT_RARITY_POINTS keys
+ * @returns {{points: Object|null, error: string|null}} Points merged over the defaults
+ */
+export function validateRarityPoints(points) {
+    if (!points || typeof points !== "object" || Array.isArray(points)) {
+        return { points: null, error: "points must be an object" };
+    }
+    const merged = { ...DEFAULT_RARITY_POINTS };
+    for (const [key, value] of Object.entries(points)) {
+        if (!(key in DEFAULT_RARITY_POINTS)) {
+            return { points: null, error: `Unknown point value "${key}" (expected ${Object.keys(DEFAULT_RARITY_POINTS).join(", ")})` };
+        }
+        const n = Number(value);
+        if (!Number.isFinite(n) || n < 0) return { points: null, error: `"${key}" must be a number ≥ 0` };
+        merged[key] = n;
+    }
+    return { points: merged, error: null };
+}
+
+const mapProfile = (r) => ({
+    name: r.name,
+    description: r.description,
+    points: { ...DEFAULT_RARITY_POINTS, ...(r.points || {}) },
+    updatedAt: r.updated_at
+});
+
+/**
+ * All scoring profiles, default first
+ */
+export async function listRarityProfiles() {
+    await ensureRarityProfilesTable();
+    const { rows } = await pgQuery(
+        `SELECT name, description, points, updated_at FROM rarity_scoring_profiles
+         ORDER BY name = $1 DESC, name`,
+        [DEFAULT_RARITY_PROFILE]
+    );
+    return rows.map(mapProfile);
+}
+
+/**
+ * One scoring profile (cached for a few minutes)
+ * @param {string} [name]
+ * @returns {Promise<Object|null>} null if there is no such profile
+ */
+export async function getRarityProfile(name = DEFAULT_RARITY_PROFILE) {
+    const cached = profileCache.get(name);
+    if (cached && Date.now() - cached.loadedAt < PROFILE_CACHE_TTL) return cached.profile;
+    await ensureRarityProfilesTable();
+    const { rows } = await pgQuery(
+        `SELECT name, description, points, updated_at FROM rarity_scoring_profiles WHERE name = $1`,
+        [name]
+    );
+    const profile = rows[0] ? mapProfile(rows[0]) : null;
+    if (profile) profileCache.set(name, { profile, loadedAt: Date.now() });
+    return profile;
+}
+
+/**
+ * Create or replace a profile
+ * @param {string} name - Lowercase letters, digits, "-" and "_"
+ * @param {Object} input - { description?, points }
+ * @returns {Promise<{profile: Object|null, error: string|null}>}
+ */
+export async function saveRarityProfile(name, { description = null, points } = {}) {
+    if (!PROFILE_NAME_PATTERN.test(name || "")) {
+        return { profile: null, error: "Profile names use lowercase letters, digits, - and _ (max 40)" };
+    }
+    const validated = validateRarityPoints(points);
+    if (validated.error) return { profile: null, error: validated.error };
+
+    await ensureRarityProfilesTable();
+    const { rows } = await pgQuery(`
+      INSERT INTO rarity_scoring_profiles (name, description, points) VALUES ($1, $2, $3)
+      ON CONFLICT (name) DO UPDATE SET description = EXCLUDED.description, points = EXCLUDED.points, updated_at = now()
+      RETURNING name, description, points, updated_at
+    `, [name, description ? String(description).slice(0, 200) : null, JSON.stringify(validated.points)]);
+    profileCache.delete(name);
+    return { profile: mapProfile(rows[0]), error: null };
+}
+
+/**
+ * Delete a profile (the default one can't be deleted)
+ * @returns {Promise<boolean>}
+ */
+export async function deleteRarityProfile(name) {
+    if (name === DEFAULT_RARITY_PROFILE) return false;
+    await ensureRarityProfilesTable();
+    const result = await pgQuery(`DELETE FROM rarity_scoring_profiles WHERE name = $1`, [name]);
+    profileCache.delete(name);
+    return result.rowCount > 0;
+}
+
+/**
+ * Points one moment earns and why
+ * @param {Object} row - nft_core_metadata_v2 columns (serial_number, jersey_number, tier)
+ * @param {Object} points - Profile point values
+ * @returns {{points: number, reasons: Object[]}} reasons: [{ rule, label, points }]
+ */
+export function scoreMoment(row, points) {
+    const reasons = [];
+    const serial = parseInt(row.serial_number) || 9999;
+    const tier = (row.tier || "").toUpperCase();
+
+    if (serial === 1) reasons.push({ rule: "serialOne", label: "#1 serial", points: points.serialOne });
+    else if (serial <= 10) reasons.push({ rule: "serialTop10", label: "Serial #2-10", points: points.serialTop10 });
+    else if (serial <= 100) reasons.push({ rule: "serialTop100", label: "Serial #11-100", points: points.serialTop100 });
+
+    if (row.jersey_number && serial == row.jersey_number) {
+        reasons.push({ rule: "jerseyMatch", label: `Jersey match (#${row.jersey_number})`, points: points.jerseyMatch });
+    }
+
+    if (tier === "ULTIMATE") reasons.push({ rule: "tierUltimate", label: "Ultimate tier", points: points.tierUltimate });
+    else if (tier === "LEGENDARY") reasons.push({ rule: "tierLegendary", label: "Legendary tier", points: points.tierLegendary });
+    else if (tier === "RARE") reasons.push({ rule: "tierRare", label: "Rare tier", points: points.tierRare });
+
+    const earned = reasons.filter(r => r.points > 0);
+    return { points: earned.reduce((total, r) => total + r.points, 0), reasons: earned };
+}
+
+/**
+ * Score a wallet's holdings with a profile
+ * @param {string} walletAddress
+ * @param {Object} profile - From getRarityProfile
+ * @returns {Promise<Object>} { wallet, profile, score, moments, serial1Count, ultimateCount, legendaryCount, breakdown, momentPoints }
+ *   momentPoints lists every moment that earned points, highest first
+ */
+export async function computeRarityScore(walletAddress, profile) {
+    const { points } = profile;
+    const result = await pgQuery(
+        `SELECT
+          h.nft_id, m.serial_number, m.jersey_number, m.tier, m.max_mint_size,
+          m.first_name, m.last_name, m.edition_id, m.set_name
+        FROM holdings h
+        JOIN nft_core_metadata_v2 m ON m.nft_id = h.nft_id
+        WHERE h.wallet_address = $1`,
+        [walletAddress]
+    );
+    const rows = result.rows;
+
+    // Count/points per rule, in the shape /api/rarity-score has always returned
+    const breakdown = {
+        serial_1_count: 0, serial_1_points: 0,
+        serial_10_count: 0, serial_10_points: 0,
+        serial_100_count: 0, serial_100_points: 0,
+        jersey_match_count: 0, jersey_match_points: 0,
+        ultimate_count: 0, ultimate_points: 0,
+        legendary_count: 0, legendary_points: 0,
+        rare_count: 0, rare_points: 0,
+        total_moments: rows.length,
+        collection_points: rows.length * points.perMoment,
+        unique_editions: new Set(rows.map(r => r.edition_id)).size,
+        edition_points: 0,
+        low_serial_pct: 0
+    };
+    const BREAKDOWN_KEYS = {
+        serialOne: "serial_1", serialTop10: "serial_10", serialTop100: "serial_100", jerseyMatch: "jersey_match",
+        tierUltimate: "ultimate", tierLegendary: "legendary", tierRare: "rare"
+    };
+
+    let score = 0;
+    const momentPoints = [];
+    for (const r of rows) {
+        const scored = scoreMoment(r, points);
+        for (const reason of scored.reasons) {
+            breakdown[`${BREAKDOWN_KEYS[reason.rule]}_points`] += reason.points;
+        }
+        // Counts include rules worth 0 points in this profile
+        const serial = parseInt(r.serial_number) || 9999;
+        const tier = (r.tier || "").toUpperCase();
+        if (serial === 1) breakdown.serial_1_count++;
+        else if (serial <= 10) breakdown.serial_10_count++;
+        else if (serial <= 100) breakdown.serial_100_count++;
+        if (r.jersey_number && serial == r.jersey_number) breakdown.jersey_match_count++;
+        if (tier === "ULTIMATE") breakdown.ultimate_count++;
+        else if (tier === "LEGENDARY") breakdown.legendary_count++;
+        else if (tier === "RARE") breakdown.rare_count++;
+
+        score += scored.points;
+        if (scored.points > 0) {
+            momentPoints.push({
+                nft_id: r.nft_id,
+                edition_id: r.edition_id,
+                first_name: r.first_name,
+                last_name: r.last_name,
+                set_name: r.set_name,
+                tier: r.tier,
+                serial_number: r.serial_number,
+                jersey_number: r.jersey_number,
+                max_mint_size: r.max_mint_size,
+                points: scored.points,
+                reasons: scored.reasons
+            });
+        }
+    }
+
+    breakdown.edition_points = breakdown.unique_editions * points.perUniqueEdition;
+    score += breakdown.edition_points + breakdown.collection_points;
+    const lowSerialCount = breakdown.serial_1_count + breakdown.serial_10_count + breakdown.serial_100_count;
+    breakdown.low_serial_pct = rows.length > 0 ? Math.round(lowSerialCount / rows.length * 100) : 0;
+
+    momentPoints.sort((a, b) => b.points - a.points);
+
+    return {
+        wallet: walletAddress,
+        profile: profile.name,
+        score: Math.round(score),
+        moments: rows.length,
+        serial1Count: breakdown.serial_1_count,
+        ultimateCount: breakdown.ultimate_count,
+        legendaryCount: breakdown.legendary_count,
+        breakdown,
+        momentPoints
+    };
+}
+
+/**
+ * Score the wallets with the most moments and rank them
+ * @param {Object} profile - From getRarityProfile
+ * @param {Object} [options]
+ * @param {string[]} [options.excludedWallets] - Contract/system wallets to leave out (default EXCLUDED_LEADERBOARD_WALLETS)
+ * @param {number} [options.candidates] - How many of the largest wallets (10+ moments) to score
+ * @returns {Promise<Object[]>} computeRarityScore results (without breakdown) with rank, highest score first
+ */
+export async function computeRarityLeaderboard(profile, { excludedWallets = EXCLUDED_LEADERBOARD_WALLETS, candidates = 500 } = {}) {
+    const walletsResult = await pgQuery(`
+      SELECT wallet_address, COUNT(*) as moment_count
+      FROM holdings
+      WHERE NOT (wallet_address = ANY($1::text[]))
+      GROUP BY wallet_address
+      HAVING COUNT(*) >= 10
+      ORDER BY COUNT(*) DESC
+      LIMIT $2
+    `, [excludedWallets, candidates]);
+
+    // Process in parallel batches of 20
+    const leaderboard = [];
+    const batchSize = 20;
+    for (let i = 0; i < walletsResult.rows.length; i += batchSize) {
+        const batch = walletsResult.rows.slice(i, i + batchSize);
+        const batchResults = await Promise.all(
+            batch.map(w => computeRarityScore(w.wallet_address, profile).catch(() => null))
+        );
+        for (const result of batchResults) {
+            if (!result) continue;
+            const { breakdown, ...entry } = result;
+            leaderboard.push(entry);
+        }
+    }
+
+    leaderboard.sort((a, b) => b.score - a.score);
+    return leaderboard.map((entry, idx) => ({ rank: idx + 1, ...entry }));
+}
@@ -0,0 +1,205 @@
+// services/sales-ledger.js
+// Persisted marketplace sales: one row per moment sold through NFTStorefront.
+// Filled live from classified sale actions (transaction-classifier.js) and backfilled from
+// Snowflake with scripts/backfill_sales_from_snowflake.js.
+
+import { pgQuery } from "../db.js";
+
+const MAX_PAGE_SIZE = 200;
+
+let tableReady = false;
+
+/**
+ * Ensures the sales table exists
+ */
+export async function ensureSalesTable() {
+    if (tableReady) return;
+    await pgQuery(`
+      CREATE TABLE IF NOT EXISTS sales (
+        id BIGSERIAL PRIMARY KEY,
+        tx_id TEXT NOT NULL,
+        nft_id TEXT NOT NULL,
+        edition_id TEXT,
+        listing_id TEXT,
+        price_usd NUMERIC(12, 2),
+        buyer_address TEXT,
+        seller_address TEXT,
+        block_height BIGINT,
+        sold_at TIMESTAMPTZ NOT NULL,
+        source TEXT NOT NULL DEFAULT 'live',
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        UNIQUE (tx_id, nft_id)
+      );
+    `);
+    await pgQuery(`CREATE INDEX IF NOT EXISTS idx_sales_edition ON sales (edition_id, sold_at DESC)`);
+    await pgQuery(`CREATE INDEX IF NOT EXISTS idx_sales_sold_at ON sales (sold_at DESC)`);
+    await pgQuery(`CREATE INDEX IF NOT EXISTS idx_sales_buyer ON sales (buyer_address)`);
+    await pgQuery(`CREATE INDEX IF NOT EXISTS idx_sales_seller ON sales (seller_address)`);
+    await pgQuery(`CREATE INDEX IF NOT EXISTS idx_sales_nft ON sales (nft_id)`);
+    tableReady = true;
+}
+
+/**
+ * Insert sales, filling in anything an earlier copy of the same sale was missing
+ * (e.g. a live sale whose listing price we never saw, later backfilled from Snowflake).
+ * The edition is looked up from nft_core_metadata_v2 when not given.
+ * @param {Object[]} sales - [{ txId, nftId, editionId?, listingId?, priceUsd, buyer, seller, blockHeight, soldAt, source }]
+ * @returns {Promise<number>} Rows inserted or updated
+ */
+export async function upsertSales(sales) {
+    if (!sales.length) return 0;
+    await ensureSalesTable();
+    const { rowCount } = await pgQuery(`
+      INSERT INTO sales (tx_id, nft_id, edition_id, listing_id, price_usd, buyer_address, seller_address, block_height, sold_at, source)
+      SELECT s.tx_id, s.nft_id, COALESCE(s.edition_id, m.edition_id), s.listing_id, s.price_usd,
+             s.buyer_address, s.seller_address, s.block_height, s.sold_at, s.source
+      FROM UNNEST($1::text[], $2::text[], $3::text[], $4::text[], $5::numeric[], $6::text[], $7::text[], $8::bigint[], $9::timestamptz[], $10::text[])
+        AS s(tx_id, nft_id, edition_id, listing_id, price_usd, buyer_address, seller_address, block_height, sold_at, source)
+      LEFT JOIN LATERAL (
+        SELECT edition_id FROM nft_core_metadata_v2 WHERE nft_id = s.nft_id LIMIT 1
+      ) m ON s.edition_id IS NULL
+      ON CONFLICT (tx_id, nft_id) DO UPDATE SET
+        edition_id = COALESCE(sales.edition_id, EXCLUDED.edition_id),
+        listing_id = COALESCE(sales.listing_id, EXCLUDED.listing_id),
+        price_usd = COALESCE(sales.price_usd, EXCLUDED.price_usd),
+        buyer_address = COALESCE(sales.buyer_address, EXCLUDED.buyer_address),
+        seller_address = COALESCE(sales.seller_address, EXCLUDED.seller_address)
+    `, [
+        sales.map(s => s.txId),
+        sales.map(s => s.nftId.toString()),
+        sales.map(s => s.editionId || null),
+        sales.map(s => s.listingId || null),
+        sales.map(s => (s.priceUsd !== null && s.priceUsd !== undefined ? s.priceUsd : null)),
+        sales.map(s => s.buyer?.toLowerCase() || null),
+        sales.map(s => s.seller?.toLowerCase() || null),
+        sales.map(s => s.blockHeight || null),
+        sales.map(s => (s.soldAt ? new Date(s.soldAt) : new Date())),
+        sales.map(s => s.source || "live")
+    ]);
+    return rowCount;
+}
+
+/**
+ * Record the sale actions from classifyEvents
+ * @param {Object[]} actions
+ */
+export async function recordSalesFromActions(actions) {
+    const sales = actions
+        .filter(a => a.action === "sale" && a.txId && a.nftId)
+        .map(a => ({
+            txId: a.txId,
+            nftId: a.nftId,
+            listingId: a.listingId,
+            priceUsd: a.priceUsd,
+            buyer: a.to,
+            seller: a.from,
+            blockHeight: a.blockHeight,
+            soldAt: a.timestamp,
+            source: "live"
+        }));
+    if (!sales.length) return;
+    try {
+        await upsertSales(sales);
+    } catch (err) {
+        console.error("[Sales] Failed to record sales:", err.message);
+    }
+}
+
+/**
+ * Sales history with aggregates
+ * @param {Object} filters
+ * @param {string} [filters.edition] - Edition id
+ * @param {string} [filters.player] - Substring match on player name
+ * @param {string} [filters.wallet] - Buyer or seller
+ * @param {number} [filters.limit]
+ * @param {number} [filters.offset]
+ * @returns {Promise<{sales: Object[], total: number, aggregates: Object}>}
+ */
+export async function querySales({ edition = null, player = null, wallet = null, limit = 50, offset = 0 } = {}) {
+    await ensureSalesTable();
+    limit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_PAGE_SIZE);
+    offset = Math.max(parseInt(offset, 10) || 0, 0);
+
+    const params = [];
+    const where = [];
+    if (edition) {
+        params.push(edition.toString());
+        where.push(`s.edition_id = $${params.length}`);
+    }
+    if (player) {
+        params.push(`%${player}%`);
+        where.push(`TRIM(CONCAT(m.first_name, ' ', m.last_name)) ILIKE $${params.length}`);
+    }
+    if (wallet) {
+        params.push(wallet.toLowerCase());
+        where.push(`(s.buyer_address = $${params.length} OR s.seller_address = $${params.length})`);
+    }
+    const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+    const from = `FROM sales s LEFT JOIN nft_core_metadata_v2 m ON m.nft_id = s.nft_id`;
+
+    const [rowsResult, aggResult] = await Promise.all([
+        pgQuery(`
+          SELECT s.tx_id, s.nft_id, s.edition_id, s.price_usd, s.buyer_address, s.seller_address,
+                 s.block_height, s.sold_at, s.source,
+                 m.first_name, m.last_name, m.team_name, m.tier, m.set_name, m.series_name, m.serial_number,
+                 bp.display_name AS buyer_name, sp.display_name AS seller_name
+          ${from}
+          LEFT JOIN wallet_profiles bp ON bp.wallet_address = s.buyer_address
+          LEFT JOIN wallet_profiles sp ON sp.wallet_address = s.seller_address
+          ${whereSql}
+          ORDER BY s.sold_at DESC, s.id DESC
+          LIMIT ${limit} OFFSET ${offset}
+        `, params),
+        pgQuery(`
+          SELECT
+            COUNT(*)::int AS total,
+            COUNT(s.price_usd)::int AS priced,
+            (ARRAY_AGG(s.price_usd ORDER BY s.sold_at DESC) FILTER (WHERE s.price_usd IS NOT NULL))[1] AS last_price,
+            (ARRAY_AGG(s.sold_at ORDER BY s.sold_at DESC) FILTER (WHERE s.price_usd IS NOT NULL))[1] AS last_sold_at,
+            AVG(s.price_usd) FILTER (WHERE s.sold_at >= now() - INTERVAL '7 days') AS avg_7d,
+            COUNT(*) FILTER (WHERE s.sold_at >= now() - INTERVAL '7 days')::int AS count_7d,
+            AVG(s.price_usd) FILTER (WHERE s.sold_at >= now() - INTERVAL '30 days') AS avg_30d,
+            COUNT(*) FILTER (WHERE s.sold_at >= now() - INTERVAL '30 days')::int AS count_30d
+          ${from}
+          ${whereSql}
+        `, params)
+    ]);
+
+    const num = (v) => (v !== null && v !== undefined ? Number(v) : null);
+    const round = (v) => (v !== null && v !== undefined ? Math.round(Number(v) * 100) / 100 : null);
+    const agg = aggResult.rows[0];
+
+    return {
+        sales: rowsResult.rows.map(r => ({
+            txId: r.tx_id,
+            nftId: r.nft_id,
+            editionId: r.edition_id,
+            priceUsd: num(r.price_usd),
+            buyer: r.buyer_address,
+            buyerName: r.buyer_name,
+            seller: r.seller_address,
+            sellerName: r.seller_name,
+            blockHeight: num(r.block_height),
+            soldAt: r.sold_at,
+            source: r.source,
+            moment: {
+                playerName: r.first_name && r.last_name ? `${r.first_name} ${r.last_name}` : null,
+                teamName: r.team_name,
+                tier: r.tier,
+                setName: r.set_name,
+                seriesName: r.series_name,
+                serialNumber: r.serial_number
+            }
+        })),
+        total: agg.total,
+        aggregates: {
+            count: agg.total,
+            pricedCount: agg.priced,
+            lastSale: agg.last_sold_at ? { priceUsd: num(agg.last_price), soldAt: agg.last_sold_at } : null,
+            avg7d: round(agg.avg_7d),
+            count7d: agg.count_7d,
+            avg30d: round(agg.avg_30d),
+            count30d: agg.count_30d
+        }
+    };
+}
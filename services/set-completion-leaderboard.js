@@ -0,0 +1,167 @@
+// services/set-completion-leaderboard.js
+// Who is closest to finishing each set. A scheduled job ranks every wallet holding part of a set twice:
+// by editions owned (then cheaper to finish) and by cost to finish (lowest asks from edition_price_scrape,
+// then more owned). The top SET_LEADERBOARD_DEPTH of either ranking per set are kept in
+// set_completion_leaderboard_snapshot for /api/set-completion/leaderboard, so both sorts are real
+// leaderboards. Contract/system wallets are left out with the rarity leaderboard's list.
+
+import { pgQuery } from "../db.js";
+import pool from "../db/pool.js";
+import { registerJob } from "./job-scheduler.js";
+import { EXCLUDED_LEADERBOARD_WALLETS } from "./rarity-scoring.js";
+
+export const SET_LEADERBOARD_JOB = "set-completion-leaderboard";
+export const SET_LEADERBOARD_SORTS = ["completion", "cost"];
+
+const SET_LEADERBOARD_DEPTH = 100;
+
+let tableReady = false;
+
+/**
+ * Ensures set_completion_leaderboard_snapshot exists
+ */
+export async function ensureSetLeaderboardTable() {
+    if (tableReady) return;
+    await pgQuery(`
+      CREATE TABLE IF NOT EXISTS set_completion_leaderboard_snapshot (
+        set_name TEXT NOT NULL,
+        wallet_address TEXT NOT NULL,
+        owned_editions INTEGER NOT NULL,
+        total_editions INTEGER NOT NULL,
+        completion NUMERIC(5, 1) NOT NULL,
+        cost_to_complete NUMERIC(14, 2) NOT NULL DEFAULT 0,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        PRIMARY KEY (set_name, wallet_address)
+      );
+    `);
+    tableReady = true;
+}
+
+/**
+ * Rebuild the per-set leaderboards
+ * The old rows are replaced in one transaction, so readers keep the previous board until the new one commits.
+ * @returns {Promise<number>} Rows written
+ */
+export async function snapshotSetCompletionLeaderboards() {
+    await ensureSetLeaderboardTable();
+    const start = Date.now();
+    const client = await pool.connect();
+    let rowCount;
+    try {
+        await client.query("BEGIN");
+        // DELETE rather than TRUNCATE: TRUNCATE would block readers for the whole rebuild
+        await client.query(`DELETE FROM set_completion_leaderboard_snapshot`);
+        ({ rowCount } = await client.query(`
+          WITH set_editions AS (
+            SELECT DISTINCT set_name, edition_id
+            FROM nft_core_metadata_v2
+            WHERE set_name IS NOT NULL
+          ),
+          set_totals AS (
+            SELECT se.set_name, COUNT(*)::int AS total_editions, COALESCE(SUM(eps.lowest_ask_usd), 0) AS total_ask
+            FROM set_editions se
+            LEFT JOIN edition_price_scrape eps ON eps.edition_id = se.edition_id
+            GROUP BY se.set_name
+          ),
+          owned AS (
+            SELECT DISTINCT h.wallet_address, m.set_name, m.edition_id
+            FROM holdings h
+            JOIN nft_core_metadata_v2 m ON m.nft_id = h.nft_id
+            WHERE m.set_name IS NOT NULL AND NOT (h.wallet_address = ANY($1::text[]))
+          ),
+          per_wallet AS (
+            SELECT o.set_name, o.wallet_address, COUNT(*)::int AS owned_editions,
+                   COALESCE(SUM(eps.lowest_ask_usd), 0) AS owned_ask
+            FROM owned o
+            LEFT JOIN edition_price_scrape eps ON eps.edition_id = o.edition_id
+            GROUP BY o.set_name, o.wallet_address
+          ),
+          ranked AS (
+            SELECT p.set_name, p.wallet_address, p.owned_editions, t.total_editions,
+                   ROUND(p.owned_editions * 100.0 / t.total_editions, 1) AS completion,
+                   GREATEST(t.total_ask - p.owned_ask, 0) AS cost_to_complete,
+                   ROW_NUMBER() OVER (
+                     PARTITION BY p.set_name
+                     ORDER BY p.owned_editions DESC, GREATEST(t.total_ask - p.owned_ask, 0) ASC, p.wallet_address
+                   ) AS completion_rank,
+                   ROW_NUMBER() OVER (
+                     PARTITION BY p.set_name
+                     ORDER BY GREATEST(t.total_ask - p.owned_ask, 0) ASC, p.owned_editions DESC, p.wallet_address
+                   ) AS cost_rank
+            FROM per_wallet p
+            JOIN set_totals t ON t.set_name = p.set_name
+          )
+          INSERT INTO set_completion_leaderboard_snapshot
+            (set_name, wallet_address, owned_editions, total_editions, completion, cost_to_complete, updated_at)
+          SELECT set_name, wallet_address, owned_editions, total_editions, completion, cost_to_complete, now()
+          FROM ranked
+          WHERE completion_rank <= ${SET_LEADERBOARD_DEPTH} OR cost_rank <= ${SET_LEADERBOARD_DEPTH}
+        `, [EXCLUDED_LEADERBOARD_WALLETS]));
+        await client.query("COMMIT");
+    } catch (err) {
+        await client.query("ROLLBACK").catch(() => { });
+        throw err;
+    } finally {
+        client.release();
+    }
+    console.log(`[Set Leaderboard] ✅ Ranked ${rowCount} wallet/set pairs in ${((Date.now() - start) / 1000).toFixed(1)}s`);
+    return rowCount;
+}
+
+/**
+ * Whether the snapshot has been built yet
+ */
+export async function hasSetLeaderboardSnapshot() {
+    await ensureSetLeaderboardTable();
+    const { rows } = await pgQuery(`SELECT 1 FROM set_completion_leaderboard_snapshot LIMIT 1`);
+    return rows.length > 0;
+}
+
+/**
+ * Top completers of a set
+ * @param {string} setName
+ * @param {Object} [options]
+ * @param {string} [options.sort] - "completion" (most editions owned, then cheapest to finish) or "cost" (cheapest to finish first)
+ * @param {number} [options.limit] - At most SET_LEADERBOARD_DEPTH (ranks past it aren't kept for either sort)
+ * @returns {Promise<Object|null>} null if the set has no leaderboard. { set_name, total_editions, updated_at, wallets }
+ */
+export async function getSetCompletionLeaderboard(setName, { sort = "completion", limit = 25 } = {}) {
+    await ensureSetLeaderboardTable();
+    const order = sort === "cost"
+        ? "s.cost_to_complete ASC, s.owned_editions DESC, s.wallet_address"
+        : "s.owned_editions DESC, s.cost_to_complete ASC, s.wallet_address";
+    const { rows } = await pgQuery(`
+      SELECT s.*, wp.display_name, ROW_NUMBER() OVER (ORDER BY ${order}) AS rank
+      FROM set_completion_leaderboard_snapshot s
+      LEFT JOIN wallet_profiles wp ON wp.wallet_address = s.wallet_address
+      WHERE s.set_name = $1
+      ORDER BY ${order}
+      LIMIT $2
+    `, [setName, Math.min(limit, SET_LEADERBOARD_DEPTH)]);
+    if (!rows.length) return null;
+
+    return {
+        set_name: setName,
+        total_editions: rows[0].total_editions,
+        updated_at: rows[0].updated_at,
+        wallets: rows.map(r => ({
+            rank: Number(r.rank),
+            wallet_address: r.wallet_address,
+            display_name: r.display_name || null,
+            owned_editions: r.owned_editions,
+            completion: Number(r.completion),
+            cost_to_complete: Number(r.cost_to_complete)
+        }))
+    };
+}
+
+/**
+ * Registers the leaderboard rebuild (every 6 hours, after the hourly wallet leaderboards)
+ */
+export async function registerSetLeaderboardJob() {
+    await registerJob(SET_LEADERBOARD_JOB, {
+        schedule: "15 */6 * * *",
+        description: "Rank wallets by completion of each set",
+        handler: async () => snapshotSetCompletionLeaderboards()
+    });
+}
@@ -0,0 +1,410 @@
+// services/set-completion.js
+// Shopping list for finishing a set: every edition of the set the wallet doesn't own, each with the
+// moment to buy from the live order book (services/order-book.js). By default that's the cheapest
+// listing; with prefer=low_serial or prefer=jersey, money left in the budget goes to upgrading picks
+// to lower serials or jersey matches, cheapest upgrades first. Editions with no active listing are
+// returned separately with the scraped lowest ask as an estimate.
+// Progress can also be tracked by series, parallel variant (as detectParallelVariant infers it), player
+// or a checklist of editions a user saved to their account (completion_checklists).
+
+import { pgQuery } from "../db.js";
+import { getActiveListingsByEdition } from "./order-book.js";
+import { detectParallelVariant } from "./valuation.js";
+
+export const PLAN_PREFERENCES = ["cheapest", "low_serial", "jersey"];
+
+const round2 = (v) => Math.round(v * 100) / 100;
+const toNumber = (v) => (v !== null && v !== undefined && v !== "" && !isNaN(Number(v)) ? Number(v) : null);
+
+/**
+ * Validate /api/set-completion/plan options
+ * @param {Object} query - { max_price?, budget?, prefer? }
+ * @returns {{options: Object|null, error: string|null}}
+ */
+export function parsePlanOptions(query = {}) {
+    const options = { maxPrice: null, budget: null, prefer: "cheapest" };
+    for (const [param, key] of [["max_price", "maxPrice"], ["budget", "budget"]]) {
+        if (query[param] === undefined || query[param] === "") continue;
+        const n = toNumber(query[param]);
+        if (n === null || n <= 0) return { options: null, error: `?${param}= must be a positive number` };
+        options[key] = n;
+    }
+    if (query.prefer) {
+        const prefer = query.prefer.toString().trim().toLowerCase();
+        if (!PLAN_PREFERENCES.includes(prefer)) {
+            return { options: null, error: `?prefer= must be one of ${PLAN_PREFERENCES.join(", ")}` };
+        }
+        options.prefer = prefer;
+    }
+    return { options, error: null };
+}
+
+const isJerseyMatch = (l) => l.jerseyNumber !== null && l.serialNumber !== null && l.serialNumber === l.jerseyNumber;
+
+// The listing an edition's pick would be upgraded to, or null
+function findUpgrade(listings, pick, prefer, remaining) {
+    const candidates = listings.filter(l => l !== pick && l.priceUsd - pick.priceUsd <= remaining);
+    if (prefer === "jersey") {
+        if (isJerseyMatch(pick)) return null;
+        return candidates.find(isJerseyMatch) || null;
+    }
+    // low_serial: the lowest serial that fits
+    const pickSerial = pick.serialNumber ?? Infinity;
+    const lower = candidates.filter(l => l.serialNumber !== null && l.serialNumber < pickSerial);
+    if (!lower.length) return null;
+    return lower.reduce((best, l) => (l.serialNumber < best.serialNumber ? l : best));
+}
+
+const formatListing = (l) => ({
+    listing_id: l.listingId,
+    nft_id: l.nftId,
+    serial_number: l.serialNumber,
+    jersey_match: isJerseyMatch(l),
+    price_usd: l.priceUsd,
+    seller: l.seller,
+    seller_name: l.sellerName,
+    listed_at: l.listedAt
+});
+
+/**
+ * Missing editions of a set with the moment to buy for each
+ * @param {string} wallet
+ * @param {string} setName
+ * @param {Object} [options] - From parsePlanOptions: { maxPrice, budget, prefer }
+ * @returns {Promise<Object|null>} null if there is no such set. { set_name, total_editions, owned, missing,
+ *   plan, over_budget, excluded, unlisted, total_cost, remaining_budget, options }
+ */
+export async function getSetCompletionPlan(wallet, setName, { maxPrice = null, budget = null, prefer = "cheapest" } = {}) {
+    const { rows: editions } = await pgQuery(`
+      SELECT DISTINCT ON (edition_id)
+        edition_id, tier, first_name, last_name, team_name, max_mint_size
+      FROM nft_core_metadata_v2
+      WHERE set_name = $1
+      ORDER BY edition_id
+    `, [setName]);
+    if (!editions.length) return null;
+
+    const { rows: ownedRows } = await pgQuery(`
+      SELECT DISTINCT m.edition_id
+      FROM holdings h
+      JOIN nft_core_metadata_v2 m ON m.nft_id = h.nft_id
+      WHERE h.wallet_address = $1 AND m.set_name = $2
+    `, [wallet, setName]);
+    const owned = new Set(ownedRows.map(r => r.edition_id));
+    const missing = editions.filter(e => !owned.has(e.edition_id));
+
+    const listingsByEdition = await getActiveListingsByEdition(missing.map(e => e.edition_id));
+    const unlistedIds = missing.filter(e => !listingsByEdition.has(e.edition_id)).map(e => e.edition_id);
+    const scrapedAsks = new Map();
+    if (unlistedIds.length) {
+        const { rows } = await pgQuery(
+            `SELECT edition_id, lowest_ask_usd FROM edition_price_scrape WHERE edition_id = ANY($1::text[])`,
+            [unlistedIds]
+        );
+        for (const r of rows) scrapedAsks.set(String(r.edition_id), toNumber(r.lowest_ask_usd));
+    }
+
+    const describe = (e) => ({
+        edition_id: e.edition_id,
+        player_name: [e.first_name, e.last_name].filter(Boolean).join(" ") || null,
+        team_name: e.team_name,
+        tier: e.tier,
+        max_mint_size: toNumber(e.max_mint_size)
+    });
+
+    const candidates = [];
+    const excluded = [];
+    const unlisted = [];
+    for (const e of missing) {
+        const listings = listingsByEdition.get(e.edition_id);
+        if (!listings) {
+            unlisted.push({ ...describe(e), estimated_price: scrapedAsks.get(e.edition_id) ?? null });
+            continue;
+        }
+        if (maxPrice !== null && listings[0].priceUsd > maxPrice) {
+            excluded.push({ ...describe(e), floor_price: listings[0].priceUsd, reason: "above_max_price" });
+            continue;
+        }
+        const affordable = maxPrice !== null ? listings.filter(l => l.priceUsd <= maxPrice) : listings;
+        candidates.push({ edition: e, listings: affordable, pick: affordable[0] });
+    }
+
+    // Cheapest editions first until the budget runs out
+    candidates.sort((a, b) => a.pick.priceUsd - b.pick.priceUsd);
+    const plan = [];
+    const overBudget = [];
+    let spent = 0;
+    for (const c of candidates) {
+        if (budget !== null && spent + c.pick.priceUsd > budget) overBudget.push(c);
+        else {
+            plan.push(c);
+            spent += c.pick.priceUsd;
+        }
+    }
+
+    // Spend what's left on upgrades, cheapest upgrade first
+    if (prefer !== "cheapest") {
+        let remaining = budget !== null ? budget - spent : Infinity;
+        const upgrades = plan
+            .map(c => ({ c, to: findUpgrade(c.listings, c.pick, prefer, remaining) }))
+            .filter(u => u.to)
+            .sort((a, b) => a.to.priceUsd - a.c.pick.priceUsd - (b.to.priceUsd - b.c.pick.priceUsd));
+        for (const u of upgrades) {
+            // Re-check against what's left now; a cheaper option may still fit
+            const to = findUpgrade(u.c.listings, u.c.pick, prefer, remaining);
+            if (!to) continue;
+            remaining -= to.priceUsd - u.c.pick.priceUsd;
+            spent += to.priceUsd - u.c.pick.priceUsd;
+            u.c.upgrade = prefer;
+            u.c.pick = to;
+        }
+    }
+
+    const formatItem = (c) => ({
+        ...describe(c.edition),
+        floor_price: c.listings[0].priceUsd,
+        listing_count: c.listings.length,
+        upgrade: c.upgrade || null,
+        listing: formatListing(c.pick)
+    });
+
+    return {
+        set_name: setName,
+        total_editions: editions.length,
+        owned: owned.size,
+        missing: missing.length,
+        plan: plan.map(formatItem).sort((a, b) => a.listing.price_usd - b.listing.price_usd),
+        over_budget: overBudget.map(formatItem),
+        excluded,
+        unlisted,
+        total_cost: round2(spent),
+        remaining_budget: budget !== null ? round2(budget - spent) : null,
+        options: { max_price: maxPrice, budget, prefer }
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Completion beyond set_name: series, parallel variant, player and saved checklists
+// ---------------------------------------------------------------------------
+
+export const COMPLETION_SCOPES = ["series", "parallel", "player", "checklist"];
+export const PARALLEL_VARIANTS = ["ruby", "emerald", "sapphire"];
+const TIERS = ["Common", "Uncommon", "Rare", "Legendary", "Ultimate"];
+
+const MAX_CHECKLISTS_PER_USER = 50;
+const MAX_CHECKLIST_EDITIONS = 1000;
+
+const normalizeTier = (tier) => {
+    const t = (tier || "").toString().trim().toLowerCase();
+    return t ? t.charAt(0).toUpperCase() + t.slice(1) : "Unknown";
+};
+
+const EDITION_COLUMNS = `edition_id, set_name, series_name, tier, first_name, last_name, team_name, max_mint_size`;
+
+// Editions in a scope (one row per edition)
+async function loadScopeEditions(type, value) {
+    if (type === "checklist") {
+        const { rows } = await pgQuery(`
+          SELECT DISTINCT ON (edition_id) ${EDITION_COLUMNS}
+          FROM nft_core_metadata_v2
+          WHERE edition_id = ANY($1::text[])
+          ORDER BY edition_id
+        `, [value]);
+        return rows;
+    }
+    if (type === "parallel") {
+        const { rows } = await pgQuery(`
+          SELECT DISTINCT ON (edition_id) ${EDITION_COLUMNS}
+          FROM nft_core_metadata_v2
+          WHERE set_name ILIKE '%parallel%'
+          ORDER BY edition_id
+        `);
+        return rows.filter(r => detectParallelVariant(r.set_name, r.max_mint_size) === value);
+    }
+    const where = type === "series"
+        ? `LOWER(series_name) = LOWER($1)`
+        : `LOWER(TRIM(COALESCE(first_name, '') || ' ' || COALESCE(last_name, ''))) = LOWER($1)`;
+    const { rows } = await pgQuery(`
+      SELECT DISTINCT ON (edition_id) ${EDITION_COLUMNS}
+      FROM nft_core_metadata_v2
+      WHERE ${where}
+      ORDER BY edition_id
+    `, [value]);
+    return rows;
+}
+
+/**
+ * A wallet's progress through a series, parallel variant, player or checklist
+ * @param {string} wallet
+ * @param {string} type - One of COMPLETION_SCOPES
+ * @param {string|string[]} value - Series name, variant (PARALLEL_VARIANTS), player name or a checklist's edition ids
+ * @returns {Promise<Object|null>} null if the scope has no editions. { total, owned, completion, cost_to_complete,
+ *   by_tier: { Common: { total, owned, completion }, ... }, missing: [...] } - missing is cheapest first, unpriced last
+ */
+export async function getScopeCompletion(wallet, type, value) {
+    const editions = await loadScopeEditions(type, value);
+    if (!editions.length) return null;
+    const editionIds = editions.map(e => e.edition_id);
+
+    const { rows: ownedRows } = await pgQuery(`
+      SELECT DISTINCT m.edition_id
+      FROM holdings h
+      JOIN nft_core_metadata_v2 m ON m.nft_id = h.nft_id
+      WHERE h.wallet_address = $1 AND m.edition_id = ANY($2::text[])
+    `, [wallet, editionIds]);
+    const owned = new Set(ownedRows.map(r => r.edition_id));
+    const missing = editions.filter(e => !owned.has(e.edition_id));
+
+    const asks = new Map();
+    if (missing.length) {
+        const { rows } = await pgQuery(
+            `SELECT edition_id, lowest_ask_usd FROM edition_price_scrape WHERE edition_id = ANY($1::text[])`,
+            [missing.map(e => e.edition_id)]
+        );
+        for (const r of rows) asks.set(String(r.edition_id), toNumber(r.lowest_ask_usd));
+    }
+
+    const byTier = {};
+    for (const tier of [...TIERS, ...new Set(editions.map(e => normalizeTier(e.tier)))]) {
+        if (!byTier[tier]) byTier[tier] = { total: 0, owned: 0, completion: 0 };
+    }
+    for (const e of editions) {
+        const entry = byTier[normalizeTier(e.tier)];
+        entry.total++;
+        if (owned.has(e.edition_id)) entry.owned++;
+    }
+    for (const entry of Object.values(byTier)) {
+        entry.completion = entry.total > 0 ? Math.round(entry.owned * 1000 / entry.total) / 10 : 0;
+    }
+
+    const missingList = missing.map(e => ({
+        edition_id: e.edition_id,
+        set_name: e.set_name,
+        series_name: e.series_name,
+        player_name: [e.first_name, e.last_name].filter(Boolean).join(" ") || null,
+        team_name: e.team_name,
+        tier: normalizeTier(e.tier),
+        max_mint_size: toNumber(e.max_mint_size),
+        lowest_ask_usd: asks.get(e.edition_id) ?? null
+    })).sort((a, b) => (a.lowest_ask_usd ?? Infinity) - (b.lowest_ask_usd ?? Infinity));
+
+    return {
+        total: editions.length,
+        owned: owned.size,
+        completion: Math.round(owned.size * 1000 / editions.length) / 10,
+        cost_to_complete: round2(missingList.reduce((sum, m) => sum + (m.lowest_ask_usd || 0), 0)),
+        by_tier: byTier,
+        missing: missingList
+    };
+}
+
+let checklistsTableReady = false;
+
+/**
+ * Ensures completion_checklists exists
+ */
+export async function ensureChecklistsTable() {
+    if (checklistsTableReady) return;
+    await pgQuery(`
+      CREATE TABLE IF NOT EXISTS completion_checklists (
+        id BIGSERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        edition_ids TEXT[] NOT NULL DEFAULT '{}',
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `);
+    await pgQuery(`CREATE INDEX IF NOT EXISTS idx_completion_checklists_user ON completion_checklists (user_id)`);
+    checklistsTableReady = true;
+}
+
+/**
+ * Validate a checklist from a request body
+ * @param {Object} input - { name, editionIds: [] }
+ * @returns {{checklist: Object|null, error: string|null}}
+ */
+export function validateChecklist(input = {}) {
+    const name = input.name ? String(input.name).trim().slice(0, 100) : "";
+    if (!name) return { checklist: null, error: "name is required" };
+    if (!Array.isArray(input.editionIds) || !input.editionIds.length) {
+        return { checklist: null, error: "editionIds must be a non-empty array" };
+    }
+    const editionIds = [...new Set(input.editionIds.map(id => String(id).trim()))];
+    if (editionIds.some(id => !/^\d+$/.test(id))) return { checklist: null, error: "editionIds must be numeric edition ids" };
+    if (editionIds.length > MAX_CHECKLIST_EDITIONS) {
+        return { checklist: null, error: `A checklist can have at most ${MAX_CHECKLIST_EDITIONS} editions` };
+    }
+    return { checklist: { name, editionIds }, error: null };
+}
+
+const mapChecklist = (r) => ({
+    id: Number(r.id),
+    name: r.name,
+    edition_ids: r.edition_ids,
+    created_at: r.created_at,
+    updated_at: r.updated_at
+});
+
+/**
+ * A user's checklists, oldest first
+ * @param {number} userId
+ */
+export async function listChecklists(userId) {
+    await ensureChecklistsTable();
+    const { rows } = await pgQuery(
+        `SELECT * FROM completion_checklists WHERE user_id = $1 ORDER BY created_at`,
+        [userId]
+    );
+    return rows.map(mapChecklist);
+}
+
+/**
+ * @returns {Promise<Object|null>} null if the user has no such checklist
+ */
+export async function getChecklist(userId, checklistId) {
+    await ensureChecklistsTable();
+    const { rows } = await pgQuery(
+        `SELECT * FROM completion_checklists WHERE id = $1 AND user_id = $2`,
+        [checklistId, userId]
+    );
+    return rows[0] ? mapChecklist(rows[0]) : null;
+}
+
+/**
+ * @param {number} userId
+ * @param {Object} checklist - From validateChecklist
+ * @returns {Promise<Object|null>} The new checklist, or null if the user already has MAX_CHECKLISTS_PER_USER
+ */
+export async function createChecklist(userId, { name, editionIds }) {
+    await ensureChecklistsTable();
+    const { rows } = await pgQuery(`
+      INSERT INTO completion_checklists (user_id, name, edition_ids)
+      SELECT $1, $2, $3
+      WHERE (SELECT COUNT(*) FROM completion_checklists WHERE user_id = $1) < ${MAX_CHECKLISTS_PER_USER}
+      RETURNING *
+    `, [userId, name, editionIds]);
+    return rows[0] ? mapChecklist(rows[0]) : null;
+}
+
+/**
+ * @returns {Promise<Object|null>} The updated checklist, or null if the user has no such checklist
+ */
+export async function updateChecklist(userId, checklistId, { name, editionIds }) {
+    await ensureChecklistsTable();
+    const { rows } = await pgQuery(`
+      UPDATE completion_checklists SET name = $3, edition_ids = $4, updated_at = now()
+      WHERE id = $1 AND user_id = $2
+      RETURNING *
+    `, [checklistId, userId, name, editionIds]);
+    return rows[0] ? mapChecklist(rows[0]) : null;
+}
+
+/**
+ * @returns {Promise<boolean>} Whether a checklist was deleted
+ */
+export async function deleteChecklist(userId, checklistId) {
+    await ensureChecklistsTable();
+    const result = await pgQuery(`DELETE FROM completion_checklists WHERE id = $1 AND user_id = $2`, [checklistId, userId]);
+    return result.rowCount > 0;
+}
@@ -0,0 +1,460 @@
+// services/sniper-alerts.js
+// Saved sniper alert rules. Every new listing scored by processListingEvent is checked against all
+// enabled rules and matches are POSTed to the rule's webhook, either as plain JSON or as a
+// Discord-compatible embed. Each (rule, listing) pair is delivered at most once; the attempts,
+// HTTP status and last error are kept in sniper_alert_deliveries.
+
+import { lookup } from "dns";
+import http from "http";
+import https from "https";
+import { isIP } from "net";
+import fetch from "node-fetch";
+import { pgQuery } from "../db.js";
+import { detectParallelVariant } from "./valuation.js";
+
+export const WEBHOOK_FORMATS = ["json", "discord"];
+// "any" matches every parallel (anything but standard)
+export const PARALLEL_FILTERS = ["any", "standard", "parallel", "sapphire", "emerald", "ruby"];
+
+const MAX_RULES_PER_USER = 25;
+const MAX_DELIVERY_ATTEMPTS = 3;
+const DELIVERY_TIMEOUT_MS = 5000;
+const RULES_CACHE_TTL = 30 * 1000;
+
+let tablesReady = false;
+let rulesCache = null;
+let rulesCacheLoadedAt = 0;
+
+/**
+ * Ensures sniper_alert_rules and sniper_alert_deliveries exist
+ */
+export async function ensureSniperAlertTables() {
+    if (tablesReady) return;
+    await pgQuery(`
+      CREATE TABLE IF NOT EXISTS sniper_alert_rules (
+        id BIGSERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        name TEXT,
+        team TEXT,
+        player TEXT,
+        tier TEXT,
+        max_price NUMERIC(12, 2),
+        max_serial INTEGER,
+        min_deal_score NUMERIC(6, 2),
+        jersey_match BOOLEAN NOT NULL DEFAULT FALSE,
+        parallel TEXT,
+        webhook_url TEXT NOT NULL,
+        webhook_format TEXT NOT NULL DEFAULT 'json' CHECK (webhook_format IN ('json', 'discord')),
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        last_triggered_at TIMESTAMPTZ
+      );
+    `);
+    await pgQuery(`CREATE INDEX IF NOT EXISTS idx_sniper_alert_rules_user ON sniper_alert_rules (user_id)`);
+    await pgQuery(`
+      CREATE TABLE IF NOT EXISTS sniper_alert_deliveries (
+        id BIGSERIAL PRIMARY KEY,
+        rule_id BIGINT NOT NULL REFERENCES sniper_alert_rules(id) ON DELETE CASCADE,
+        listing_key TEXT NOT NULL,
+        nft_id TEXT,
+        listing_price NUMERIC(12, 2),
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        http_status INTEGER,
+        error TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        delivered_at TIMESTAMPTZ,
+        UNIQUE (rule_id, listing_key)
+      );
+    `);
+    await pgQuery(`CREATE INDEX IF NOT EXISTS idx_sniper_alert_deliveries_rule ON sniper_alert_deliveries (rule_id, created_at DESC)`);
+    tablesReady = true;
+}
+
+// Webhooks must be public http(s) URLs
+function isAllowedWebhookUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (e) {
+        return false;
+    }
+    if (url.protocol !== "https:" && url.protocol !== "http:") return false;
+    const host = url.hostname.toLowerCase();
+    if (host === "localhost" || host.endsWith(".local") || host.endsWith(".internal")) return false;
+    if (/^(127\.|10\.|0\.|169\.254\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.)/.test(host)) return false;
+    if (host.startsWith("[")) return false;
+    return true;
+}
+
+// Loopback, private, link-local, CGNAT and multicast ranges (IPv4, IPv6 and IPv4-mapped IPv6)
+function isPrivateAddress(address) {
+    const ip = address.toLowerCase().replace(/^::ffff:(?=\d+\.)/, "");
+    if (isIP(ip) === 4) {
+        const [a, b] = ip.split(".").map(Number);
+        return a === 0 || a === 10 || a === 127 || a >= 224 ||
+            (a === 100 && b >= 64 && b <= 127) ||
+            (a === 169 && b === 254) ||
+            (a === 172 && b >= 16 && b <= 31) ||
+            (a === 192 && b === 168);
+    }
+    return ip === "::" || ip === "::1" || /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip) || ip.startsWith("ff") ||
+        ip.startsWith("::ffff:");
+}
+
+const PRIVATE_ADDRESS_ERROR = "EPRIVATEADDRESS";
+
+// DNS lookup for webhook sockets: the addresses checked here are the ones the socket connects to,
+// so a name that re-resolves to an internal host between check and connect (DNS rebinding) is still refused
+function publicOnlyLookup(hostname, options, callback) {
+    lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        if (!addresses.length || addresses.some(a => isPrivateAddress(a.address))) {
+            const error = new Error(`Webhook host ${hostname} resolves to a private address`);
+            error.code = PRIVATE_ADDRESS_ERROR;
+            return callback(error);
+        }
+        if (options.all) return callback(null, addresses);
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const webhookAgents = {
+    "http:": new http.Agent({ lookup: publicOnlyLookup }),
+    "https:": new https.Agent({ lookup: publicOnlyLookup })
+};
+
+// IP-literal hosts connect without a lookup, so they are checked up front
+function checkWebhookAddress(url) {
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+    return isIP(host) && isPrivateAddress(host) ? `Webhook host ${host} is a private address` : null;
+}
+
+const optionalText = (v) => (v === undefined || v === null || String(v).trim() === "" ? null : String(v).trim().slice(0, 100));
+const optionalNumber = (v) => (v === undefined || v === null || v === "" ? null : Number(v));
+
+/**
+ * Validate and normalize a rule from a request body
+ * @param {Object} input
+ * @returns {{rule: Object|null, error: string|null}}
+ */
+export function validateAlertRule(input = {}) {
+    const rule = {
+        name: optionalText(input.name),
+        team: optionalText(input.team),
+        player: optionalText(input.player),
+        tier: optionalText(input.tier),
+        maxPrice: optionalNumber(input.maxPrice),
+        maxSerial: optionalNumber(input.maxSerial),
+        minDealScore: optionalNumber(input.minDealScore),
+        jerseyMatch: input.jerseyMatch === true || input.jerseyMatch === "true",
+        parallel: optionalText(input.parallel)?.toLowerCase() || null,
+        webhookUrl: input.webhookUrl ? String(input.webhookUrl).trim().slice(0, 500) : null,
+        webhookFormat: (optionalText(input.webhookFormat) || "json").toLowerCase(),
+        enabled: input.enabled === undefined ? true : input.enabled === true || input.enabled === "true"
+    };
+
+    if (!rule.webhookUrl) return { rule: null, error: "webhookUrl is required" };
+    if (!isAllowedWebhookUrl(rule.webhookUrl)) return { rule: null, error: "webhookUrl must be a public http(s) URL" };
+    if (!WEBHOOK_FORMATS.includes(rule.webhookFormat)) {
+        return { rule: null, error: `webhookFormat must be one of: ${WEBHOOK_FORMATS.join(", ")}` };
+    }
+    if (rule.parallel && !PARALLEL_FILTERS.includes(rule.parallel)) {
+        return { rule: null, error: `parallel must be one of: ${PARALLEL_FILTERS.join(", ")}` };
+    }
+    if (rule.maxPrice !== null && !(rule.maxPrice > 0)) return { rule: null, error: "maxPrice must be a positive number" };
+    if (rule.maxSerial !== null && !(Number.isInteger(rule.maxSerial) && rule.maxSerial > 0)) {
+        return { rule: null, error: "maxSerial must be a positive integer" };
+    }
+    if (rule.minDealScore !== null && !Number.isFinite(rule.minDealScore)) return { rule: null, error: "minDealScore must be a number" };
+
+    // A rule with no filters would fire on every listing
+    const hasFilter = rule.team || rule.player || rule.tier || rule.maxPrice !== null || rule.maxSerial !== null
+        || rule.minDealScore !== null || rule.jerseyMatch || rule.parallel;
+    if (!hasFilter) return { rule: null, error: "Add at least one filter" };
+
+    return { rule, error: null };
+}
+
+function mapRule(r) {
+    return {
+        id: Number(r.id),
+        userId: r.user_id,
+        name: r.name,
+        team: r.team,
+        player: r.player,
+        tier: r.tier,
+        maxPrice: r.max_price !== null ? Number(r.max_price) : null,
+        maxSerial: r.max_serial,
+        minDealScore: r.min_deal_score !== null ? Number(r.min_deal_score) : null,
+        jerseyMatch: r.jersey_match,
+        parallel: r.parallel,
+        webhookUrl: r.webhook_url,
+        webhookFormat: r.webhook_format,
+        enabled: r.enabled,
+        createdAt: r.created_at,
+        updatedAt: r.updated_at,
+        lastTriggeredAt: r.last_triggered_at
+    };
+}
+
+const RULE_COLUMNS = ["name", "team", "player", "tier", "max_price", "max_serial", "min_deal_score", "jersey_match", "parallel", "webhook_url", "webhook_format", "enabled"];
+const ruleValues = (rule) => [rule.name, rule.team, rule.player, rule.tier, rule.maxPrice, rule.maxSerial, rule.minDealScore,
+    rule.jerseyMatch, rule.parallel, rule.webhookUrl, rule.webhookFormat, rule.enabled];
+
+/**
+ * A user's rules with their delivery counts
+ * @param {number} userId
+ */
+export async function listAlertRules(userId) {
+    await ensureSniperAlertTables();
+    const { rows } = await pgQuery(`
+      SELECT r.*,
+             COUNT(d.id) FILTER (WHERE d.status = 'sent')::int AS sent_count,
+             COUNT(d.id) FILTER (WHERE d.status = 'failed')::int AS failed_count
+      FROM sniper_alert_rules r
+      LEFT JOIN sniper_alert_deliveries d ON d.rule_id = r.id
+      WHERE r.user_id = $1
+      GROUP BY r.id
+      ORDER BY r.created_at
+    `, [userId]);
+    return rows.map(r => ({ ...mapRule(r), sentCount: r.sent_count, failedCount: r.failed_count }));
+}
+
+/**
+ * @param {number} userId
+ * @param {Object} rule - From validateAlertRule
+ * @returns {Promise<Object|null>} The new rule, or null if the user already has MAX_RULES_PER_USER
+ */
+export async function createAlertRule(userId, rule) {
+    await ensureSniperAlertTables();
+    const { rows } = await pgQuery(`
+      INSERT INTO sniper_alert_rules (user_id, ${RULE_COLUMNS.join(", ")})
+      SELECT $1, ${RULE_COLUMNS.map((_, i) => `$${i + 2}`).join(", ")}
+      WHERE (SELECT COUNT(*) FROM sniper_alert_rules WHERE user_id = $1) < ${MAX_RULES_PER_USER}
+      RETURNING *
+    `, [userId, ...ruleValues(rule)]);
+    rulesCache = null;
+    return rows[0] ? mapRule(rows[0]) : null;
+}
+
+/**
+ * @returns {Promise<Object|null>} The updated rule, or null if the user has no such rule
+ */
+export async function updateAlertRule(userId, ruleId, rule) {
+    await ensureSniperAlertTables();
+    const { rows } = await pgQuery(`
+      UPDATE sniper_alert_rules
+      SET ${RULE_COLUMNS.map((col, i) => `${col} = $${i + 3}`).join(", ")}, updated_at = now()
+      WHERE id = $1 AND user_id = $2
+      RETURNING *
+    `, [ruleId, userId, ...ruleValues(rule)]);
+    rulesCache = null;
+    return rows[0] ? mapRule(rows[0]) : null;
+}
+
+/**
+ * @returns {Promise<boolean>} Whether a rule was deleted
+ */
+export async function deleteAlertRule(userId, ruleId) {
+    await ensureSniperAlertTables();
+    const result = await pgQuery(`DELETE FROM sniper_alert_rules WHERE id = $1 AND user_id = $2`, [ruleId, userId]);
+    rulesCache = null;
+    return result.rowCount > 0;
+}
+
+/**
+ * Delivery log for one of the user's rules, newest first
+ * @returns {Promise<Object[]|null>} null if the user has no such rule
+ */
+export async function getAlertDeliveries(userId, ruleId, limit = 50) {
+    await ensureSniperAlertTables();
+    const owner = await pgQuery(`SELECT 1 FROM sniper_alert_rules WHERE id = $1 AND user_id = $2`, [ruleId, userId]);
+    if (!owner.rows.length) return null;
+    const { rows } = await pgQuery(`
+      SELECT id, listing_key, nft_id, listing_price, status, attempts, http_status, error, created_at, delivered_at
+      FROM sniper_alert_deliveries
+      WHERE rule_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2
+    `, [ruleId, limit]);
+    return rows.map(r => ({
+        id: Number(r.id),
+        listingKey: r.listing_key,
+        nftId: r.nft_id,
+        listingPrice: r.listing_price !== null ? Number(r.listing_price) : null,
+        status: r.status,
+        attempts: r.attempts,
+        httpStatus: r.http_status,
+        error: r.error,
+        createdAt: r.created_at,
+        deliveredAt: r.delivered_at
+    }));
+}
+
+/**
+ * Whether a scored sniper listing satisfies every filter set on the rule
+ * @param {Object} rule - mapRule shape
+ * @param {Object} listing - processListingEvent listing
+ */
+export function listingMatchesRule(rule, listing) {
+    // Same matching as getSniperDeals: team and player by substring, tier exactly
+    const contains = (value, term) => (value || "").toString().toLowerCase().includes(term.toLowerCase());
+    if (rule.team && !contains(listing.teamName, rule.team)) return false;
+    if (rule.player && !contains(listing.playerName, rule.player)) return false;
+    if (rule.tier && (listing.tier || "").toString().toUpperCase() !== rule.tier.toUpperCase()) return false;
+    if (rule.maxPrice !== null && !(listing.listingPrice <= rule.maxPrice)) return false;
+    if (rule.maxSerial !== null && !(listing.serialNumber && Number(listing.serialNumber) <= rule.maxSerial)) return false;
+    if (rule.minDealScore !== null && !(listing.dealPercent >= rule.minDealScore)) return false;
+    if (rule.jerseyMatch && !(listing.jerseyNumber && Number(listing.serialNumber) === Number(listing.jerseyNumber))) return false;
+    if (rule.parallel) {
+        const variant = detectParallelVariant(listing.setName, listing.maxMint);
+        if (rule.parallel === "any" ? variant === "standard" : variant !== rule.parallel) return false;
+    }
+    return true;
+}
+
+/**
+ * Webhook body for a matched listing
+ * @param {Object} rule
+ * @param {Object} listing
+ * @returns {Object} Plain JSON, or a Discord message with one embed
+ */
+export function buildAlertPayload(rule, listing) {
+    const serial = listing.serialNumber ? `#${listing.serialNumber}${listing.maxMint ? `/${listing.maxMint}` : ""}` : null;
+    if (rule.webhookFormat === "discord") {
+        const fields = [
+            { name: "Price", value: `$${listing.listingPrice}`, inline: true },
+            { name: "Floor", value: listing.floor ? `$${listing.floor}` : "—", inline: true },
+            { name: "Deal", value: listing.dealPercent > 0 ? `${listing.dealPercent}% under value` : "—", inline: true },
+            { name: "Tier", value: listing.tier || "—", inline: true },
+            { name: "Set", value: listing.setName || "—", inline: true },
+            { name: "Seller", value: listing.sellerName || listing.sellerAddr || "—", inline: true }
+        ];
+        return {
+            username: "NFLAD Sniper",
+            embeds: [{
+                title: [listing.playerName || `Moment ${listing.nftId}`, serial].filter(Boolean).join(" "),
+                url: listing.listingUrl,
+                description: `Alert: ${rule.name || `rule #${rule.id}`}${listing.teamName ? ` · ${listing.teamName}` : ""}`,
+                color: listing.dealPercent >= 20 ? 0x22c55e : 0x3b82f6,
+                fields,
+                timestamp: new Date(listing.listedAt || Date.now()).toISOString()
+            }]
+        };
+    }
+    return {
+        event: "sniper.alert",
+        rule: { id: rule.id, name: rule.name },
+        listing: {
+            nftId: listing.nftId,
+            listingId: listing.listingId,
+            editionId: listing.editionId,
+            playerName: listing.playerName,
+            teamName: listing.teamName,
+            tier: listing.tier,
+            setName: listing.setName,
+            seriesName: listing.seriesName,
+            serialNumber: listing.serialNumber,
+            maxMint: listing.maxMint,
+            jerseyNumber: listing.jerseyNumber,
+            listingPrice: listing.listingPrice,
+            floor: listing.floor,
+            avgSale: listing.avgSale,
+            dealPercent: listing.dealPercent,
+            seller: listing.sellerAddr,
+            sellerName: listing.sellerName,
+            listedAt: listing.listedAt,
+            listingUrl: listing.listingUrl
+        },
+        sentAt: new Date().toISOString()
+    };
+}
+
+// POST with retries on network errors, 429 and 5xx. Redirects are not followed (a 3xx is a failed delivery).
+async function postWebhook(url, payload) {
+    let last = { ok: false, attempts: 0, httpStatus: null, error: null };
+    const hostError = checkWebhookAddress(url);
+    if (hostError) return { ...last, error: hostError };
+    for (let attempt = 1; attempt <= MAX_DELIVERY_ATTEMPTS; attempt++) {
+        last.attempts = attempt;
+        try {
+            const res = await fetch(url, {
+                method: "POST",
+                headers: { "content-type": "application/json" },
+                body: JSON.stringify(payload),
+                redirect: "manual",
+                agent: (parsedUrl) => webhookAgents[parsedUrl.protocol],
+                signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+            });
+            last.httpStatus = res.status;
+            if (res.ok) return { ...last, ok: true, error: null };
+            last.error = res.status >= 300 && res.status < 400 ? `HTTP ${res.status} redirect not followed` : `HTTP ${res.status}`;
+            if (res.status !== 429 && res.status < 500) return last;
+        } catch (err) {
+            last.error = err.message;
+            if (err.code === PRIVATE_ADDRESS_ERROR) return last;
+        }
+        if (attempt < MAX_DELIVERY_ATTEMPTS) await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+    }
+    return last;
+}
+
+/**
+ * Deliver a listing to one rule's webhook, once per (rule, listing)
+ * @returns {Promise<Object|null>} Delivery outcome, or null if it was already delivered
+ */
+export async function deliverAlert(rule, listing, { test = false } = {}) {
+    await ensureSniperAlertTables();
+    const listingKey = test
+        ? `test:${Date.now()}`
+        : listing.listingId || `nft:${listing.nftId}:${listing.listedAt}`;
+    const claimed = await pgQuery(`
+      INSERT INTO sniper_alert_deliveries (rule_id, listing_key, nft_id, listing_price)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (rule_id, listing_key) DO NOTHING
+      RETURNING id
+    `, [rule.id, listingKey, listing.nftId || null, listing.listingPrice || null]);
+    if (!claimed.rows.length) return null;
+
+    const outcome = await postWebhook(rule.webhookUrl, buildAlertPayload(rule, listing));
+    await pgQuery(`
+      UPDATE sniper_alert_deliveries
+      SET status = $2, attempts = $3, http_status = $4, error = $5, delivered_at = CASE WHEN $2 = 'sent' THEN now() END
+      WHERE id = $1
+    `, [claimed.rows[0].id, outcome.ok ? "sent" : "failed", outcome.attempts, outcome.httpStatus, outcome.error]);
+    if (outcome.ok && !test) {
+        await pgQuery(`UPDATE sniper_alert_rules SET last_triggered_at = now() WHERE id = $1`, [rule.id]);
+    } else if (!outcome.ok) {
+        console.warn(`[Sniper Alerts] ⚠️  Rule #${rule.id} delivery failed after ${outcome.attempts} attempt(s): ${outcome.error}`);
+    }
+    return outcome;
+}
+
+async function getEnabledRules() {
+    if (rulesCache && Date.now() - rulesCacheLoadedAt < RULES_CACHE_TTL) return rulesCache;
+    await ensureSniperAlertTables();
+    const { rows } = await pgQuery(`SELECT * FROM sniper_alert_rules WHERE enabled = TRUE`);
+    rulesCache = rows.map(mapRule);
+    rulesCacheLoadedAt = Date.now();
+    return rulesCache;
+}
+
+/**
+ * Check a new sniper listing against every enabled rule and deliver the matches. Never throws.
+ * @param {Object} listing - processListingEvent listing (after dealPercent is set)
+ * @returns {Promise<number>} Rules matched
+ */
+export async function evaluateAlertRules(listing) {
+    try {
+        const matches = (await getEnabledRules()).filter(rule => listingMatchesRule(rule, listing));
+        await Promise.all(matches.map(rule => deliverAlert(rule, listing).catch(err => {
+            console.error(`[Sniper Alerts] Rule #${rule.id} delivery error:`, err.message);
+        })));
+        return matches.length;
+    } catch (err) {
+        console.error("[Sniper Alerts] Error evaluating rules:", err.message);
+        return 0;
+    }
+}
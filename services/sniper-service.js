@@ -3,13 +3,18 @@ import pool from "../db/pool.js";
 import fetch from "node-fetch";
 import path from "path";
 import fs from "fs";
+import { decodeEvent, recordStorefrontEvents } from "./transaction-classifier.js";
+import { getEditionFloor } from "./order-book.js";
+import { estimateMomentValue, detectParallelVariant } from "./valuation.js";
+import { evaluateAlertRules } from "./sniper-alerts.js";
+import { archiveSniperListings } from "./deal-backtest.js";
 
 // ============================================================
 // CONFIG & CONSTANTS
 // ============================================================
 
 const SNIPER_LOGGING_ENABLED = true;
-const STOREFRONT_CONTRACT = "A.4eb8a10cb9f87357.NFTStorefront";
+const STOREFRONT_CONTRACT = "A.4eb8a10cb9f87357.NFTStorefront"; // Same as transaction-classifier.js
 const FLOW_REST_API = "https://rest-mainnet.onflow.org";
 const FLOW_LIGHT_NODE_URL = "https://rest-mainnet.onflow.org";
 const FLOOR_CACHE_TTL = 5 * 60 * 1000;
@@ -105,77 +110,41 @@ export async function getDisplayName(walletAddress) {
 // DEAL SCORE CALCULATOR
 // ============================================================
 
-export function calculateRealDealScore(listing) {
-    const { listingPrice, floor, avgSale, serialNumber, jerseyNumber, maxMint } = listing;
-
+// % below estimated value; weights default to the valuation service's PREMIUM_WEIGHTS
+export function calculateRealDealScore(listing, weights = undefined) {
+    const { listingPrice } = listing;
     if (!listingPrice || listingPrice <= 0) return 0;
 
-    let efmv = floor || avgSale || 0;
-
-    if (floor && avgSale && avgSale > 0) {
-        if (floor > avgSale * 3) {
-            efmv = avgSale * 1.5;
-        } else {
-            efmv = Math.min(floor, avgSale);
-        }
-    }
-
-    if (efmv <= 0) return 0;
-
-    let multiplier = 1.0;
-
-    if (serialNumber === 1) {
-        multiplier = 10.0;
-    } else if (jerseyNumber && serialNumber === jerseyNumber) {
-        multiplier = 5.0;
-    } else if (maxMint && serialNumber === maxMint) {
-        multiplier = 2.5;
-    } else if (serialNumber <= 10) {
-        multiplier = 3.0;
-    } else if (serialNumber <= 100) {
-        multiplier = 1.5;
-    }
+    const { estimatedValue } = estimateMomentValue(listing, weights);
+    if (!estimatedValue) return 0;
 
-    const estimatedValue = efmv * multiplier;
     const score = ((estimatedValue - listingPrice) / estimatedValue) * 100;
-
     return Math.round(score * 10) / 10;
 }
 
 // ============================================================
-// FLOOR PRICE SCRAPER
+// FLOOR PRICES
 // ============================================================
 
-export async function scrapeFloorPrice(editionId) {
-    try {
-        const url = `https://nflallday.com/listing/moment/${editionId}`;
-        const res = await fetch(url, {
-            headers: {
-                "user-agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-                "accept": "text/html,application/xhtml+xml"
-            }
-        });
-
-        if (!res.ok) return null;
-        const html = await res.text();
-        const lowAskMatch = html.match(/Lowest\s+Ask[^$]*\$\s*([0-9][0-9,]*(?:\.\d{1,2})?)/i);
-        if (!lowAskMatch) return null;
-
-        const floor = Number(lowAskMatch[1].replace(/,/g, ''));
-        return isNaN(floor) ? null : floor;
-    } catch (err) {
-        console.error(`[Scrape] Error for edition ${editionId}:`, err.message);
-        return null;
-    }
-}
-
-export async function getCachedFloor(editionId) {
+// Floor from the storefront order book, falling back to the last synced lowest ask for editions
+// with no recorded listings yet
+export async function getCachedFloor(editionId, { excludeListingId = null } = {}) {
     const cached = floorPriceCache.get(editionId);
     if (cached && Date.now() - cached.updatedAt < FLOOR_CACHE_TTL) {
         return cached.floor;
     }
 
-    const floor = await scrapeFloorPrice(editionId);
+    let floor = null;
+    try {
+        floor = await getEditionFloor(editionId, { excludeListingId });
+        if (floor === null) {
+            const result = await pgQuery(`SELECT lowest_ask_usd FROM edition_price_scrape WHERE edition_id = $1 LIMIT 1`, [editionId]);
+            floor = result.rows[0]?.lowest_ask_usd ? Number(result.rows[0].lowest_ask_usd) : null;
+        }
+    } catch (err) {
+        sniperError(`[Sniper] Floor lookup failed for edition ${editionId}:`, err.message);
+        return null;
+    }
     if (floor !== null) {
         floorPriceCache.set(editionId, { floor, updatedAt: Date.now() });
     }
@@ -378,6 +347,23 @@ export async function markListingAsUnlisted(nftId, listingId = null) {
     try { await pgQuery(`UPDATE sniper_listings SET is_unlisted = TRUE, is_sold = FALSE, updated_at = NOW() WHERE nft_id = $1`, [nftId]); } catch (e) { }
 }
 
+/**
+ * Update listing status from classified transactions (see transaction-classifier.js).
+ * Sales carry the buyer, which the storefront's ListingCompleted event doesn't.
+ * @param {Object[]} actions - classifyEvents output
+ */
+export async function applyClassifiedActions(actions) {
+    for (const action of actions) {
+        const tracked = seenListingNfts.has(action.nftId) || sniperListings.some(l => l.nftId === action.nftId);
+        if (!tracked) continue;
+        if (action.action === "sale") {
+            await markListingAsSold(action.nftId, action.to);
+        } else if (["delisting", "gift", "lock", "burn"].includes(action.action)) {
+            await markListingAsUnlisted(action.nftId, action.listingId);
+        }
+    }
+}
+
 export async function resetAllListingsToUnsold() {
     try {
         const result = await pgQuery(`UPDATE sniper_listings SET is_sold = FALSE, buyer_address = NULL, updated_at = NOW() WHERE is_sold = TRUE`);
@@ -412,7 +398,7 @@ export async function processListingEvent(event) {
         }
         if (!editionId) return;
         let previousFloor = getStoredFloor(editionId);
-        if (previousFloor === null) previousFloor = await getCachedFloor(editionId);
+        if (previousFloor === null) previousFloor = await getCachedFloor(editionId, { excludeListingId: listingId });
         if (!previousFloor) return;
         if (listingPrice < 1 || listingPrice !== Math.floor(listingPrice)) return;
 
@@ -454,6 +440,7 @@ export async function processListingEvent(event) {
 
         listing.dealPercent = calculateRealDealScore(listing);
         addSniperListing(listing);
+        evaluateAlertRules(listing);
         if (listingPrice < (previousFloor || Infinity)) updateFloorCache(editionId, listingPrice);
     } catch (err) { sniperError("[Sniper] Error processing listing event:", err.message); }
 }
@@ -501,23 +488,19 @@ export async function watchForListings() {
                     if (!block.events) continue;
                     for (const event of block.events) {
                         try {
-                            let payload = typeof event.payload === 'string' ? JSON.parse(Buffer.from(event.payload, 'base64').toString()) : event.payload;
-                            const fields = payload.value.fields;
-                            const getF = (n) => {
-                                const f = fields.find(x => x.name === n);
-                                return f?.value?.value?.value || f?.value?.value || f?.value;
-                            };
-                            const nftType = fields.find(f => f.name === 'nftType');
-                            const typeId = nftType?.value?.staticType?.typeID || nftType?.value?.value?.staticType?.typeID || '';
-                            if (!typeId.includes('AllDay')) continue;
+                            // decodeEvent returns null for listings of other NFT types
+                            const listing = decodeEvent({ ...event, type: `${STOREFRONT_CONTRACT}.ListingAvailable`, block_timestamp: block.block_timestamp });
+                            if (!listing) continue;
 
                             await processListingEvent({
-                                nftId: getF('nftID')?.toString(),
-                                listingId: getF('listingResourceID')?.toString(),
-                                listingPrice: parseFloat(getF('price')),
-                                sellerAddr: (getF('storefrontAddress') || getF('seller'))?.toString()?.toLowerCase(),
+                                nftId: listing.nftId,
+                                listingId: listing.listingId,
+                                listingPrice: listing.price,
+                                sellerAddr: listing.seller,
                                 timestamp: block.block_timestamp
                             });
+                            // After scoring, so the listing isn't counted in its own floor
+                            await recordStorefrontEvents([listing]);
                         } catch (e) { }
                     }
                 }
@@ -531,16 +514,12 @@ export async function watchForListings() {
                     if (!block.events) continue;
                     for (const event of block.events) {
                         try {
-                            let payload = typeof event.payload === 'string' ? JSON.parse(Buffer.from(event.payload, 'base64').toString()) : event.payload;
-                            const fields = payload.value.fields;
-                            const getF = (n) => {
-                                const f = fields.find(x => x.name === n);
-                                return f?.value?.value?.value || f?.value?.value || f?.value;
-                            };
-                            const nftId = getF('nftID')?.toString();
-                            const purchased = getF('purchased');
-                            if (purchased) await markListingAsSold(nftId);
-                            else await markListingAsUnlisted(nftId);
+                            // Buyers are filled in by applyClassifiedActions when the live stream sees the sale
+                            const completed = decodeEvent({ ...event, type: `${STOREFRONT_CONTRACT}.ListingCompleted`, block_timestamp: block.block_timestamp });
+                            if (!completed) continue;
+                            await recordStorefrontEvents([completed]);
+                            if (completed.purchased) await markListingAsSold(completed.nftId);
+                            else await markListingAsUnlisted(completed.nftId, completed.listingId);
                         } catch (e) { }
                     }
                 }
@@ -627,16 +606,6 @@ export async function getSniperDeals(filters = {}) {
         } catch (e) { }
     }
 
-    function detectParallelVariant(setName, maxMint) {
-        if (!setName) return 'standard';
-        const setLower = setName.toLowerCase();
-        if (!setLower.includes('parallel')) return 'standard';
-        if (maxMint === 25) return 'sapphire';
-        if (maxMint === 50) return 'emerald';
-        if (maxMint === 299 || !maxMint) return 'ruby';
-        return 'parallel';
-    }
-
     const enriched = filtered.map(l => {
         const listing = { ...l };
         const meta = metaMap.get(listing.nftId);
@@ -669,6 +638,7 @@ export async function getSniperDeals(filters = {}) {
             listing.aspDelta = ((listing.avgSale - listing.listingPrice) / listing.avgSale) * 100;
         }
 
+        listing.estimatedValue = estimateMomentValue(listing).estimatedValue;
         listing.dealPercent = calculateRealDealScore(listing);
         return listing;
     });
@@ -729,25 +699,25 @@ export async function warmupFloorCache(limit = 50, executeSql, ensureSnowflake)
             editionIds = metaResult.rows.map(r => r.edition_id).filter(Boolean);
         }
 
-        sniperLog(`[Sniper Warmup] Scraping floors for ${editionIds.length} editions...`);
+        sniperLog(`[Sniper Warmup] Loading floors for ${editionIds.length} editions...`);
 
-        // Scrape floors in parallel
-        let scraped = 0;
+        // Load floors in parallel
+        let loaded = 0;
         const BATCH_SIZE = 10;
         for (let i = 0; i < editionIds.length; i += BATCH_SIZE) {
             const batch = editionIds.slice(i, i + BATCH_SIZE);
             await Promise.all(batch.map(async (editionId) => {
                 const floor = await getCachedFloor(editionId);
-                if (floor) scraped++;
+                if (floor) loaded++;
             }));
         }
 
-        sniperLog(`[Sniper Warmup] Cached ${scraped} floor prices`);
+        sniperLog(`[Sniper Warmup] Cached ${loaded} floor prices`);
 
         return {
             ok: true,
             editionsFound: editionIds.length,
-            floorsCached: scraped,
+            floorsCached: loaded,
             cacheSize: floorPriceCache.size
         };
 
@@ -888,8 +858,10 @@ export async function loadRecentListingsFromDB() {
 export async function cleanupOldListings() {
     try {
         const threeDaysAgo = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000);
+        // Keep them for the deal score backtest; nothing is deleted if archiving fails
+        await archiveSniperListings(threeDaysAgo);
         await pgQuery(`DELETE FROM sniper_listings WHERE listed_at < $1`, [threeDaysAgo]);
-    } catch (err) { }
+    } catch (err) { sniperError("[Sniper] Error cleaning up old listings:", err.message); }
 }
 
 export async function initializeSniper() {
@@ -0,0 +1,153 @@
+// services/tax-report.js
+// Realized gains for a tax year: every sale by the wallet (from the sales ledger) matched to a
+// purchase lot from services/cost-basis.js.
+//   fifo     - moments of the same edition are treated as interchangeable; each sale uses the
+//              oldest unused purchase of that edition
+//   specific - each sale uses the latest earlier purchase of that exact moment (nft_id)
+
+import { pgQuery } from "../db.js";
+import { ensureCostBasisTables, loadPurchaseLots } from "./cost-basis.js";
+
+export const LOT_METHODS = ["fifo", "specific"];
+
+const round2 = (v) => Math.round(v * 100) / 100;
+const lotTime = (lot) => (lot.acquiredAt ? new Date(lot.acquiredAt).getTime() : -Infinity);
+
+// Held for more than one year (acquired + 1 year, then strictly after)
+function holdingPeriod(acquiredAt, soldAt) {
+    if (!acquiredAt) return null;
+    const oneYearLater = new Date(acquiredAt);
+    oneYearLater.setUTCFullYear(oneYearLater.getUTCFullYear() + 1);
+    return new Date(soldAt) > oneYearLater ? "long" : "short";
+}
+
+/**
+ * Build the tax report rows for one wallet and calendar year (UTC)
+ * @param {string} wallet
+ * @param {number} year
+ * @param {string} [method] - "fifo" or "specific"
+ * @returns {Promise<{rows: Object[], totals: Object}>}
+ */
+export async function buildTaxReport(wallet, year, method = "fifo") {
+    wallet = wallet.toLowerCase();
+    if (!LOT_METHODS.includes(method)) throw new Error(`Unknown lot method: ${method}`);
+    await ensureCostBasisTables();
+
+    // Every sale up to the end of the year, so FIFO lots used by earlier years are already consumed
+    const yearStart = new Date(Date.UTC(year, 0, 1));
+    const yearEnd = new Date(Date.UTC(year + 1, 0, 1));
+    const [salesResult, lotsByNft] = await Promise.all([
+        pgQuery(`
+          SELECT s.nft_id, s.tx_id, s.price_usd, s.sold_at, s.buyer_address,
+                 COALESCE(s.edition_id, m.edition_id) AS edition_id,
+                 m.first_name, m.last_name, m.tier, m.set_name, m.series_name, m.serial_number
+          FROM sales s
+          LEFT JOIN nft_core_metadata_v2 m ON m.nft_id = s.nft_id
+          WHERE s.seller_address = $1 AND s.sold_at < $2
+          ORDER BY s.sold_at, s.id
+        `, [wallet, yearEnd]),
+        loadPurchaseLots(wallet)
+    ]);
+
+    // Flatten lots with their nft and edition so they can be matched either way
+    const lots = [];
+    for (const [nftId, nftLots] of lotsByNft) {
+        for (const lot of nftLots) lots.push({ ...lot, nftId, editionId: null, used: false });
+    }
+    if (method === "fifo" && lots.length) {
+        const { rows } = await pgQuery(
+            `SELECT nft_id, edition_id FROM nft_core_metadata_v2 WHERE nft_id = ANY($1::text[])`,
+            [[...lotsByNft.keys()]]
+        );
+        const editions = new Map(rows.map(r => [r.nft_id, r.edition_id]));
+        for (const lot of lots) lot.editionId = editions.get(lot.nftId) || null;
+    }
+    lots.sort((a, b) => lotTime(a) - lotTime(b));
+
+    const rows = [];
+    for (const sale of salesResult.rows) {
+        const soldTime = new Date(sale.sold_at).getTime();
+        const candidates = lots.filter(lot => !lot.used && lotTime(lot) < soldTime && (method === "fifo"
+            ? (sale.edition_id ? lot.editionId === sale.edition_id : lot.nftId === sale.nft_id)
+            : lot.nftId === sale.nft_id));
+        const lot = method === "fifo" ? candidates[0] : candidates[candidates.length - 1];
+        if (lot) lot.used = true;
+
+        if (sale.sold_at < yearStart) continue;
+
+        const proceeds = sale.price_usd !== null ? Number(sale.price_usd) : null;
+        const costBasis = lot ? lot.priceUsd : null;
+        rows.push({
+            nftId: sale.nft_id,
+            editionId: sale.edition_id,
+            description: [
+                sale.first_name && sale.last_name ? `${sale.first_name} ${sale.last_name}` : null,
+                sale.set_name,
+                sale.tier,
+                sale.serial_number ? `#${sale.serial_number}` : null
+            ].filter(Boolean).join(" · ") || `Moment ${sale.nft_id}`,
+            acquiredAt: lot?.acquiredAt || null,
+            soldAt: sale.sold_at,
+            proceeds,
+            costBasis,
+            holdingPeriod: lot ? holdingPeriod(lot.acquiredAt, sale.sold_at) : null,
+            gain: proceeds !== null && costBasis !== null ? round2(proceeds - costBasis) : null,
+            lotNftId: lot?.nftId || null,
+            lotSource: lot?.source || null,
+            saleTxId: sale.tx_id
+        });
+    }
+
+    const sum = (fn) => round2(rows.reduce((total, r) => total + (fn(r) || 0), 0));
+    return {
+        rows,
+        totals: {
+            disposals: rows.length,
+            proceeds: sum(r => r.proceeds),
+            costBasis: sum(r => r.costBasis),
+            shortTermGain: sum(r => (r.holdingPeriod === "short" ? r.gain : 0)),
+            longTermGain: sum(r => (r.holdingPeriod === "long" ? r.gain : 0)),
+            unmatched: rows.filter(r => r.costBasis === null).length
+        }
+    };
+}
+
+const TAX_REPORT_COLUMNS = [
+    ["description", "Description"],
+    ["nftId", "NFT ID"],
+    ["editionId", "Edition ID"],
+    ["acquiredAt", "Date Acquired"],
+    ["soldAt", "Date Sold"],
+    ["proceeds", "Proceeds (USD)"],
+    ["costBasis", "Cost Basis (USD)"],
+    ["holdingPeriod", "Holding Period"],
+    ["gain", "Gain (USD)"],
+    ["lotNftId", "Matched Lot NFT ID"],
+    ["lotSource", "Cost Basis Source"],
+    ["saleTxId", "Sale Transaction"]
+];
+
+function csvCell(value) {
+    if (value === null || value === undefined) return "";
+    if (value instanceof Date) value = value.toISOString().slice(0, 10);
+    const s = String(value).replace(/"/g, '""');
+    return /[",\n]/.test(s) ? `"${s}"` : s;
+}
+
+/**
+ * Render buildTaxReport rows as CSV (dates as YYYY-MM-DD, blank where unknown)
+ * @param {Object[]} rows
+ * @returns {string}
+ */
+export function taxReportToCsv(rows) {
+    const lines = [TAX_REPORT_COLUMNS.map(([, label]) => label).join(",")];
+    for (const row of rows) {
+        lines.push(TAX_REPORT_COLUMNS.map(([key]) => {
+            const value = row[key];
+            if ((key === "acquiredAt" || key === "soldAt") && value) return csvCell(new Date(value));
+            if (typeof value === "number") return value.toFixed(2);
+            return csvCell(value);
+        }).join(","));
+    }
+    return lines.join("\n") + "\n";
+}
@@ -0,0 +1,201 @@
+// services/trade-matcher.js
+// Finds wallets to trade duplicates with. A wallet "wants" the editions it's missing from every set it
+// has started (the set-completion view of missing) and can "spare" the extra unlocked copies of editions
+// it holds more than once. A match is another wallet that holds some of what this wallet wants and is
+// itself missing some of what this wallet can spare (in sets it has started). Matches are ranked by how
+// many one-for-one swaps are possible, weighted by how evenly the swapped values line up
+// (edition floor/ASP blend, as in services/valuation.js). The work per request is bounded: only the
+// MAX_WANTED_EDITIONS missing editions of the sets closest to completion are looked for, and only the
+// MAX_CANDIDATE_WALLETS holders with the most of them are checked.
+
+import { pgQuery } from "../db.js";
+import { getEditionPrices, baseMarketValue } from "./valuation.js";
+import { EXCLUDED_LEADERBOARD_WALLETS } from "./rarity-scoring.js";
+
+// Only the wallets holding the most wanted editions are checked for what they want back
+const MAX_CANDIDATE_WALLETS = 200;
+const MAX_WANTED_EDITIONS = 1000;
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+// Editions a wallet holds, with how many copies it could trade away
+async function loadHoldings(wallets) {
+    const { rows } = await pgQuery(`
+      SELECT h.wallet_address, m.edition_id, m.set_name,
+             COUNT(*)::int AS copies,
+             COUNT(*) FILTER (WHERE NOT COALESCE(h.is_locked, false))::int AS unlocked
+      FROM holdings h
+      JOIN nft_core_metadata_v2 m ON m.nft_id = h.nft_id
+      WHERE h.wallet_address = ANY($1::text[]) AND m.edition_id IS NOT NULL
+      GROUP BY h.wallet_address, m.edition_id, m.set_name
+    `, [wallets]);
+    return rows;
+}
+
+/**
+ * Wallets that can swap what this wallet is missing for its duplicates
+ * @param {string} wallet
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Matches returned
+ * @returns {Promise<Object>} { wanted_editions, wanted_checked, spare_editions, matches: [{ wallet_address, display_name, score, swaps,
+ *   you_receive, you_send, receive_value, send_value, value_balance, balance_ratio }] }
+ */
+export async function findTradeMatches(wallet, { limit = 25 } = {}) {
+    const mine = await loadHoldings([wallet]);
+    const owned = new Set(mine.map(r => r.edition_id));
+    // Keep one copy; locked copies can't be traded
+    const spare = new Map(mine
+        .map(r => [r.edition_id, { set_name: r.set_name, count: Math.min(r.copies - 1, r.unlocked) }])
+        .filter(([, s]) => s.count > 0));
+
+    const mySets = [...new Set(mine.map(r => r.set_name).filter(Boolean))];
+    let missing = [];
+    if (mySets.length) {
+        const { rows } = await pgQuery(
+            `SELECT DISTINCT set_name, edition_id FROM nft_core_metadata_v2 WHERE set_name = ANY($1::text[])`,
+            [mySets]
+        );
+        // Sets closest to completion first
+        const sets = new Map();
+        for (const r of rows) {
+            if (!sets.has(r.set_name)) sets.set(r.set_name, { total: 0, missing: [] });
+            const set = sets.get(r.set_name);
+            set.total++;
+            if (!owned.has(r.edition_id)) set.missing.push(r.edition_id);
+        }
+        missing = [...sets.values()]
+            .sort((a, b) => a.missing.length / a.total - b.missing.length / b.total)
+            .flatMap(set => set.missing);
+    }
+    const wanted = missing.slice(0, MAX_WANTED_EDITIONS);
+
+    const result = { wanted_editions: missing.length, wanted_checked: wanted.length, spare_editions: spare.size, matches: [] };
+    if (!wanted.length || !spare.size) return result;
+
+    // Unlocked copies of wanted editions held by the wallets with the most of them
+    const { rows: holders } = await pgQuery(`
+      WITH offers AS (
+        SELECT h.wallet_address, m.edition_id, COUNT(*)::int AS copies
+        FROM holdings h
+        JOIN nft_core_metadata_v2 m ON m.nft_id = h.nft_id
+        WHERE m.edition_id = ANY($1::text[])
+          AND NOT COALESCE(h.is_locked, false)
+          AND h.wallet_address <> $2
+          AND NOT (h.wallet_address = ANY($3::text[]))
+        GROUP BY h.wallet_address, m.edition_id
+      ),
+      top_holders AS (
+        SELECT wallet_address
+        FROM offers
+        GROUP BY wallet_address
+        ORDER BY COUNT(*) DESC, wallet_address
+        LIMIT $4
+      )
+      SELECT o.wallet_address, o.edition_id, o.copies
+      FROM offers o
+      JOIN top_holders t ON t.wallet_address = o.wallet_address
+    `, [wanted, wallet, EXCLUDED_LEADERBOARD_WALLETS, MAX_CANDIDATE_WALLETS]);
+    const offers = new Map();
+    for (const r of holders) {
+        if (!offers.has(r.wallet_address)) offers.set(r.wallet_address, []);
+        offers.get(r.wallet_address).push({ edition_id: r.edition_id, their_copies: r.copies });
+    }
+    const candidates = [...offers.keys()];
+    if (!candidates.length) return result;
+
+    // What each candidate is missing of our spares, counting only sets they've started
+    // (only the sets our spares belong to matter, so that's all that is loaded)
+    const spareSets = [...new Set([...spare.values()].map(s => s.set_name).filter(Boolean))];
+    const { rows: theirs } = await pgQuery(`
+      SELECT DISTINCT h.wallet_address, m.edition_id, m.set_name
+      FROM holdings h
+      JOIN nft_core_metadata_v2 m ON m.nft_id = h.nft_id
+      WHERE h.wallet_address = ANY($1::text[]) AND m.set_name = ANY($2::text[])
+    `, [candidates, spareSets]);
+    const theirEditions = new Map();
+    const theirSets = new Map();
+    for (const r of theirs) {
+        if (!theirEditions.has(r.wallet_address)) {
+            theirEditions.set(r.wallet_address, new Set());
+            theirSets.set(r.wallet_address, new Set());
+        }
+        theirEditions.get(r.wallet_address).add(r.edition_id);
+        if (r.set_name) theirSets.get(r.wallet_address).add(r.set_name);
+    }
+
+    const prices = await getEditionPrices([...wanted, ...spare.keys()]);
+    const valueOf = (editionId) => {
+        const p = prices.get(editionId);
+        return p ? round2(baseMarketValue(p.floor, p.avgSale)) : 0;
+    };
+
+    const byValue = (a, b) => b.value - a.value;
+    const matches = [];
+    for (const candidate of candidates) {
+        const editions = theirEditions.get(candidate) || new Set();
+        const sets = theirSets.get(candidate) || new Set();
+        const send = [...spare.entries()]
+            .filter(([editionId, s]) => !editions.has(editionId) && sets.has(s.set_name))
+            .map(([editionId, s]) => ({ edition_id: editionId, your_spare: s.count, value: valueOf(editionId) }))
+            .sort(byValue);
+        if (!send.length) continue;
+        const receive = offers.get(candidate)
+            .map(o => ({ ...o, value: valueOf(o.edition_id) }))
+            .sort(byValue);
+
+        // One-for-one swaps, pairing the most valuable on each side
+        const swaps = Math.min(send.length, receive.length);
+        const receiveValue = round2(receive.slice(0, swaps).reduce((sum, r) => sum + r.value, 0));
+        const sendValue = round2(send.slice(0, swaps).reduce((sum, s) => sum + s.value, 0));
+        const balanceRatio = Math.max(receiveValue, sendValue) > 0
+            ? round2(Math.min(receiveValue, sendValue) / Math.max(receiveValue, sendValue))
+            : 1;
+
+        matches.push({
+            wallet_address: candidate,
+            score: round2(swaps * (0.5 + 0.5 * balanceRatio)),
+            swaps,
+            you_receive: receive,
+            you_send: send,
+            receive_value: receiveValue,
+            send_value: sendValue,
+            value_balance: round2(receiveValue - sendValue),
+            balance_ratio: balanceRatio
+        });
+    }
+
+    matches.sort((a, b) => b.score - a.score || b.you_receive.length + b.you_send.length - (a.you_receive.length + a.you_send.length));
+    result.matches = matches.slice(0, limit);
+    if (!result.matches.length) return result;
+
+    // Names for the returned matches only
+    const editionIds = [...new Set(result.matches.flatMap(m => [...m.you_receive, ...m.you_send].map(e => e.edition_id)))];
+    const [{ rows: editionRows }, { rows: profileRows }] = await Promise.all([
+        pgQuery(`
+          SELECT DISTINCT ON (edition_id) edition_id, set_name, first_name, last_name, team_name, tier
+          FROM nft_core_metadata_v2
+          WHERE edition_id = ANY($1::text[])
+          ORDER BY edition_id
+        `, [editionIds]),
+        pgQuery(
+            `SELECT wallet_address, display_name FROM wallet_profiles WHERE wallet_address = ANY($1::text[])`,
+            [result.matches.map(m => m.wallet_address)]
+        )
+    ]);
+    const editionInfo = new Map(editionRows.map(r => [r.edition_id, {
+        set_name: r.set_name,
+        player_name: [r.first_name, r.last_name].filter(Boolean).join(" ") || null,
+        team_name: r.team_name,
+        tier: r.tier
+    }]));
+    const names = new Map(profileRows.map(r => [r.wallet_address, r.display_name]));
+    const describe = (e) => ({ edition_id: e.edition_id, ...editionInfo.get(e.edition_id), ...e });
+    result.matches = result.matches.map(m => ({
+        wallet_address: m.wallet_address,
+        display_name: names.get(m.wallet_address) || null,
+        ...m,
+        you_receive: m.you_receive.map(describe),
+        you_send: m.you_send.map(describe)
+    }));
+    return result;
+}
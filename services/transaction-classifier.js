@@ -0,0 +1,323 @@
+// services/transaction-classifier.js
+// Turns the raw events of a Flow transaction into typed actions per moment:
+// sale (with price), gift, pack pull, mint, lock, unlock, burn, listing, delisting or plain transfer.
+// AllDay Deposit/Withdraw alone can't tell a sale from a gift or a pack opening, so they are
+// correlated with NFTStorefront, NFTLocker and PackNFT events from the same transaction.
+// Listing prices come from ListingAvailable events recorded in storefront_listings.
+
+import { pgQuery } from "../db.js";
+
+const ALLDAY_ADDRESS = "0xe4cf4bdc1751c65d";
+export const STOREFRONT_CONTRACT = "A.4eb8a10cb9f87357.NFTStorefront";
+export const PACK_NFT_CONTRACT = "A.e4cf4bdc1751c65d.PackNFT";
+
+// Extra events the live stream subscribes to so transactions can be classified
+export const CLASSIFIER_EVENT_TYPES = [
+    `${STOREFRONT_CONTRACT}.ListingAvailable`,
+    `${STOREFRONT_CONTRACT}.ListingCompleted`,
+    `${PACK_NFT_CONTRACT}.Opened`
+];
+
+// AllDay and NFTLocker events that refer to a moment by id
+const MOMENT_EVENT_NAMES = ["Deposit", "Withdraw", "MomentNFTMinted", "MomentNFTBurned", "NFTLocked", "NFTUnlocked"];
+
+// Accounts moments are distributed from when packs are opened
+const PACK_ISSUER_ADDRESSES = [ALLDAY_ADDRESS, "0x0000000000000000"];
+
+export const TRANSACTION_ACTIONS = ["sale", "gift", "pack_pull", "mint", "lock", "unlock", "burn", "listing", "delisting", "transfer"];
+
+export const ACTION_LABELS = {
+    sale: "Sold",
+    gift: "Gift",
+    pack_pull: "Pack Pull",
+    mint: "Minted",
+    lock: "Locked",
+    unlock: "Unlocked",
+    burn: "Burned",
+    listing: "Listed",
+    delisting: "Delisted",
+    transfer: "Transfer"
+};
+
+// Unwrap a Cadence JSON-CDC value (Optional, Type and plain values)
+function cadenceValue(v) {
+    if (v === null || v === undefined) return null;
+    if (typeof v !== "object") return v;
+    if (v.type === "Optional") return cadenceValue(v.value);
+    if (v.type === "Type") return v.value?.staticType?.typeID || null;
+    if (v.value !== undefined) return cadenceValue(v.value);
+    return null;
+}
+
+function decodePayload(event) {
+    if (!event.payload) return {};
+    if (typeof event.payload === "object") return event.payload;
+    try {
+        return JSON.parse(Buffer.from(event.payload, "base64").toString());
+    } catch {
+        try {
+            return JSON.parse(event.payload);
+        } catch {
+            return {};
+        }
+    }
+}
+
+function payloadFields(event) {
+    const payload = decodePayload(event);
+    if (payload.value?.fields) {
+        return Object.fromEntries(payload.value.fields.map(f => [f.name, cadenceValue(f.value)]));
+    }
+    return payload;
+}
+
+const address = (value) => (value ? value.toString().toLowerCase() : null);
+
+/**
+ * Normalize a raw Flow event for classification
+ * @param {Object} event - Flow REST/WebSocket event (type, transaction_id, event_index, payload, ...)
+ * @returns {Object|null} null for events that aren't about AllDay moments
+ */
+export function decodeEvent(event) {
+    const type = event.type || "";
+    const name = type.split(".").pop();
+    const fields = payloadFields(event);
+    const nftType = fields.nftType ? String(fields.nftType) : null;
+    if (nftType && !nftType.includes(".AllDay.")) return null;
+
+    const base = {
+        name,
+        txId: event.transaction_id || event.tx_id || null,
+        eventIndex: event.event_index !== undefined && event.event_index !== null ? Number(event.event_index) : null,
+        blockHeight: event.block_height ? Number(event.block_height) : null,
+        timestamp: event.block_timestamp || null
+    };
+
+    if (type.startsWith(STOREFRONT_CONTRACT)) {
+        if (!nftType) return null; // Can't tell whose listing it is
+        return {
+            ...base,
+            nftId: fields.nftID?.toString() || null,
+            listingId: fields.listingResourceID?.toString() || null,
+            seller: address(fields.storefrontAddress || fields.seller),
+            price: fields.price !== undefined && fields.price !== null ? parseFloat(fields.price) : null,
+            purchased: fields.purchased === true || fields.purchased === "true"
+        };
+    }
+    if (type.startsWith(PACK_NFT_CONTRACT)) {
+        return { ...base, name: `Pack${name}`, packId: fields.id?.toString() || null };
+    }
+    if (!MOMENT_EVENT_NAMES.includes(name)) return null;
+    return {
+        ...base,
+        nftId: fields.id?.toString() || null,
+        from: address(fields.from),
+        to: address(fields.to)
+    };
+}
+
+/**
+ * Classify one transaction's decoded events into one action per moment
+ * @param {Object[]} events - decodeEvent output for a single transaction, in event order
+ * @returns {Object[]} [{ action, nftId, txId, eventIndex, blockHeight, timestamp, from, to, listingId }]
+ */
+export function classifyTransaction(events) {
+    const packOpened = events.some(e => e.name === "PackOpened");
+    const byNft = new Map();
+    for (const e of events) {
+        if (!e.nftId) continue;
+        if (!byNft.has(e.nftId)) byNft.set(e.nftId, []);
+        byNft.get(e.nftId).push(e);
+    }
+
+    const actions = [];
+    for (const [nftId, nftEvents] of byNft) {
+        const find = (name) => nftEvents.find(e => e.name === name);
+        const withdraw = find("Withdraw");
+        const deposit = [...nftEvents].reverse().find(e => e.name === "Deposit");
+        const locked = find("NFTLocked");
+        const unlocked = find("NFTUnlocked");
+        const burned = find("MomentNFTBurned");
+        const minted = find("MomentNFTMinted");
+        const completed = find("ListingCompleted");
+        const available = find("ListingAvailable");
+
+        const first = nftEvents[0];
+        const action = {
+            action: "transfer",
+            nftId,
+            txId: first.txId,
+            eventIndex: Math.max(...nftEvents.map(e => e.eventIndex ?? 0)),
+            blockHeight: first.blockHeight,
+            timestamp: first.timestamp,
+            from: withdraw?.from || null,
+            to: deposit?.to || null,
+            listingId: null
+        };
+
+        if (burned) {
+            action.action = "burn";
+        } else if (locked) {
+            action.action = "lock";
+            action.from = action.from || locked.from || locked.to;
+            action.to = null;
+        } else if (unlocked) {
+            action.action = "unlock";
+            action.to = action.to || unlocked.from || unlocked.to;
+            action.from = null;
+        } else if (completed?.purchased) {
+            action.action = "sale";
+            action.from = action.from || completed.seller;
+            action.listingId = completed.listingId;
+        } else if (packOpened || (withdraw && PACK_ISSUER_ADDRESSES.includes(withdraw.from))) {
+            if (!deposit) continue; // Moving moments into the pack, not out of it
+            action.action = "pack_pull";
+            action.from = null;
+        } else if (minted) {
+            action.action = "mint";
+            action.from = null;
+        } else if (available && !withdraw && !deposit) {
+            // Also covers price changes (old listing removed, new one created)
+            action.action = "listing";
+            action.from = available.seller;
+            action.listingId = available.listingId;
+        } else if (completed && !withdraw && !deposit) {
+            action.action = "delisting";
+            action.from = completed.seller;
+            action.listingId = completed.listingId;
+        } else if (withdraw && deposit && withdraw.from !== deposit.to) {
+            action.action = "gift";
+        }
+        actions.push(action);
+    }
+    return actions;
+}
+
+let listingsTableReady = false;
+
+/**
+ * Ensures the storefront_listings table exists (AllDay listings seen on NFTStorefront)
+ */
+export async function ensureStorefrontListingsTable() {
+    if (listingsTableReady) return;
+    await pgQuery(`
+      CREATE TABLE IF NOT EXISTS storefront_listings (
+        listing_id TEXT PRIMARY KEY,
+        nft_id TEXT NOT NULL,
+        seller_address TEXT,
+        price_usd NUMERIC,
+        listed_at TIMESTAMPTZ,
+        listed_tx_id TEXT,
+        status TEXT NOT NULL DEFAULT 'available' CHECK (status IN ('available', 'sold', 'removed')),
+        completed_at TIMESTAMPTZ,
+        completed_tx_id TEXT
+      );
+    `);
+    await pgQuery(`CREATE INDEX IF NOT EXISTS idx_storefront_listings_nft ON storefront_listings (nft_id, listed_at DESC)`);
+    // Per-edition order book (services/order-book.js)
+    await pgQuery(`ALTER TABLE storefront_listings ADD COLUMN IF NOT EXISTS edition_id TEXT`);
+    await pgQuery(`CREATE INDEX IF NOT EXISTS idx_storefront_listings_edition ON storefront_listings (edition_id, price_usd) WHERE status = 'available'`);
+    // Listings recorded before edition_id existed, or before the moment's metadata was synced
+    await pgQuery(`
+      UPDATE storefront_listings sl SET edition_id = m.edition_id
+      FROM nft_core_metadata_v2 m
+      WHERE sl.edition_id IS NULL AND sl.status = 'available' AND m.nft_id = sl.nft_id
+    `);
+    listingsTableReady = true;
+}
+
+/**
+ * Record NFTStorefront listing events in storefront_listings
+ * Called for every classified batch, and by the sniper's listing watcher so the order book
+ * stays current when the live stream is down.
+ * @param {Object[]} decoded - decodeEvent output
+ */
+export async function recordStorefrontEvents(decoded) {
+    const storefront = decoded.filter(e => e.listingId && (e.name === "ListingAvailable" || e.name === "ListingCompleted"));
+    if (!storefront.length) return;
+    await ensureStorefrontListingsTable();
+    for (const e of storefront) {
+        const time = e.timestamp ? new Date(e.timestamp) : new Date();
+        if (e.name === "ListingAvailable") {
+            await pgQuery(
+                `INSERT INTO storefront_listings (listing_id, nft_id, edition_id, seller_address, price_usd, listed_at, listed_tx_id)
+                 SELECT $1, $2, (SELECT edition_id FROM nft_core_metadata_v2 WHERE nft_id = $2 LIMIT 1), $3, $4, $5, $6
+                 ON CONFLICT (listing_id) DO NOTHING`,
+                [e.listingId, e.nftId, e.seller, e.price, time, e.txId]
+            );
+        } else {
+            await pgQuery(
+                `UPDATE storefront_listings
+                 SET status = $2, completed_at = $3, completed_tx_id = $4
+                 WHERE listing_id = $1`,
+                [e.listingId, e.purchased ? "sold" : "removed", time, e.txId]
+            );
+            if (e.purchased && e.nftId) {
+                // Other listings of a sold moment can no longer be filled
+                await pgQuery(
+                    `UPDATE storefront_listings
+                     SET status = 'removed', completed_at = $3, completed_tx_id = $4
+                     WHERE nft_id = $2 AND listing_id <> $1 AND status = 'available'`,
+                    [e.listingId, e.nftId, time, e.txId]
+                );
+            }
+        }
+    }
+}
+
+/**
+ * Fill in priceUsd for sale and listing actions from the recorded listing
+ * (falls back to the sniper's copy of the listing for listings made before we recorded them)
+ * @param {Object[]} actions - Modified in place
+ */
+async function resolvePrices(actions) {
+    const priced = actions.filter(a => a.listingId && (a.action === "sale" || a.action === "listing" || a.action === "delisting"));
+    if (!priced.length) return;
+    const listingIds = priced.map(a => a.listingId);
+    await ensureStorefrontListingsTable();
+    const { rows } = await pgQuery(
+        `SELECT listing_id, price_usd FROM storefront_listings WHERE listing_id = ANY($1::text[])
+         UNION ALL
+         SELECT listing_id, (listing_data->>'listingPrice')::numeric FROM sniper_listings
+         WHERE listing_id = ANY($1::text[])
+           AND listing_id NOT IN (SELECT listing_id FROM storefront_listings WHERE listing_id = ANY($1::text[]))`,
+        [listingIds]
+    ).catch(() => ({ rows: [] }));
+    const prices = new Map(rows.map(r => [r.listing_id, r.price_usd !== null ? Number(r.price_usd) : null]));
+    for (const a of priced) {
+        a.priceUsd = prices.get(a.listingId) ?? null;
+    }
+}
+
+/**
+ * Classify a batch of raw events (any number of transactions, e.g. one block or backfill chunk)
+ * Also records storefront listings so later sales can be priced.
+ * @param {Object[]} events - Raw Flow events
+ * @returns {Promise<Object[]>} Actions, see classifyTransaction (plus priceUsd)
+ */
+export async function classifyEvents(events) {
+    const byTx = new Map();
+    for (const event of events) {
+        const decoded = decodeEvent(event);
+        if (!decoded?.txId) continue;
+        if (!byTx.has(decoded.txId)) byTx.set(decoded.txId, []);
+        byTx.get(decoded.txId).push(decoded);
+    }
+    if (!byTx.size) return [];
+
+    const all = [...byTx.values()].flat();
+    try {
+        await recordStorefrontEvents(all);
+    } catch (err) {
+        console.error("[Classifier] Failed to record storefront listings:", err.message);
+    }
+
+    const actions = [];
+    for (const txEvents of byTx.values()) {
+        txEvents.sort((a, b) => (a.eventIndex ?? 0) - (b.eventIndex ?? 0));
+        actions.push(...classifyTransaction(txEvents));
+    }
+    for (const a of actions) a.priceUsd = null;
+    await resolvePrices(actions);
+    return actions;
+}
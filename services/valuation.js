@@ -0,0 +1,280 @@
+// services/valuation.js
+// Shared moment valuation: floor (lowest ask), ASP, the edition's last sale and an estimated fair value.
+// The estimate starts from a floor/ASP blend and applies the serial/jersey premium; parallels are their
+// own editions, so their premium is already in the edition's prices. Used by /api/query,
+// /api/wallet-summary, /api/wallet-compare and the sniper so every page shows the same numbers.
+// Premium multipliers can be tuned with DEAL_SCORE_WEIGHTS after checking them with the deal
+// score backtest (services/deal-backtest.js).
+
+import { pgQuery } from "../db.js";
+
+const toNumber = (v) => (v !== null && v !== undefined && v !== "" && !isNaN(Number(v)) ? Number(v) : null);
+const round2 = (v) => Math.round(v * 100) / 100;
+
+// Serial premiums, checked in this order; only the first match applies.
+// Multipliers come from the weights (PREMIUM_WEIGHTS unless a caller passes its own, e.g. the backtest).
+export const PREMIUM_RULES = [
+    { key: "serialOne", kind: "serial", reason: "#1 serial", test: (m) => m.serialNumber === 1 },
+    { key: "jerseyMatch", kind: "jersey", reason: "Jersey match", test: (m) => m.jerseyNumber && m.serialNumber === m.jerseyNumber },
+    { key: "lastSerial", kind: "serial", reason: "Last serial", test: (m) => m.maxMint && m.serialNumber === m.maxMint },
+    { key: "serialTop10", kind: "serial", reason: "Serial ≤ 10", test: (m) => m.serialNumber <= 10 },
+    { key: "serialTop100", kind: "serial", reason: "Serial ≤ 100", test: (m) => m.serialNumber <= 100 }
+];
+
+export const DEFAULT_PREMIUM_WEIGHTS = { serialOne: 10.0, jerseyMatch: 5.0, lastSerial: 2.5, serialTop10: 3.0, serialTop100: 1.5 };
+
+/**
+ * Validate premium weights, e.g. from DEAL_SCORE_WEIGHTS or a backtest request
+ * @param {string|Object} input - JSON or object with any of the PREMIUM_RULES keys
+ * @returns {{weights: Object|null, error: string|null}} Weights merged over the defaults
+ */
+export function parsePremiumWeights(input) {
+    let overrides = input;
+    if (typeof input === "string") {
+        try {
+            overrides = JSON.parse(input);
+        } catch (e) {
+            return { weights: null, error: "weights must be JSON" };
+        }
+    }
+    if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+        return { weights: null, error: "weights must be an object" };
+    }
+    const weights = { ...DEFAULT_PREMIUM_WEIGHTS };
+    for (const [key, value] of Object.entries(overrides)) {
+        if (!(key in DEFAULT_PREMIUM_WEIGHTS)) {
+            return { weights: null, error: `Unknown weight "${key}" (expected ${Object.keys(DEFAULT_PREMIUM_WEIGHTS).join(", ")})` };
+        }
+        const n = Number(value);
+        if (!Number.isFinite(n) || n <= 0) return { weights: null, error: `Weight "${key}" must be a positive number` };
+        weights[key] = n;
+    }
+    return { weights, error: null };
+}
+
+function loadPremiumWeights() {
+    if (!process.env.DEAL_SCORE_WEIGHTS) return { ...DEFAULT_PREMIUM_WEIGHTS };
+    const { weights, error } = parsePremiumWeights(process.env.DEAL_SCORE_WEIGHTS);
+    if (error) {
+        console.warn(`[Valuation] ⚠️  Ignoring DEAL_SCORE_WEIGHTS: ${error}`);
+        return { ...DEFAULT_PREMIUM_WEIGHTS };
+    }
+    return weights;
+}
+
+// Weights in use, from DEAL_SCORE_WEIGHTS (JSON) over the defaults
+export const PREMIUM_WEIGHTS = Object.freeze(loadPremiumWeights());
+
+/**
+ * The premium rule a moment qualifies for, if any
+ * @param {Object} moment - { serialNumber, jerseyNumber, maxMint }
+ * @returns {Object|null} PREMIUM_RULES entry
+ */
+export function findPremiumRule(moment) {
+    const m = {
+        serialNumber: toNumber(moment.serialNumber),
+        jerseyNumber: toNumber(moment.jerseyNumber),
+        maxMint: toNumber(moment.maxMint)
+    };
+    if (m.serialNumber === null) return null;
+    return PREMIUM_RULES.find(p => p.test(m)) || null;
+}
+
+/**
+ * Parallel variant from the set name and mint size
+ * Sapphire = /25, Emerald = /50, Ruby = /299 (often stored without a mint size), standard = not a parallel
+ */
+export function detectParallelVariant(setName, maxMint) {
+    if (!setName) return "standard";
+    if (!setName.toLowerCase().includes("parallel")) return "standard";
+    const mint = toNumber(maxMint);
+    if (mint === 25) return "sapphire";
+    if (mint === 50) return "emerald";
+    if (mint === 299 || !mint) return "ruby";
+    return "parallel";
+}
+
+/**
+ * Floor/ASP blend the premiums are applied to.
+ * Uses the lower of the two, except when the floor is more than 3x the ASP (a thin, overpriced
+ * market), where 1.5x the ASP is used instead.
+ */
+export function baseMarketValue(floor, avgSale) {
+    floor = toNumber(floor);
+    avgSale = toNumber(avgSale);
+    if (floor && avgSale && avgSale > 0) {
+        return floor > avgSale * 3 ? avgSale * 1.5 : Math.min(floor, avgSale);
+    }
+    return floor || avgSale || 0;
+}
+
+/**
+ * Estimate one moment's value from its edition prices and serial
+ * @param {Object} moment
+ * @param {number} [moment.floor] - Lowest ask for the edition
+ * @param {number} [moment.avgSale] - Average sale price for the edition
+ * @param {Object} [moment.lastSale] - { priceUsd, soldAt } of the edition's latest sale
+ * @param {number} [moment.serialNumber]
+ * @param {number} [moment.jerseyNumber]
+ * @param {number} [moment.maxMint]
+ * @param {string} [moment.setName]
+ * @param {Object} [weights] - Premium multipliers keyed like DEFAULT_PREMIUM_WEIGHTS
+ * @returns {Object} { floor, asp, lastSale, baseValue, estimatedValue, multiplier, premiums: { serial, jersey, parallel } }
+ */
+export function estimateMomentValue(moment, weights = PREMIUM_WEIGHTS) {
+    const floor = toNumber(moment.floor);
+    const asp = toNumber(moment.avgSale);
+    const baseValue = baseMarketValue(floor, asp);
+
+    const rule = findPremiumRule(moment);
+    const premium = rule ? { ...rule, multiplier: weights[rule.key] } : null;
+    const multiplier = premium ? premium.multiplier : 1.0;
+    const parallelVariant = detectParallelVariant(moment.setName, moment.maxMint);
+
+    return {
+        floor,
+        asp,
+        lastSale: moment.lastSale || null,
+        baseValue: baseValue > 0 ? round2(baseValue) : null,
+        estimatedValue: baseValue > 0 ? round2(baseValue * multiplier) : null,
+        multiplier,
+        premiums: {
+            serial: premium?.kind === "serial" ? { multiplier: premium.multiplier, reason: premium.reason } : null,
+            jersey: premium?.kind === "jersey" ? { multiplier: premium.multiplier, reason: premium.reason } : null,
+            parallel: parallelVariant !== "standard"
+                ? { variant: parallelVariant, multiplier: 1.0, reason: "Included in the edition's prices" }
+                : null
+        }
+    };
+}
+
+/**
+ * Current prices for editions: lowest ask, ASP, top sale and the latest priced sale
+ * @param {string[]} editionIds
+ * @returns {Promise<Map<string, Object>>} editionId -> { floor, avgSale, topSale, lastSale }
+ */
+export async function getEditionPrices(editionIds) {
+    const ids = [...new Set(editionIds.filter(Boolean).map(String))];
+    const prices = new Map();
+    if (!ids.length) return prices;
+
+    const [scrape, lastSales] = await Promise.all([
+        pgQuery(
+            `SELECT edition_id, lowest_ask_usd, avg_sale_usd, top_sale_usd FROM edition_price_scrape WHERE edition_id = ANY($1::text[])`,
+            [ids]
+        ),
+        pgQuery(
+            `SELECT DISTINCT ON (edition_id) edition_id, price_usd, sold_at
+             FROM sales
+             WHERE edition_id = ANY($1::text[]) AND price_usd IS NOT NULL
+             ORDER BY edition_id, sold_at DESC`,
+            [ids]
+        ).catch(() => ({ rows: [] })) // sales is created on first use
+    ]);
+
+    for (const r of scrape.rows) {
+        prices.set(r.edition_id, {
+            floor: toNumber(r.lowest_ask_usd),
+            avgSale: toNumber(r.avg_sale_usd),
+            topSale: toNumber(r.top_sale_usd),
+            lastSale: null
+        });
+    }
+    for (const r of lastSales.rows) {
+        const entry = prices.get(r.edition_id) || { floor: null, avgSale: null, topSale: null, lastSale: null };
+        entry.lastSale = { priceUsd: Number(r.price_usd), soldAt: r.sold_at };
+        prices.set(r.edition_id, entry);
+    }
+    return prices;
+}
+
+/**
+ * Value moments given their metadata rows (nft_core_metadata_v2 column names)
+ * @param {Object[]} rows - [{ nft_id, edition_id, serial_number, jersey_number, max_mint_size, set_name }]
+ * @returns {Promise<Map<string, Object>>} nftId -> estimateMomentValue result
+ */
+export async function valueMomentRows(rows) {
+    const prices = await getEditionPrices(rows.map(r => r.edition_id));
+    const valuations = new Map();
+    for (const r of rows) {
+        const price = prices.get(String(r.edition_id)) || {};
+        valuations.set(String(r.nft_id), estimateMomentValue({
+            floor: price.floor,
+            avgSale: price.avgSale,
+            lastSale: price.lastSale,
+            serialNumber: r.serial_number,
+            jerseyNumber: r.jersey_number,
+            maxMint: r.max_mint_size,
+            setName: r.set_name
+        }));
+    }
+    return valuations;
+}
+
+/**
+ * Add a `valuation` object to each row, for API responses that list moments
+ * @param {Object[]} rows - Rows with nft_core_metadata_v2 columns; modified in place
+ */
+export async function attachValuations(rows) {
+    const valuations = await valueMomentRows(rows.filter(r => r.nft_id));
+    for (const r of rows) {
+        r.valuation = valuations.get(String(r.nft_id)) || null;
+    }
+    return rows;
+}
+
+/**
+ * Value a set of moments by id (metadata is looked up)
+ * @param {string[]} nftIds
+ * @returns {Promise<Map<string, Object>>}
+ */
+export async function valueNfts(nftIds) {
+    if (!nftIds.length) return new Map();
+    const { rows } = await pgQuery(
+        `SELECT nft_id, edition_id, serial_number, jersey_number, max_mint_size, set_name
+         FROM nft_core_metadata_v2 WHERE nft_id = ANY($1::text[])`,
+        [nftIds.map(String)]
+    );
+    return valueMomentRows(rows);
+}
+
+/**
+ * Totals over a set of valuations
+ * @param {Iterable<Object>} valuations
+ * @returns {{floorValue: number, aspValue: number, estimatedValue: number, pricedMoments: number}}
+ */
+export function summarizeValuations(valuations) {
+    let floorValue = 0;
+    let aspValue = 0;
+    let estimatedValue = 0;
+    let pricedMoments = 0;
+    for (const v of valuations) {
+        floorValue += v.floor || 0;
+        aspValue += v.asp || 0;
+        estimatedValue += v.estimatedValue || 0;
+        if (v.floor !== null || v.asp !== null) pricedMoments++;
+    }
+    return {
+        floorValue: round2(floorValue),
+        aspValue: round2(aspValue),
+        estimatedValue: round2(estimatedValue),
+        pricedMoments
+    };
+}
+
+/**
+ * Value every moment a wallet holds (from the holdings table)
+ * @param {string} wallet
+ * @returns {Promise<{floorValue: number, aspValue: number, estimatedValue: number, pricedMoments: number}>}
+ */
+export async function valueWallet(wallet) {
+    const { rows } = await pgQuery(
+        `SELECT m.nft_id, m.edition_id, m.serial_number, m.jersey_number, m.max_mint_size, m.set_name
+         FROM holdings h
+         JOIN nft_core_metadata_v2 m ON m.nft_id = h.nft_id
+         WHERE h.wallet_address = $1`,
+        [wallet.toLowerCase()]
+    );
+    const valuations = await valueMomentRows(rows);
+    return summarizeValuations(valuations.values());
+}
@@ -0,0 +1,207 @@
+// services/wallet-compare.js
+// Compare 2-10 wallets edition by edition: each wallet's stats and values (from services/valuation.js,
+// so they match the wallet page), the editions only one wallet owns, the editions every wallet owns,
+// pairwise overlap and value differences, and per-team / per-set overlap. Served by /api/wallet-compare
+// (JSON, paginated edition lists) and as a CSV of every edition any of the wallets owns.
+
+import { pgQuery } from "../db.js";
+import { valueWallet, getEditionPrices } from "./valuation.js";
+
+export const MAX_COMPARE_WALLETS = 10;
+
+const WALLET_PATTERN = /^0x[0-9a-f]{4,64}$/;
+const round2 = (v) => Math.round(v * 100) / 100;
+
+/**
+ * Wallets to compare from ?wallets=a,b,c (or the original ?wallet1=&wallet2=)
+ * ?wallets= is deduplicated; the original form may name the same wallet twice, as it always could.
+ * @param {Object} query
+ * @returns {{wallets: string[]|null, error: string|null}}
+ */
+export function parseCompareWallets(query = {}) {
+    const normalize = (list) => list.map(w => String(w).trim().toLowerCase()).filter(Boolean);
+    const wallets = query.wallets !== undefined
+        ? [...new Set(normalize(query.wallets.toString().split(",")))]
+        : normalize([query.wallet1, query.wallet2].filter(w => w !== undefined));
+    if (wallets.length < 2) return { wallets: null, error: "Provide at least two wallets (?wallets=0x...,0x...)" };
+    if (wallets.length > MAX_COMPARE_WALLETS) {
+        return { wallets: null, error: `Compare at most ${MAX_COMPARE_WALLETS} wallets` };
+    }
+    const invalid = wallets.find(w => !WALLET_PATTERN.test(w));
+    if (invalid) return { wallets: null, error: `Invalid wallet format: ${invalid}` };
+    return { wallets, error: null };
+}
+
+const STATS_SQL = `
+  SELECT
+    h.wallet_address,
+    p.display_name,
+    COUNT(*)::int as total,
+    COUNT(*) FILTER (WHERE h.is_locked)::int as locked,
+    COUNT(*) FILTER (WHERE UPPER(m.tier) = 'COMMON')::int as common,
+    COUNT(*) FILTER (WHERE UPPER(m.tier) = 'UNCOMMON')::int as uncommon,
+    COUNT(*) FILTER (WHERE UPPER(m.tier) = 'RARE')::int as rare,
+    COUNT(*) FILTER (WHERE UPPER(m.tier) = 'LEGENDARY')::int as legendary,
+    COUNT(*) FILTER (WHERE UPPER(m.tier) = 'ULTIMATE')::int as ultimate,
+    COUNT(DISTINCT m.edition_id)::int as editions
+  FROM holdings h
+  LEFT JOIN nft_core_metadata_v2 m ON m.nft_id = h.nft_id
+  LEFT JOIN wallet_profiles p ON p.wallet_address = h.wallet_address
+  WHERE h.wallet_address = ANY($1::text[])
+  GROUP BY h.wallet_address, p.display_name
+`;
+
+const EMPTY_STATS = { display_name: null, total: 0, locked: 0, common: 0, uncommon: 0, rare: 0, legendary: 0, ultimate: 0, editions: 0 };
+
+// Overlap of one grouping (team or set): editions per wallet, shared by all and in any
+function groupOverlap(editions, key, walletCount) {
+    const groups = new Map();
+    for (const e of editions) {
+        const name = e[key];
+        if (!name) continue;
+        if (!groups.has(name)) groups.set(name, { name, editions: new Array(walletCount).fill(0), shared_by_all: 0, union: 0 });
+        const g = groups.get(name);
+        e.copies.forEach((c, i) => { if (c > 0) g.editions[i]++; });
+        g.union++;
+        if (e.copies.every(c => c > 0)) g.shared_by_all++;
+    }
+    return [...groups.values()].sort((a, b) => b.union - a.union || a.name.localeCompare(b.name));
+}
+
+/**
+ * Full comparison (unpaginated)
+ * @param {string[]} wallets - From parseCompareWallets
+ * @returns {Promise<Object>} { wallets, editions, unique_editions, shared_editions, overlap_matrix, value_matrix, by_team, by_set }
+ *   editions: every edition any wallet owns with copies per wallet (in `wallets` order);
+ *   unique_editions[i]: editions only wallets[i] owns; *_matrix[i][j]: wallets[i] vs wallets[j]
+ */
+export async function compareWallets(wallets) {
+    const [statsRes, values, ownershipRes] = await Promise.all([
+        pgQuery(STATS_SQL, [wallets]),
+        Promise.all(wallets.map(w => valueWallet(w))),
+        pgQuery(`
+          SELECT h.wallet_address, m.edition_id, m.set_name, m.team_name, m.tier, m.first_name, m.last_name,
+                 COUNT(*)::int AS copies
+          FROM holdings h
+          JOIN nft_core_metadata_v2 m ON m.nft_id = h.nft_id
+          WHERE h.wallet_address = ANY($1::text[]) AND m.edition_id IS NOT NULL
+          GROUP BY h.wallet_address, m.edition_id, m.set_name, m.team_name, m.tier, m.first_name, m.last_name
+        `, [wallets])
+    ]);
+
+    const statsByWallet = new Map(statsRes.rows.map(r => [r.wallet_address, r]));
+    const walletStats = wallets.map((address, i) => {
+        const { wallet_address, ...stats } = statsByWallet.get(address) || EMPTY_STATS;
+        return {
+            address,
+            ...stats,
+            floor_value: values[i].floorValue,
+            asp_value: values[i].aspValue,
+            estimated_value: values[i].estimatedValue
+        };
+    });
+
+    // Positions of each address (the original two-wallet form can list one wallet twice)
+    const positions = new Map();
+    wallets.forEach((w, i) => positions.set(w, [...(positions.get(w) || []), i]));
+    const byEdition = new Map();
+    for (const r of ownershipRes.rows) {
+        if (!byEdition.has(r.edition_id)) {
+            byEdition.set(r.edition_id, {
+                edition_id: r.edition_id,
+                player_name: [r.first_name, r.last_name].filter(Boolean).join(" ") || null,
+                team_name: r.team_name,
+                set_name: r.set_name,
+                tier: r.tier,
+                floor: null,
+                copies: new Array(wallets.length).fill(0)
+            });
+        }
+        for (const i of positions.get(r.wallet_address)) byEdition.get(r.edition_id).copies[i] += r.copies;
+    }
+
+    const prices = await getEditionPrices([...byEdition.keys()]);
+    for (const e of byEdition.values()) {
+        const floor = prices.get(e.edition_id)?.floor;
+        e.floor = floor !== null && floor !== undefined ? floor : null;
+    }
+
+    // Priciest first, then by player
+    const editions = [...byEdition.values()].sort((a, b) =>
+        (b.floor ?? -1) - (a.floor ?? -1) || (a.player_name || "").localeCompare(b.player_name || ""));
+
+    const uniqueEditions = wallets.map(() => []);
+    const sharedEditions = [];
+    const overlapMatrix = wallets.map(() => new Array(wallets.length).fill(0));
+    for (const e of editions) {
+        const owners = e.copies.map((c, i) => (c > 0 ? i : -1)).filter(i => i >= 0);
+        if (owners.length === 1) uniqueEditions[owners[0]].push(e);
+        if (owners.length === wallets.length) sharedEditions.push(e);
+        for (const i of owners) for (const j of owners) overlapMatrix[i][j]++;
+    }
+
+    return {
+        wallets: walletStats,
+        editions,
+        unique_editions: uniqueEditions,
+        shared_editions: sharedEditions,
+        overlap_matrix: overlapMatrix,
+        value_matrix: walletStats.map(a => walletStats.map(b => round2((a.estimated_value || 0) - (b.estimated_value || 0)))),
+        by_team: groupOverlap(editions, "team_name", wallets.length),
+        by_set: groupOverlap(editions, "set_name", wallets.length)
+    };
+}
+
+/**
+ * One page of the edition lists and the per-set overlap (stats, matrices and teams are always complete)
+ * @param {Object} comparison - From compareWallets
+ * @param {number} page - 1-based
+ * @param {number} pageSize
+ */
+export function paginateComparison(comparison, page, pageSize) {
+    const { editions, unique_editions, shared_editions, by_set, ...rest } = comparison;
+    const slice = (list) => list.slice((page - 1) * pageSize, page * pageSize);
+    const longest = Math.max(shared_editions.length, by_set.length, ...unique_editions.map(l => l.length));
+    return {
+        ...rest,
+        unique_editions: unique_editions.map((list, i) => ({
+            wallet: comparison.wallets[i].address,
+            total: list.length,
+            items: slice(list)
+        })),
+        shared_editions: { total: shared_editions.length, items: slice(shared_editions) },
+        by_set: { total: by_set.length, items: slice(by_set) },
+        pagination: { page, page_size: pageSize, total_pages: Math.max(1, Math.ceil(longest / pageSize)) }
+    };
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return "";
+    const s = String(value).replace(/"/g, '""');
+    return /[",\n]/.test(s) ? `"${s}"` : s;
+}
+
+/**
+ * Every edition any of the wallets owns, with copies per wallet and whether it's shared or unique
+ * @param {Object} comparison - From compareWallets
+ * @returns {string}
+ */
+export function comparisonToCsv(comparison) {
+    const labels = comparison.wallets.map(w => w.display_name || w.address);
+    const lines = [[
+        "Edition ID", "Player", "Team", "Set", "Tier", "Floor (USD)",
+        ...labels, "Owned By", "Status"
+    ].map(csvCell).join(",")];
+    for (const e of comparison.editions) {
+        const owners = e.copies.filter(c => c > 0).length;
+        const status = owners === labels.length
+            ? "Shared by all"
+            : owners === 1 ? `Only ${labels[e.copies.findIndex(c => c > 0)]}` : "Partial";
+        lines.push([
+            e.edition_id, e.player_name, e.team_name, e.set_name, e.tier,
+            e.floor !== null ? e.floor.toFixed(2) : null,
+            ...e.copies, owners, status
+        ].map(csvCell).join(","));
+    }
+    return lines.join("\n") + "\n";
+}
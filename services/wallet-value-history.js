@@ -0,0 +1,167 @@
+// services/wallet-value-history.js
+// Nightly portfolio snapshots: one wallet_value_history row per wallet per day with the moment count,
+// floor value (sum of lowest asks), ASP value and a per-tier breakdown, valued from edition_price_scrape.
+// /api/wallet-history serves the series with gains over 7d/30d/90d/all.
+
+import { pgQuery } from "../db.js";
+import { registerJob } from "./job-scheduler.js";
+
+export const WALLET_VALUE_SNAPSHOT_JOB = "wallet-value-snapshot";
+
+export const WALLET_HISTORY_PERIODS = {
+    "7d": 7,
+    "30d": 30,
+    "90d": 90,
+    "all": null
+};
+
+const TIERS = ["Common", "Uncommon", "Rare", "Legendary", "Ultimate"];
+
+let tableReady = false;
+
+/**
+ * Ensures wallet_value_history exists (base layout from setup-database.js plus the breakdown columns)
+ */
+export async function ensureWalletValueHistoryTable() {
+    if (tableReady) return;
+    await pgQuery(`
+      CREATE TABLE IF NOT EXISTS wallet_value_history (
+        id SERIAL PRIMARY KEY,
+        wallet_address TEXT NOT NULL,
+        floor_value NUMERIC DEFAULT 0,
+        asp_value NUMERIC DEFAULT 0,
+        moments_count INTEGER DEFAULT 0,
+        recorded_at DATE NOT NULL DEFAULT CURRENT_DATE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        UNIQUE(wallet_address, recorded_at)
+      );
+    `);
+    await pgQuery(`ALTER TABLE wallet_value_history ADD COLUMN IF NOT EXISTS locked_count INTEGER DEFAULT 0`);
+    await pgQuery(`ALTER TABLE wallet_value_history ADD COLUMN IF NOT EXISTS priced_moments INTEGER DEFAULT 0`);
+    await pgQuery(`ALTER TABLE wallet_value_history ADD COLUMN IF NOT EXISTS tier_breakdown JSONB`);
+    await pgQuery(`CREATE INDEX IF NOT EXISTS idx_wvh_wallet ON wallet_value_history(wallet_address);`);
+    await pgQuery(`CREATE INDEX IF NOT EXISTS idx_wvh_date ON wallet_value_history(recorded_at);`);
+    tableReady = true;
+}
+
+/**
+ * Record today's (UTC) snapshot for every wallet with holdings. Re-running the same day overwrites it.
+ * @returns {Promise<number>} Wallets snapshotted
+ */
+export async function snapshotWalletValues() {
+    await ensureWalletValueHistoryTable();
+    const start = Date.now();
+    const { rowCount } = await pgQuery(`
+      WITH per_tier AS (
+        SELECT
+          h.wallet_address,
+          COALESCE(INITCAP(m.tier), 'Unknown') AS tier,
+          COUNT(*)::int AS moments,
+          COUNT(*) FILTER (WHERE COALESCE(h.is_locked, false))::int AS locked,
+          COUNT(*) FILTER (WHERE eps.lowest_ask_usd IS NOT NULL OR eps.avg_sale_usd IS NOT NULL)::int AS priced,
+          COALESCE(SUM(eps.lowest_ask_usd), 0)::numeric AS floor_value,
+          COALESCE(SUM(eps.avg_sale_usd), 0)::numeric AS asp_value
+        FROM holdings h
+        LEFT JOIN nft_core_metadata_v2 m ON m.nft_id = h.nft_id
+        LEFT JOIN edition_price_scrape eps ON eps.edition_id = m.edition_id
+        GROUP BY h.wallet_address, 2
+      )
+      INSERT INTO wallet_value_history
+        (wallet_address, floor_value, asp_value, moments_count, locked_count, priced_moments, tier_breakdown, recorded_at)
+      SELECT
+        wallet_address,
+        SUM(floor_value),
+        SUM(asp_value),
+        SUM(moments)::int,
+        SUM(locked)::int,
+        SUM(priced)::int,
+        jsonb_object_agg(tier, jsonb_build_object(
+          'count', moments,
+          'floorValue', ROUND(floor_value, 2),
+          'aspValue', ROUND(asp_value, 2)
+        )),
+        (now() AT TIME ZONE 'UTC')::date
+      FROM per_tier
+      GROUP BY wallet_address
+      ON CONFLICT (wallet_address, recorded_at) DO UPDATE SET
+        floor_value = EXCLUDED.floor_value,
+        asp_value = EXCLUDED.asp_value,
+        moments_count = EXCLUDED.moments_count,
+        locked_count = EXCLUDED.locked_count,
+        priced_moments = EXCLUDED.priced_moments,
+        tier_breakdown = EXCLUDED.tier_breakdown,
+        created_at = now()
+    `);
+    console.log(`[Wallet History] ✅ Snapshotted ${rowCount} wallets in ${((Date.now() - start) / 1000).toFixed(1)}s`);
+    return rowCount;
+}
+
+/**
+ * Registers the nightly snapshot job (00:30 UTC, after the evening price sync)
+ */
+export async function registerWalletValueSnapshotJob() {
+    await registerJob(WALLET_VALUE_SNAPSHOT_JOB, {
+        schedule: "30 0 * * *",
+        description: "Record each wallet's moment count, floor/ASP value and tier breakdown",
+        handler: async () => snapshotWalletValues()
+    });
+}
+
+function gain(start, end) {
+    const change = Math.round((end - start) * 100) / 100;
+    return {
+        start,
+        end,
+        change,
+        changePct: start > 0 ? Math.round((change / start) * 10000) / 100 : null
+    };
+}
+
+/**
+ * A wallet's snapshot series with floor/ASP gains per period.
+ * A period's gain runs from the last snapshot on or before its start (or the first snapshot, if the
+ * wallet's history is shorter) to the latest snapshot.
+ * @param {string} wallet
+ * @returns {Promise<{series: Object[], gains: Object}>}
+ */
+export async function getWalletValueHistory(wallet) {
+    await ensureWalletValueHistoryTable();
+    const { rows } = await pgQuery(`
+      SELECT to_char(recorded_at, 'YYYY-MM-DD') AS day, moments_count, locked_count, priced_moments,
+             floor_value, asp_value, tier_breakdown
+      FROM wallet_value_history
+      WHERE wallet_address = $1
+      ORDER BY recorded_at
+    `, [wallet.toLowerCase()]);
+
+    const series = rows.map(r => ({
+        date: r.day,
+        momentsCount: r.moments_count ?? 0,
+        lockedCount: r.locked_count ?? 0,
+        pricedMoments: r.priced_moments ?? 0,
+        floorValue: Number(r.floor_value) || 0,
+        aspValue: Number(r.asp_value) || 0,
+        byTier: Object.fromEntries(TIERS.map(t => [t, r.tier_breakdown?.[t] || { count: 0, floorValue: 0, aspValue: 0 }]))
+    }));
+
+    const gains = {};
+    if (series.length) {
+        const latest = series[series.length - 1];
+        for (const [period, days] of Object.entries(WALLET_HISTORY_PERIODS)) {
+            let base = series[0];
+            if (days) {
+                const cutoff = new Date(`${latest.date}T00:00:00Z`);
+                cutoff.setUTCDate(cutoff.getUTCDate() - days);
+                const cutoffDay = cutoff.toISOString().slice(0, 10);
+                base = series.filter(s => s.date <= cutoffDay).pop() || series[0];
+            }
+            gains[period] = {
+                from: base.date,
+                floor: gain(base.floorValue, latest.floorValue),
+                asp: gain(base.aspValue, latest.aspValue),
+                moments: latest.momentsCount - base.momentsCount
+            };
+        }
+    }
+    return { series, gains };
+}